@@ -1,8 +1,24 @@
 require('dotenv').config();
 // ai-config.js - AI Configuration for YesButFirst
+
+// Failover order, e.g. AI_PROVIDERS=gemini,openai,local - falls back to the single AI_PROVIDER
+const providers = (process.env.AI_PROVIDERS || process.env.AI_PROVIDER || 'openai')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
 module.exports = {
     // Choose your LLM provider
-    provider: process.env.AI_PROVIDER || 'openai', // 'openai', 'claude', 'gemini'
+    provider: providers[0], // 'openai', 'claude', 'gemini', 'local'
+    
+    // Providers to try in order when the one before fails (errors, timeouts, 5xx or 429)
+    providers,
+    
+    // Circuit breaker: skip a provider for cooldownMs after failureThreshold failures in a row
+    failover: {
+      failureThreshold: 3,
+      cooldownMs: 60000
+    },
     
     // API Keys (store these securely in production!)
     // For development, you can use environment variables
@@ -28,15 +44,30 @@ module.exports = {
         model: 'gemini-1.5-flash',
         maxTokens: 500,
         temperature: 0.7
+      },
+      local: {
+        // Any OpenAI-compatible server: Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+        baseUrl: process.env.LOCAL_AI_URL || 'http://localhost:11434/v1',
+        model: process.env.LOCAL_AI_MODEL || 'llama3.2',
+        maxTokens: 500,
+        temperature: 0.7,
+        evaluationTimeout: 30000 // Local models on home PCs can be slow
       }
     },
     
     // App behavior settings
     behavior: {
-      maxRetries: 3, // How many times can they retry if they don't understand
+      maxRetries: 3, // Failed replies before the answer is explained again, more simply
       requireUnderstanding: true, // Must show understanding to unlock
-      allowSkipAfter: 3, // Allow skip after N failed attempts
-      sessionTimeout: 300, // 5 minutes in seconds
+      allowSkipAfter: 3, // Offer a skip after N failed replies (0 = never - the child is told to ask a parent)
+      sessionTimeout: 45 * 60, // Seconds the computer stays unlocked before the lock screen returns (0 = no limit)
+      relockWarning: 5 * 60, // Seconds of warning before the lock screen returns
+      streamAnswers: true, // Show answers word by word as they are generated
+      intentModelCheck: false, // Ask the AI what a reply is meant to be when the local check is unsure - one small extra request
+      
+      // Defaults for each child - parents can change them per child in Parent Settings
+      strictness: 'balanced', // How hard it is to unlock: 'lenient', 'balanced' or 'rigorous'
+      aiFailurePolicy: 'offline', // When no AI provider responds: 'offline' quiz, 'unlock' or 'lock'
       
       // Age ranges for content adaptation
       ageGroups: {
@@ -100,6 +131,9 @@ module.exports = {
         'dangerous activities',
         'personal information'
       ],
-      redirectMessage: "That's an interesting question, but let's explore something else! How about asking about science, nature, technology, or history?"
+      redirectMessage: "That's an interesting question, but let's explore something else! How about asking about science, nature, technology, or history?",
+      modelCheck: false, // Also ask the AI about questions the keyword check lets through - one small extra request per question
+      privacyLevel: 'standard', // Personal details hidden from providers unless a parent changes it: 'standard', 'strict' or 'off'
+      notifyParent: true // Desktop notification when a message sounds like the child is hurting or upset
     }
   };
\ No newline at end of file
@@ -1,13 +1,69 @@
 // ai-service.js - LLM integration for YesButFirst
+//
+// AIService is the conversation engine shared by every provider: it builds the prompts,
+// runs the retry/timeout pipeline, parses replies and tracks usage. Provider classes are
+// thin adapters that only override buildRequest/parseResponse, their streaming
+// counterparts buildStreamRequest/parseStreamEvent, and pricing.
 const axios = require('axios');
+const { EVALUATION_SCHEMA, EVALUATION_FORMAT, parseEvaluationText, validateEvaluation } = require('./evaluation-schema');
+const { SAFETY_SCHEMA, SAFETY_FORMAT } = require('./content-safety');
+const { INTENTS, INTENT_SCHEMA, INTENT_FORMAT } = require('./intent-classifier');
+const { MODERATION_FALLBACK, moderateAnswer, describeProblems } = require('./answer-moderation');
+
+// How hard it is to unlock - chosen per child by the parent. Each level sets the evaluation
+// rules the model is given and how confident it must be before an answer counts.
+const STRICTNESS_LEVELS = {
+  lenient: {
+    label: 'Lenient - any real attempt unlocks',
+    rules: 'ALWAYS say understood:true unless complete gibberish. ANY attempt = success!',
+    guidance: "ALWAYS be generous - if it's even remotely related, say yes.",
+    minConfidence: 0
+  },
+  balanced: {
+    label: 'Balanced - an on-topic answer in their own words',
+    rules: 'Say understood:true for a genuine attempt that relates to the follow-up question, even if it is partly wrong. Say understood:false for dismissive or off-topic replies.',
+    guidance: 'Be fair - an on-topic attempt in their own words is a yes, even if it is partly wrong. Dismissive replies like "idk", "lol" or "whatever" are a no.',
+    minConfidence: 0.5
+  },
+  rigorous: {
+    label: 'Rigorous - must show they understood',
+    rules: 'Say understood:true only when the reply shows the child followed the explanation. Say understood:false for dismissive, off-topic or one-word replies, and list any misconceptions.',
+    guidance: 'Be rigorous - say yes only if the reply answers your follow-up question with a reason or an idea that shows they followed your explanation.',
+    minConfidence: 0.7
+  }
+};
+const DEFAULT_STRICTNESS = 'balanced'; // As aiConfig.behavior.strictness
+
+// Filler that says nothing on its own - "idk lol" is not an answer
+const FILLER_WORDS = /\b(idk|dunno|i\s+don'?t\s+know|no\s+idea|whatever|lol|lmao|haha+|ok(ay)?|meh|yes|no|maybe)\b/g;
+
+// Returned when evaluation fails for any reason (timeout, network, unparseable reply)
+const EVALUATION_FALLBACK = {
+  understood: true,
+  confidence: 0,
+  feedback: "Good effort! You can unlock your computer now.",
+  suggestion: null,
+  misconceptions: []
+};
 
 class AIService {
   constructor(apiKey, config = {}) {
     this.apiKey = apiKey;
-    this.apiUrl = 'https://api.openai.com/v1/chat/completions';
+    this.providerName = 'OpenAI';
+    this.apiUrl = config.apiUrl || 'https://api.openai.com/v1/chat/completions';
     this.model = config.model || 'gpt-3.5-turbo';
     this.maxTokens = config.maxTokens || 500;
     this.temperature = config.temperature || 0.7;
+    this.evaluationTimeout = config.evaluationTimeout || 10000;
+    this.evaluationRepairs = config.evaluationRepairs !== undefined ? config.evaluationRepairs : 1; // Re-asks after a malformed evaluation
+    this.safetyTimeout = config.safetyTimeout || 5000; // The child is waiting for an answer behind this check
+    this.intentTimeout = config.intentTimeout || 5000; // Likewise for deciding what a reply is meant to be
+    this.moderationRetries = config.moderationRetries !== undefined ? config.moderationRetries : 1; // Re-asks after an answer fails moderation
+    
+    // Shared request pipeline settings
+    this.maxRetries = config.maxRetries || 3;
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : 1000;
+    this.timeout = config.timeout || 30000; // Per attempt
     
     // Track usage for cost monitoring
     this.usage = {
@@ -104,61 +160,220 @@ Remember: The child will answer your follow-up question next, so make it engagin
     return guidelines[ageGroup] || guidelines.teen;
   }
 
-  // Evaluate if the child understood the answer
-  async evaluateUnderstanding(question, answer, childResponse, fullConversationHistory = []) {
-    // Add timeout to prevent hanging
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('AI evaluation timeout')), 10000); // 10 second timeout
-    });
-
+  /**
+   * Evaluate if the child understood the answer
+   * @param {Object} options - { strictness } one of the STRICTNESS_LEVELS keys
+   */
+  async evaluateUnderstanding(question, answer, childResponse, fullConversationHistory = [], options = {}) {
     try {
-      // Extract the actual follow-up question from the AI's response for better context
-      const extractedQuestion = this.extractFollowUpQuestionFromResponse(answer);
-      
-      // Build conversation context from history
-      let conversationContext = '';
-      if (fullConversationHistory.length > 0) {
-        conversationContext = '\n\nFULL CONVERSATION HISTORY:\n' + 
-          fullConversationHistory.map((turn, i) => 
-            `${i + 1}. Child: "${turn.user}"\n   AI: "${turn.ai}"`
-          ).join('\n') + '\n';
+      return await this.requestEvaluation(question, answer, childResponse, fullConversationHistory, options);
+    } catch (error) {
+      console.error(`Error evaluating understanding with ${this.providerName}:`, error.message);
+      return this.getEvaluationFallback();
+    }
+  }
+
+  /**
+   * Ask the model for an evaluation matching EVALUATION_SCHEMA, re-asking when the reply
+   * can't be repaired. Throws on any failure so a caller can try another provider.
+   * @returns {Promise<Object>} { understood, confidence, feedback, suggestion, misconceptions }
+   */
+  async requestEvaluation(question, answer, childResponse, fullConversationHistory = [], options = {}) {
+    const level = this.getStrictnessLevel(options.strictness);
+    const prompt = {
+      system: `${level.rules} Set confidence to how sure you are. Keep feedback to 1-2 words. Respond only with valid JSON in this format: ${EVALUATION_FORMAT}`,
+      user: this.buildEvaluationPrompt(question, answer, childResponse, fullConversationHistory, level),
+      maxTokens: 150,
+      temperature: 0.3, // Lower temperature for consistent evaluation
+      schema: EVALUATION_SCHEMA // Use the provider's JSON mode where it has one
+    };
+    const deadline = Date.now() + this.evaluationTimeout; // Shared by the first ask and any re-asks
+
+    let request = prompt;
+    for (let repair = 0; ; repair++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error('Evaluation timeout');
       }
-      
-      const prompt = `EVALUATION CONTEXT:\nOriginal question: "${question}"\nYour full response: "${answer}"\nYour follow-up question was: "${extractedQuestion || 'Could not extract question'}"\nChild's response: "${childResponse}"${conversationContext}\n\nTASK: Evaluate if the child engaged meaningfully with your follow-up question.\n\nIMPORTANT: The child's response should be evaluated as an answer to YOUR FOLLOW-UP QUESTION, not as a new question.\n\nEXAMPLE: If you asked "What would you ask plants?" and child responds "do humans move really fast", that's a PERFECT answer (they're saying they'd ask plants about how humans move fast).\n\nALWAYS be generous - if it's even remotely related, say yes.`;
-
-      const apiCall = axios.post(this.apiUrl, {
-        model: this.model,
-        messages: [
-          { role: 'system', content: 'ALWAYS say understood:true unless complete gibberish. ANY attempt = success! Keep feedback to 1-2 words. Respond only with valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.3, // Lower temperature for consistent evaluation
-        max_tokens: 150
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 8000 // 8 second axios timeout
-      });
 
-      const response = await Promise.race([apiCall, timeoutPromise]);
-      const result = response.data.choices[0].message.content;
-      
-      // Safer JSON parsing
-      try {
-        return JSON.parse(result);
-      } catch (parseError) {
-        console.error('Error parsing AI response:', parseError);
-        throw parseError;
+      const { text, usage } = await this.sendMessage(request, { timeout: remaining });
+      this.updateUsage(usage);
+
+      const result = this.readEvaluation(text);
+      if (result.valid) {
+        return this.applyStrictness(result.evaluation, level);
       }
+      console.warn(`${this.providerName} returned a malformed evaluation: ${result.errors.join('; ')}`);
+      if (repair >= this.evaluationRepairs) {
+        throw new Error(`Malformed evaluation from ${this.providerName}: ${result.errors.join('; ')}`);
+      }
+
+      request = {
+        ...prompt,
+        user: `${prompt.user}\n\nYour previous reply could not be used (${result.errors.join('; ')}):\n${text}\n\nReply again with only the JSON object in this format: ${EVALUATION_FORMAT}`
+      };
+    }
+  }
+
+  // Parse, repair and validate an evaluation reply
+  readEvaluation(text) {
+    try {
+      return validateEvaluation(parseEvaluationText(text));
     } catch (error) {
-      console.error('Error evaluating understanding:', error);
-      // Default to allowing unlock on any error (timeout, network, parsing, etc.)
+      return { valid: false, errors: [error.message], evaluation: null };
+    }
+  }
+
+  /**
+   * Ask the model whether a child's question falls under a blocked topic. Throws on any
+   * failure so a caller can try another provider.
+   * @param {string} question - The child's message
+   * @param {Array<string>} blockTopics - From ai-config's safety settings
+   * @returns {Promise<Object>} { blocked, topic }
+   */
+  async classifyQuestion(question, blockTopics) {
+    const { text, usage } = await this.sendMessage({
+      system: `You screen questions that children type into a learning app. Blocked topics: ${blockTopics.join(', ')}. Block a question only when it seeks content in one of these topics. Curious questions about science, history, nature or the body are fine even when they mention something scary, like volcanoes, wars or predators. Respond only with valid JSON in this format: ${SAFETY_FORMAT}`,
+      user: `Question: ${JSON.stringify(question)}`,
+      maxTokens: 60,
+      temperature: 0,
+      schema: SAFETY_SCHEMA
+    }, { timeout: this.safetyTimeout });
+    this.updateUsage(usage);
+
+    const verdict = parseEvaluationText(text);
+    if (typeof verdict.blocked !== 'boolean') {
+      throw new Error(`Malformed safety check from ${this.providerName}`);
+    }
+    return { blocked: verdict.blocked, topic: typeof verdict.topic === 'string' ? verdict.topic : null };
+  }
+
+  /**
+   * Ask the model what a child's reply to the follow-up question is meant to be. Throws on any
+   * failure so a caller can try another provider.
+   * @param {string} message - The child's reply
+   * @param {string} followUpQuestion - The question they were asked, if any
+   * @returns {Promise<Object>} { intent } - one of IntentClassifier.INTENTS
+   */
+  async classifyIntent(message, followUpQuestion) {
+    const { text, usage } = await this.sendMessage({
+      system: `You sort the replies children type into a learning app after being asked a question. new_question: they ask about something else. answer_to_followup: they answer or guess, even in the form of a question or with "I don't know". clarification_request: they ask what the question or a word in it means. off_topic: they chat, complain or ask to be let in instead. nonsense: random letters or key mashing. Respond only with valid JSON in this format: ${INTENT_FORMAT}`,
+      user: `Question asked: ${JSON.stringify(followUpQuestion || '')}\nChild's reply: ${JSON.stringify(message)}`,
+      maxTokens: 30,
+      temperature: 0,
+      schema: INTENT_SCHEMA
+    }, { timeout: this.intentTimeout });
+    this.updateUsage(usage);
+
+    const verdict = parseEvaluationText(text);
+    if (!INTENTS.includes(verdict.intent)) {
+      throw new Error(`Malformed intent check from ${this.providerName}`);
+    }
+    return { intent: verdict.intent };
+  }
+
+  // An unsure "yes" doesn't count at stricter levels
+  applyStrictness(evaluation, level) {
+    if (!evaluation.understood || evaluation.confidence >= level.minConfidence) {
+      return evaluation;
+    }
+    return {
+      ...evaluation,
+      understood: false,
+      feedback: 'Nearly there!',
+      suggestion: evaluation.suggestion || 'Can you tell me a bit more about your idea?'
+    };
+  }
+
+  getStrictnessLevel(strictness) {
+    return STRICTNESS_LEVELS[strictness] || STRICTNESS_LEVELS[DEFAULT_STRICTNESS];
+  }
+
+  // Returned when no evaluation could be made (timeout, network, parsing, etc.) - the caller's
+  // failure policy decides whether it unlocks; `fallback` marks it as not a real verdict
+  getEvaluationFallback() {
+    return { ...EVALUATION_FALLBACK, fallback: true };
+  }
+
+  // Build the user prompt for judging the child's reply to our follow-up question
+  buildEvaluationPrompt(question, answer, childResponse, fullConversationHistory = [], level = this.getStrictnessLevel()) {
+    // Extract the actual follow-up question from the AI's response for better context
+    const extractedQuestion = this.extractFollowUpQuestionFromResponse(answer);
+    
+    // Build conversation context from history
+    let conversationContext = '';
+    if (fullConversationHistory.length > 0) {
+      conversationContext = '\n\n' + this.buildConversationContext(fullConversationHistory);
+    }
+    
+    return `EVALUATION CONTEXT:\nOriginal question: "${question}"\nYour full response: "${answer}"\nYour follow-up question was: "${extractedQuestion || 'Could not extract question'}"\nChild's response: "${childResponse}"${conversationContext}\n\nTASK: Evaluate if the child engaged meaningfully with your follow-up question.\n\nIMPORTANT: The child's response should be evaluated as an answer to YOUR FOLLOW-UP QUESTION, not as a new question.\n\nEXAMPLE: If you asked "What would you ask plants?" and child responds "do humans move really fast", that's a PERFECT answer (they're saying they'd ask plants about how humans move fast).\n\n${level.guidance}`;
+  }
+
+  // Format previous turns so the model can follow the thread of the conversation
+  buildConversationContext(fullConversationHistory) {
+    return 'FULL CONVERSATION HISTORY:\n' + 
+      fullConversationHistory.map((turn, i) => 
+        `${i + 1}. Child: "${turn.user}"\n   AI: "${turn.ai}"`
+      ).join('\n') + '\n';
+  }
+
+  // Build the system/user prompts and length limit for answering a question
+  buildQuestionPrompt(question, childAge, isFirstResponse, childInterests = [], fullConversationHistory = []) {
+    const ageContext = childAge ? `The child is ${childAge} years old. ` : '';
+    
+    // Determine response length settings
+    const ageGroup = this.getAgeGroup(childAge);
+    const aiConfig = require('./ai-config');
+    const responseType = isFirstResponse ? 'first' : 'continued';
+    const lengthSettings = aiConfig.behavior.responseLength[responseType][ageGroup];
+    
+    // Build conversation context
+    let conversationContext = '';
+    if (fullConversationHistory.length > 0) {
+      conversationContext = this.buildConversationContext(fullConversationHistory) + '\n';
+    }
+
+    return {
+      system: this.getSystemPrompt(lengthSettings.instruction, ageGroup, childInterests),
+      user: `${conversationContext}${ageContext}Question: ${question}`,
+      maxTokens: lengthSettings.maxTokens
+    };
+  }
+
+  // Fallback evaluation when AI is unavailable
+  getFallbackEvaluation(childResponse, strictness = DEFAULT_STRICTNESS) {
+    const responseLower = childResponse.toLowerCase();
+    
+    // Simple keyword-based evaluation
+    const positiveKeywords = ['because', 'light', 'air', 'bounces', 'scatters', 'blue', 'sun', 'color', 'rainbow', 'water', 'drops', 'fly', 'wings', 'lift', 'airplane', 'magnet', 'north', 'south', 'attract', 'repel', 'dream', 'sleep', 'brain', 'learn'];
+    
+    const hasPositiveKeywords = positiveKeywords.some(keyword => responseLower.includes(keyword));
+    const substance = responseLower.replace(FILLER_WORDS, ' ').split(/[^a-z']+/).filter(Boolean);
+    
+    let understood;
+    if (strictness === 'rigorous') {
+      understood = hasPositiveKeywords && substance.length >= 4;
+    } else if (strictness === 'balanced') {
+      understood = hasPositiveKeywords || substance.join(' ').length > 10;
+    } else {
+      understood = hasPositiveKeywords || responseLower.length > 10;
+    }
+    
+    if (understood) {
       return {
         understood: true,
-        feedback: "Good effort! You can unlock your computer now.",
-        suggestion: null
+        confidence: 0,
+        feedback: "That's a great explanation! You really understood the concept.",
+        suggestion: null,
+        misconceptions: []
+      };
+    } else {
+      return {
+        understood: false,
+        confidence: 0,
+        feedback: "I can see you're thinking about this! Can you try explaining it in your own words?",
+        suggestion: "Try to explain what you learned in a different way.",
+        misconceptions: []
       };
     }
   }
@@ -217,79 +432,305 @@ Remember: The child will answer your follow-up question next, so make it engagin
     return nonsensePatterns.some(pattern => pattern.test(question.trim()));
   }
 
-  // Answer a child's question
-  async answerQuestion(question, childAge = null, isFirstResponse = true, conversationLength = 0, childInterests = [], fullConversationHistory = []) {
+  /**
+   * Answer a child's question
+   * @param {Object} options - { onToken(delta, text) } to receive the answer as it is generated
+   */
+  async answerQuestion(question, childAge = null, isFirstResponse = true, conversationLength = 0, childInterests = [], fullConversationHistory = [], options = {}) {
+    // Check for nonsensical questions first
+    if (this.isNonsensicalQuestion(question)) {
+      return {
+        answer: "Please ask a real question to unlock your computer! 🤔 Try something like: How do airplanes fly? Why is the sky blue? How do computers work?",
+        usage: { totalTokens: 0, promptTokens: 0, completionTokens: 0 },
+        isNonsense: true
+      };
+    }
+
+    try {
+      const prompt = this.buildQuestionPrompt(question, childAge, isFirstResponse, childInterests, fullConversationHistory);
+      return await this.generateModeratedAnswer({ ...prompt, temperature: this.temperature }, this.getAgeGroup(childAge), options);
+    } catch (error) {
+      console.error(`Error getting answer from ${this.providerName}:`, error.message);
+      throw new Error('Failed to get answer from AI');
+    }
+  }
+
+  /**
+   * Explain an answer again more simply after the child has struggled with its follow-up question
+   * @param {Object} options - { onToken(delta, text) } to receive the explanation as it is generated
+   */
+  async reexplainAnswer(question, previousAnswer, childAge = null, childInterests = [], options = {}) {
+    // Pitch it one age group younger than usual
+    const ageGroup = this.getAgeGroup(childAge) === 'teen' ? 'middle' : 'young';
+    const ageContext = childAge ? `The child is ${childAge} years old. ` : '';
+
     try {
-      // Check for nonsensical questions first
-      if (this.isNonsensicalQuestion(question)) {
-        return {
-          answer: "Please ask a real question to unlock your computer! 🤔 Try something like: How do airplanes fly? Why is the sky blue? How do computers work?",
-          usage: { totalTokens: 0, promptTokens: 0, completionTokens: 0 },
-          isNonsense: true
-        };
+      return await this.generateModeratedAnswer({
+        system: this.getSystemPrompt('Explain it again more simply in 2 short sentences with an everyday example, then ask ONE easier follow-up question.', ageGroup, childInterests),
+        user: `${ageContext}The child found this explanation hard to follow:\n"${previousAnswer}"\n\nQuestion: ${question}`,
+        maxTokens: 150,
+        temperature: this.temperature
+      }, ageGroup, options);
+    } catch (error) {
+      console.error(`Error getting re-explanation from ${this.providerName}:`, error.message);
+      throw new Error('Failed to get answer from AI');
+    }
+  }
+
+  /**
+   * Generate an answer for the child and check it with answer-moderation. One that fails is
+   * regenerated, and after moderationRetries it is replaced by MODERATION_FALLBACK.
+   * @param {Object} prompt - As for sendMessage
+   * @param {string} ageGroup - Decides which words are too strong
+   * @param {Object} options - { onToken(delta, text) } to stream the checked part of the answer
+   * @returns {Promise<Object>} { answer, usage } plus moderated: true when the fallback was used
+   */
+  async generateModeratedAnswer(prompt, ageGroup, options = {}) {
+    const totals = { total_tokens: 0, prompt_tokens: 0, completion_tokens: 0 };
+    let request = prompt;
+
+    for (let retry = 0; ; retry++) {
+      const onToken = options.onToken && this.moderateStream(options.onToken, ageGroup);
+      const { text, usage } = await this.sendMessage(request, { onToken });
+      if (!text) {
+        throw new Error('Empty answer');
       }
-      
-      const ageContext = childAge ? `The child is ${childAge} years old. ` : '';
-      
-      // Determine response length settings
-      const ageGroup = this.getAgeGroup(childAge);
-      const aiConfig = require('./ai-config');
-      const responseType = isFirstResponse ? 'first' : 'continued';
-      const lengthSettings = aiConfig.behavior.responseLength[responseType][ageGroup];
-      
-      // Build conversation context
-      let conversationContext = '';
-      if (fullConversationHistory.length > 0) {
-        conversationContext = 'FULL CONVERSATION HISTORY:\n' + 
-          fullConversationHistory.map((turn, i) => 
-            `${i + 1}. Child: "${turn.user}"\n   AI: "${turn.ai}"`
-          ).join('\n') + '\n\n';
+      this.updateUsage(usage);
+      Object.keys(totals).forEach(key => { totals[key] += usage[key] || 0; });
+
+      const review = moderateAnswer(text, ageGroup);
+      if (review.safe) {
+        if (onToken) onToken.finish(text);
+        return { answer: text, usage: this.summarizeUsage(totals) };
+      }
+
+      const problems = describeProblems(review.problems);
+      console.warn(`${this.providerName} answer failed moderation: ${problems}`);
+      if (options.onToken) options.onToken('', ''); // Clear whatever part of it was shown
+      if (retry >= this.moderationRetries) {
+        return { answer: MODERATION_FALLBACK, usage: this.summarizeUsage(totals), moderated: true };
+      }
+
+      request = {
+        ...prompt,
+        user: `${prompt.user}\n\nYour previous answer could not be shown to the child because it contained: ${problems}. Answer again for a ${ageGroup} child with no links, no questions about their personal details, and gentle, everyday words.`
+      };
+    }
+  }
+
+  /**
+   * Pass a streamed answer on one whole word at a time, and only while it passes moderation.
+   * Once it fails, nothing more is shown until the checked answer arrives. finish(text) shows
+   * the last word once the whole answer has passed.
+   */
+  moderateStream(onToken, ageGroup) {
+    let shown = '';
+    let stopped = false;
+
+    const stream = (delta, text) => {
+      if (!text) { // The provider started over
+        shown = '';
+        stopped = false;
+        onToken('', '');
+        return;
+      }
+      if (stopped) return;
+
+      // Hold back the word still being written - it can't be checked until it is complete
+      const complete = text.slice(0, text.search(/\S*$/));
+      if (complete.length <= shown.length) return;
+
+      if (!moderateAnswer(complete, ageGroup).safe) {
+        stopped = true;
+        shown = '';
+        onToken('', '');
+        return;
+      }
+      onToken(complete.slice(shown.length), complete);
+      shown = complete;
+    };
+    stream.finish = text => {
+      if (text.length > shown.length) onToken(text.slice(shown.length), text);
+    };
+    return stream;
+  }
+
+  // Usage in the shape answers report it to the main process
+  summarizeUsage(usage) {
+    return {
+      totalTokens: usage.total_tokens,
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      estimatedCost: this.calculateCost(usage)
+    };
+  }
+
+  /**
+   * Send one prompt through the provider adapter, retrying network errors, timeouts,
+   * rate limits and server errors with exponential backoff
+   * @param {Object} prompt - { system, user, maxTokens, temperature }
+   * @param {Object} options - { timeout } overall budget in ms across all attempts,
+   *   { onToken(delta, text) } to stream the reply; onToken('', '') means start over
+   * @returns {Promise<Object>} { text, usage } with OpenAI-style usage names
+   */
+  async sendMessage(prompt, options = {}) {
+    const deadline = options.timeout ? Date.now() + options.timeout : null;
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      const remaining = deadline ? deadline - Date.now() : this.timeout;
+      if (remaining <= 0) {
+        throw lastError || new Error('AI request timeout');
       }
 
-      const messages = [
-        { role: 'system', content: this.getSystemPrompt(lengthSettings.instruction, ageGroup, childInterests) },
-        { role: 'user', content: `${conversationContext}${ageContext}Question: ${question}` }
-      ];
-
-      // Implement retry logic
-      const maxRetries = 3;
-      let lastError;
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-          const response = await axios.post(this.apiUrl, {
-            model: this.model,
-            messages: messages,
-            temperature: this.temperature,
-            max_tokens: lengthSettings.maxTokens
-          }, {
-            headers: {
-              'Authorization': `Bearer ${this.apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          });
-
-          const answer = response.data.choices[0].message.content.trim();
-
-          return {
-            answer,
-            usage: {
-              totalTokens: response.data.usage.total_tokens,
-              promptTokens: response.data.usage.prompt_tokens,
-              completionTokens: response.data.usage.completion_tokens,
-              estimatedCost: this.calculateCost(response.data.usage)
-            }
-          };
-        } catch (error) {
-          lastError = error;
-          console.error(`AI request failed (attempt ${attempt}/${maxRetries}):`, error.message);
-          if (attempt === maxRetries) throw lastError;
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt)); // Exponential backoff
+      const streamed = { text: '' };
+      try {
+        if (options.onToken) {
+          return await this.streamAttempt(prompt, Math.min(this.timeout, remaining), options.onToken, streamed);
+        }
+        const request = this.buildRequest(prompt);
+        const response = await axios.post(request.url, request.body, {
+          headers: request.headers,
+          timeout: Math.min(this.timeout, remaining)
+        });
+        return this.parseResponse(response.data, prompt);
+      } catch (error) {
+        lastError = error;
+        if (streamed.text) options.onToken('', ''); // Half an answer is already on screen
+        console.error(`${this.providerName} request failed (attempt ${attempt}/${this.maxRetries}):`, error.message);
+        if (!this.isRetryable(error) || attempt === this.maxRetries) throw lastError;
+
+        const delay = this.retryDelay * 2 ** (attempt - 1); // Exponential backoff
+        if (deadline && Date.now() + delay >= deadline) throw lastError;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // One streaming attempt - the timeout covers the whole reply, not just the first byte
+  async streamAttempt(prompt, timeout, onToken, streamed) {
+    const request = this.buildStreamRequest(prompt);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const usage = {};
+
+    try {
+      const response = await axios.post(request.url, request.body, {
+        headers: request.headers,
+        responseType: 'stream',
+        signal: controller.signal,
+        timeout
+      });
+
+      for await (const data of this.readServerSentEvents(response.data)) {
+        const event = this.parseStreamEvent(data);
+        Object.assign(usage, event.usage);
+        if (event.text) {
+          streamed.text += event.text;
+          onToken(event.text, streamed.text.trimStart());
         }
       }
     } catch (error) {
-      console.error('Error getting answer:', error);
-      throw new Error('Failed to get answer from AI');
+      if (controller.signal.aborted) {
+        throw Object.assign(new Error(`timeout of ${timeout}ms exceeded`), { code: 'ECONNABORTED' });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
     }
+
+    const text = streamed.text.trim();
+    return { text, usage: this.completeUsage(usage, prompt, text) };
+  }
+
+  // Yield the parsed JSON of each `data:` line of a server-sent events stream
+  async *readServerSentEvents(stream) {
+    stream.setEncoding('utf8'); // Don't split multi-byte characters across chunks
+    let buffer = '';
+
+    for await (const chunk of stream) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim();
+        if (!data.startsWith('data:')) continue; // Blank separators, event names and comments
+        const payload = data.slice(5).trim();
+        if (payload && payload !== '[DONE]') yield JSON.parse(payload);
+      }
+    }
+  }
+
+  // Fill in the total when a provider only reports prompt and completion tokens separately
+  completeUsage(usage) {
+    if (!usage.total_tokens && (usage.prompt_tokens || usage.completion_tokens)) {
+      usage.total_tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+    return usage;
+  }
+
+  // Bad requests and auth errors will fail the same way every time
+  isRetryable(error) {
+    if (error.response) {
+      const status = error.response.status;
+      return status === 429 || status >= 500;
+    }
+    return Boolean(error.isAxiosError || error.code); // No response: network error or timeout
+  }
+
+  // Adapter: translate a prompt into an OpenAI chat completions request
+  buildRequest(prompt) {
+    const body = {
+      model: this.model,
+      messages: [
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user }
+      ],
+      temperature: prompt.temperature,
+      max_tokens: prompt.maxTokens
+    };
+
+    // JSON mode - unlike json_schema it works on gpt-3.5-turbo and OpenAI-compatible local servers
+    if (prompt.schema) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return { url: this.apiUrl, headers: this.getHeaders(), body };
+  }
+
+  // Adapter: read the reply text and usage from an OpenAI chat completions response
+  parseResponse(data) {
+    const choice = data.choices && data.choices[0];
+    return {
+      text: choice && choice.message && choice.message.content ? choice.message.content.trim() : '',
+      usage: data.usage || {} // Some local servers omit usage
+    };
+  }
+
+  // Adapter: the same request as a server-sent events stream, with usage in the last event
+  buildStreamRequest(prompt) {
+    const request = this.buildRequest(prompt);
+    request.body.stream = true;
+    request.body.stream_options = { include_usage: true };
+    return request;
+  }
+
+  // Adapter: one chat completions chunk - a piece of the reply, or the final usage
+  parseStreamEvent(data) {
+    const choice = data.choices && data.choices[0];
+    return {
+      text: choice && choice.delta && choice.delta.content ? choice.delta.content : '',
+      usage: data.usage || {}
+    };
+  }
+
+  // Request headers for OpenAI-style chat completions
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
   }
 
   // Calculate cost based on token usage
@@ -311,11 +752,21 @@ Remember: The child will answer your follow-up question next, so make it engagin
 
   // Update usage statistics
   updateUsage(usage) {
+    const cost = this.calculateCost(usage);
     if (usage.total_tokens) {
       this.usage.totalTokens += usage.total_tokens;
     }
     this.usage.conversations += 1;
-    this.usage.estimatedCost += this.calculateCost(usage);
+    this.usage.estimatedCost += cost;
+    
+    if (this.usageListener) {
+      this.usageListener(usage.total_tokens || 0, cost);
+    }
+  }
+
+  // Register a callback(tokens, cost) for every billed request, e.g. for daily budget tracking
+  onUsage(listener) {
+    this.usageListener = listener;
   }
 
   // Get usage statistics
@@ -338,222 +789,234 @@ Remember: The child will answer your follow-up question next, so make it engagin
   }
 }
 
-// For other LLM providers (Claude, Gemini), extend this class:
+// For other LLM providers, extend this class and override the adapter methods
 class ClaudeService extends AIService {
   constructor(apiKey, config = {}) {
     super(apiKey, config);
-    this.apiUrl = 'https://api.anthropic.com/v1/messages';
+    this.providerName = 'Claude';
+    this.apiUrl = config.apiUrl || 'https://api.anthropic.com/v1/messages';
     this.model = config.model || 'claude-3-haiku-20240307';
+    this.apiVersion = config.apiVersion || '2023-06-01';
+  }
+
+  // Anthropic Messages format: the system prompt is a top-level field
+  buildRequest(prompt) {
+    const body = {
+      model: this.model,
+      system: prompt.system,
+      messages: [
+        { role: 'user', content: prompt.user }
+      ],
+      max_tokens: prompt.maxTokens,
+      temperature: prompt.temperature
+    };
+
+    // Claude has no JSON mode - forcing a tool call makes it fill in the schema instead
+    if (prompt.schema) {
+      body.tools = [{ name: 'structured_reply', description: 'Record your reply', input_schema: prompt.schema }];
+      body.tool_choice = { type: 'tool', name: 'structured_reply' };
+    }
+
+    return {
+      url: this.apiUrl,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.apiVersion,
+        'Content-Type': 'application/json'
+      },
+      body
+    };
+  }
+
+  parseResponse(data) {
+    const blocks = data.content || [];
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    const text = toolUse
+      ? JSON.stringify(toolUse.input)
+      : blocks.filter(block => block.type === 'text').map(block => block.text).join('').trim();
+
+    return { text, usage: this.mapUsage(data.usage) };
+  }
+
+  buildStreamRequest(prompt) {
+    const request = this.buildRequest(prompt);
+    request.body.stream = true;
+    return request;
+  }
+
+  // Input tokens arrive with message_start, the output count with message_delta
+  parseStreamEvent(data) {
+    if (data.type === 'content_block_delta' && data.delta) {
+      return { text: data.delta.text || '', usage: {} };
+    }
+    if (data.type === 'message_start' && data.message && data.message.usage) {
+      return { text: '', usage: { prompt_tokens: data.message.usage.input_tokens || 0 } };
+    }
+    if (data.type === 'message_delta' && data.usage) {
+      return { text: '', usage: { completion_tokens: data.usage.output_tokens || 0 } };
+    }
+    if (data.type === 'error') {
+      throw new Error(data.error ? data.error.message : 'Claude stream error');
+    }
+    return { text: '', usage: {} };
+  }
+
+  // Map Anthropic's input/output token counts onto the OpenAI-style names calculateCost expects
+  mapUsage(usage = {}) {
+    const promptTokens = usage.input_tokens || 0;
+    const completionTokens = usage.output_tokens || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  // Claude 3 Haiku pricing: $0.25 / 1M input tokens, $1.25 / 1M output tokens
+  calculateCost(usage) {
+    if (!usage.prompt_tokens && !usage.completion_tokens) return 0;
+    const inputCost = ((usage.prompt_tokens || 0) / 1000) * 0.00025;
+    const outputCost = ((usage.completion_tokens || 0) / 1000) * 0.00125;
+    return inputCost + outputCost;
   }
-  
-  // Override methods as needed for Claude's API format
 }
 
 class GeminiService extends AIService {
   constructor(apiKey, config = {}) {
     super(apiKey, config);
-    this.apiUrl = 'https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent';
+    this.providerName = 'Gemini';
     this.model = config.model || 'gemini-1.5-flash';
+    this.apiUrl = config.apiUrl || `https://generativelanguage.googleapis.com/v1/models/${this.model}:generateContent`;
   }
 
-  // Override the answerQuestion method for Gemini's API format
-  async answerQuestion(question, childAge = null, isFirstResponse = true, conversationLength = 0) {
-    const maxRetries = 3;
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const ageContext = childAge ? `The child is ${childAge} years old. ` : '';
-        
-        // Determine response length settings
-        const ageGroup = this.getAgeGroup(childAge);
-        const aiConfig = require('./ai-config');
-        const responseType = isFirstResponse ? 'first' : 'continued';
-        const lengthSettings = aiConfig.behavior.responseLength[responseType][ageGroup];
-        
-        const response = await axios.post(`${this.apiUrl}?key=${this.apiKey}`, {
-          contents: [{
-            parts: [{
-              text: `${this.getSystemPrompt(lengthSettings.instruction, ageGroup)}\n\n${ageContext}Question: ${question}`
-            }]
-          }],
-          generationConfig: {
-            temperature: this.temperature,
-            maxOutputTokens: lengthSettings.maxTokens
-          }
-        }, {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000 // 30 second timeout
-        });
-
-        const answer = response.data.candidates[0].content.parts[0].text;
-        
-        // Gemini doesn't provide detailed usage stats like OpenAI
-        const estimatedTokens = Math.ceil((question.length + answer.length) / 4);
-        
-        const usage = { total_tokens: estimatedTokens };
-        this.updateUsage(usage);
-        
-        return {
-          answer,
-          usage: {
-            tokens: estimatedTokens,
-            estimatedCost: this.calculateCost(usage)
-          }
-        };
-      } catch (error) {
-        lastError = error;
-        console.error(`Gemini API attempt ${attempt} failed:`, error.message);
-        
-        // If it's a 503 error, wait before retrying
-        if (error.response && error.response.status === 503) {
-          if (attempt < maxRetries) {
-            console.log(`Waiting ${attempt * 2} seconds before retry...`);
-            await new Promise(resolve => setTimeout(resolve, attempt * 2000));
-            continue;
-          }
-        }
-        
-        // For other errors, don't retry
-        if (attempt === maxRetries) {
-          console.error('All retry attempts failed for Gemini API');
-          throw new Error('Failed to get answer from AI');
+  // Gemini generateContent format - the key goes in a header so it never ends up in logged URLs
+  buildRequest(prompt) {
+    return {
+      url: this.apiUrl,
+      headers: {
+        'x-goog-api-key': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: {
+        contents: [{
+          role: 'user',
+          parts: [{ text: `${prompt.system}\n\n${prompt.user}` }]
+        }],
+        generationConfig: {
+          temperature: prompt.temperature,
+          maxOutputTokens: prompt.maxTokens,
+          ...(prompt.schema && {
+            responseMimeType: 'application/json',
+            responseSchema: this.toGeminiSchema(prompt.schema)
+          })
         }
       }
+    };
+  }
+
+  // Gemini takes an OpenAPI-style subset of JSON Schema: upper-case types, `nullable`, no additionalProperties
+  toGeminiSchema(schema) {
+    const types = [].concat(schema.type);
+    const converted = { type: types.find(type => type !== 'null').toUpperCase() };
+    if (types.includes('null')) converted.nullable = true;
+    if (schema.description) converted.description = schema.description;
+    if (schema.items) converted.items = this.toGeminiSchema(schema.items);
+    if (schema.properties) {
+      converted.properties = {};
+      Object.entries(schema.properties).forEach(([name, property]) => {
+        converted.properties[name] = this.toGeminiSchema(property);
+      });
+      converted.required = schema.required;
     }
-    
-    // If all retries failed, provide a fallback response
-    console.error('Gemini API is unavailable, using fallback response');
-    const fallbackAnswer = this.getFallbackAnswer(question);
-    const estimatedTokens = Math.ceil((question.length + fallbackAnswer.length) / 4);
-    
-    const usage = { total_tokens: estimatedTokens };
-    this.updateUsage(usage);
-    
+    return converted;
+  }
+
+  parseResponse(data, prompt) {
+    const candidate = data.candidates && data.candidates[0];
+    const parts = candidate && candidate.content ? candidate.content.parts || [] : [];
+    const text = parts.map(part => part.text || '').join('').trim();
+
+    return { text, usage: this.completeUsage(this.mapUsage(data.usageMetadata), prompt, text) };
+  }
+
+  buildStreamRequest(prompt) {
+    const request = this.buildRequest(prompt);
+    request.url = `${this.apiUrl.replace(/:generateContent$/, ':streamGenerateContent')}?alt=sse`;
+    return request;
+  }
+
+  // Every chunk is a small generateContent response; usage metadata is a running total
+  parseStreamEvent(data) {
+    const candidate = data.candidates && data.candidates[0];
+    const parts = candidate && candidate.content ? candidate.content.parts || [] : [];
+    return { text: parts.map(part => part.text || '').join(''), usage: this.mapUsage(data.usageMetadata) };
+  }
+
+  mapUsage(metadata) {
+    if (!metadata) return {};
     return {
-      answer: fallbackAnswer,
-      usage: {
-        tokens: estimatedTokens,
-        estimatedCost: this.calculateCost(usage)
-      }
+      prompt_tokens: metadata.promptTokenCount || 0,
+      completion_tokens: metadata.candidatesTokenCount || 0,
+      total_tokens: metadata.totalTokenCount || 0
     };
   }
 
-  // Fallback responses when AI is unavailable
-  getFallbackAnswer(question) {
-    const fallbackResponses = {
-      'what is 2+2': "That's a great math question! 2+2 equals 4. Think of it like having 2 apples and getting 2 more apples - now you have 4 apples total!",
-      'why is the sky blue': "Great question! The sky is blue because of something called scattering. Sunlight has all the colors of the rainbow, but blue light bounces around in the air more than other colors, making the sky look blue!",
-      'how do airplanes fly': "Airplanes fly because of lift! The wings are shaped so that air moves faster over the top than the bottom, creating lift that pushes the plane up into the sky.",
-      'what makes rainbows': "Rainbows happen when sunlight hits raindrops! The light bends and splits into all the colors of the rainbow - red, orange, yellow, green, blue, indigo, and violet!",
-      'why do we dream': "Scientists think we dream to help our brains process what we learned during the day. It's like our brain is organizing and practicing while we sleep!",
-      'how do magnets work': "Magnets work because of invisible forces! They have a north and south pole, and opposite poles attract while same poles repel. It's like magic, but it's science!"
-    };
-    
-    const questionLower = question.toLowerCase();
-    for (const [key, response] of Object.entries(fallbackResponses)) {
-      if (questionLower.includes(key)) {
-        return response + "\n\nWhat do you think about this explanation?";
-      }
+  // Estimate from the text length when the response has no usage metadata
+  completeUsage(usage, prompt, text) {
+    if (usage.total_tokens) return usage;
+    return { total_tokens: Math.ceil((prompt.system.length + prompt.user.length + text.length) / 4) };
+  }
+
+  // Gemini 1.5 Flash pricing: $0.075 / 1M input tokens, $0.30 / 1M output tokens
+  calculateCost(usage) {
+    if (usage.prompt_tokens || usage.completion_tokens) {
+      const inputCost = ((usage.prompt_tokens || 0) / 1000) * 0.000075;
+      const outputCost = ((usage.completion_tokens || 0) / 1000) * 0.0003;
+      return inputCost + outputCost;
     }
-    
-    return "That's a really interesting question! I'm having trouble connecting to my knowledge right now, but I'd love to help you learn about this. Can you try asking a different question about science, nature, or how things work?";
+    return ((usage.total_tokens || 0) / 1000) * 0.00002;
   }
+}
 
-  // Override evaluateUnderstanding for Gemini
-  async evaluateUnderstanding(question, answer, childResponse) {
-    const maxRetries = 3;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const prompt = `Based on this educational exchange, determine if the child demonstrated understanding.
-
-Original Question: "${question}"
-AI Answer Summary: "${answer}"
-Child's Response: "${childResponse}"
-
-Evaluate if the child's response shows they understood the main concept. Be generous and focus on the core understanding, not perfect recall.
-
-Respond with a JSON object:
-{
-  "understood": true/false,
-  "feedback": "Brief encouraging message",
-  "suggestion": "Optional: what to clarify if not understood"
-}`;
-
-        const response = await axios.post(`${this.apiUrl}?key=${this.apiKey}`, {
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 150
-          }
-        }, {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000 // 30 second timeout
-        });
+// Local/offline models behind an OpenAI-compatible server (Ollama, llama.cpp server)
+class LocalService extends AIService {
+  constructor(apiKey, config = {}) {
+    super(apiKey, config);
+    this.providerName = 'Local model';
+    const baseUrl = (config.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiUrl = `${baseUrl}/chat/completions`;
+    this.model = config.model || 'llama3.2';
+  }
 
-        const result = response.data.candidates[0].content.parts[0].text;
-        // Clean up markdown formatting if present
-        const cleanResult = result.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        return JSON.parse(cleanResult);
-      } catch (error) {
-        console.error(`Gemini evaluation attempt ${attempt} failed:`, error.message);
-        
-        // If it's a 503 error, wait before retrying
-        if (error.response && error.response.status === 503) {
-          if (attempt < maxRetries) {
-            console.log(`Waiting ${attempt * 2} seconds before retry...`);
-            await new Promise(resolve => setTimeout(resolve, attempt * 2000));
-            continue;
-          }
-        }
-        
-        // For other errors or after all retries, fall back to default
-        if (attempt === maxRetries) {
-          console.error('All retry attempts failed for Gemini evaluation');
-        }
-      }
-    }
-    
-    // Default to allowing unlock on error
+  // Local servers need no API key
+  getHeaders() {
     return {
-      understood: true,
-      feedback: "Great job! You can unlock your computer now.",
-      suggestion: null
+      'Content-Type': 'application/json'
     };
   }
 
-  // Fallback evaluation when AI is unavailable
-  getFallbackEvaluation(childResponse) {
-    const responseLower = childResponse.toLowerCase();
-    
-    // Simple keyword-based evaluation
-    const positiveKeywords = ['because', 'light', 'air', 'bounces', 'scatters', 'blue', 'sun', 'color', 'rainbow', 'water', 'drops', 'fly', 'wings', 'lift', 'airplane', 'magnet', 'north', 'south', 'attract', 'repel', 'dream', 'sleep', 'brain', 'learn'];
-    
-    const hasPositiveKeywords = positiveKeywords.some(keyword => responseLower.includes(keyword));
-    
-    if (hasPositiveKeywords || responseLower.length > 10) {
-      return {
-        understood: true,
-        feedback: "That's a great explanation! You really understood the concept.",
-        suggestion: null
-      };
-    } else {
-      return {
-        understood: false,
-        feedback: "I can see you're thinking about this! Can you try explaining it in your own words?",
-        suggestion: "Try to explain what you learned in a different way."
-      };
-    }
+  // Running on the family's own computer costs nothing per token
+  calculateCost(usage) {
+    return 0;
   }
 }
 
-module.exports = { AIService, ClaudeService, GeminiService };
\ No newline at end of file
+// Create the service for one of the ai-config provider names
+function createAIService(provider, apiKey, config = {}) {
+  switch (provider) {
+    case 'openai':
+      return new AIService(apiKey, config);
+    case 'claude':
+      return new ClaudeService(apiKey, config);
+    case 'gemini':
+      return new GeminiService(apiKey, config);
+    case 'local':
+      return new LocalService(apiKey, config);
+    default:
+      throw new Error(`Unsupported provider: ${provider}`);
+  }
+}
+
+AIService.STRICTNESS_LEVELS = STRICTNESS_LEVELS;
+
+module.exports = { AIService, ClaudeService, GeminiService, LocalService, createAIService };
\ No newline at end of file
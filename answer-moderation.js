@@ -0,0 +1,84 @@
+// answer-moderation.js - Check an AI answer before the child sees it: unsafe content, requests
+// for the child's personal details, links, and words too strong for their age group
+
+// Shown instead of an answer that still fails moderation after being regenerated
+const MODERATION_FALLBACK = "Hmm, I couldn't come up with a good answer to that one. 🤔 Let's try another question - what else are you curious about?";
+
+// Problems found in an answer, by kind
+const UNSAFE_CONTENT = [
+  /\b(porn|porno|pornography|xxx|nsfw|hentai)\b/,
+  /\b(nudes|sexy|naked (pics|pictures|photos|videos|girls|boys|women|men))\b/,
+  // Telling the child to hurt themselves - not safety advice like "be careful not to cut yourself"
+  /\b(you should|you need to|you must|go|just|try to|why not|it'?s (ok|okay|fine) to) (kill|hurt|harm|cut|starve) yourself\b/,
+  /\b(kill|hurt|harm|cut|starve) yourself (to|so you) (feel|get|look|be)\b/,
+  /\bdon'?t tell (your )?(parents?|mom|mum|dad|teachers?|anyone|anybody)\b/,
+  /\bkeep (this|it) (a )?secret from\b/,
+  /\b(mix|combine|add)\b.{0,40}\bbleach\b.{0,40}\b(ammonia|vinegar)\b/,
+  /\b(mix|combine|add)\b.{0,40}\b(ammonia|vinegar)\b.{0,40}\bbleach\b/,
+  /\bhow to (make|build) (a |an )?(bomb|explosive|weapon|gun)\b/,
+  /\byou (will|'ll) need\b.{0,60}\b(gunpowder|lighter fluid|gasoline|petrol)\b/
+];
+
+const PERSONAL_DATA_REQUESTS = [
+  /\b(what'?s|what is|tell me|share|send me|give me|type)\b.{0,20}\byour (full name|last name|surname|home address|address|phone number|email|password|school'?s? name|birthday)\b/,
+  /\bwhere do you live\b/,
+  /\bwhat school do you (go to|attend)\b/,
+  /\b(send|share) (me )?(a )?(photo|picture|selfie) of yourself\b/
+];
+
+const LINKS = [
+  /\bhttps?:\/\/\S*[\w/]/,
+  /\bwww\.[\w.-]*\w/,
+  /\b[\w.+-]+@[a-z0-9-]+\.[a-z.]{2,}\b/,
+  /\b[a-z0-9-]+\.(com|org|net|io|gov|edu|co\.uk|info|biz)\b/
+];
+
+// Matched as whole words, or as a prefix where the entry ends in '*'
+const STRONG_WORDS = ['fuck*', 'shit*', 'bitch*', 'bastard*', 'asshole*', 'cunt*', 'slut*', 'whore*', 'piss*', 'wtf'];
+const AGE_VOCABULARY = {
+  young: [...STRONG_WORDS, 'damn*', 'hell', 'crap*', 'stupid', 'idiot*', 'dumb', 'shut up', 'gory', 'gruesome', 'corpse*', 'drunk', 'sexual*'],
+  middle: [...STRONG_WORDS, 'damn*', 'hell', 'crap*', 'gory', 'gruesome'],
+  teen: STRONG_WORDS
+};
+
+function wordPattern(word) {
+  const stem = word.replace(/\*$/, '').replace(/ /g, '\\s+');
+  return new RegExp(`\\b${stem}${word.endsWith('*') ? '\\w*' : '\\b'}`);
+}
+
+const VOCABULARY_PATTERNS = Object.fromEntries(
+  Object.entries(AGE_VOCABULARY).map(([ageGroup, words]) => [ageGroup, words.map(wordPattern)])
+);
+
+/**
+ * @param {string} text - Answer, or part of one while it is streamed
+ * @param {string} ageGroup - 'young', 'middle' or 'teen', from getAgeGroup - anything else gets the strictest word list
+ * @returns {Object} { safe, problems } where each problem is { kind, match }
+ */
+function moderateAnswer(text, ageGroup) {
+  const normalized = String(text || '').toLowerCase().replace(/[‘’`]/g, "'");
+  const problems = [];
+  // The first match of each kind is enough to explain why an answer can't be used
+  const find = (kind, patterns) => {
+    const match = patterns.map(pattern => normalized.match(pattern)).find(Boolean);
+    if (match) problems.push({ kind, match: match[0] });
+  };
+
+  find('unsafe content', UNSAFE_CONTENT);
+  find('personal data request', PERSONAL_DATA_REQUESTS);
+  find('link', LINKS);
+  find('vocabulary', VOCABULARY_PATTERNS[ageGroup] || VOCABULARY_PATTERNS.young);
+
+  return { safe: problems.length === 0, problems };
+}
+
+// One line for logs and the re-generation prompt, e.g. "link (www.example.com); vocabulary (stupid)"
+function describeProblems(problems) {
+  return problems.map(problem => `${problem.kind} (${problem.match})`).join('; ');
+}
+
+module.exports = {
+  MODERATION_FALLBACK,
+  moderateAnswer,
+  describeProblems
+};
@@ -0,0 +1,98 @@
+// budget-manager.js - Enforce the daily AI spending limit from ai-config costControls
+
+// What happens to the lock screen once today's budget is used up
+const BUDGET_POLICIES = {
+  offline: 'Use the offline question bank',
+  unlock: 'Unlock without asking the AI',
+  lock: 'Stay locked until a parent unlocks'
+};
+
+class BudgetManager {
+  constructor(database, costControls = {}) {
+    this.db = database;
+    this.costControls = costControls;
+  }
+
+  /**
+   * Daily limit in USD - the parent's setting wins over ai-config, 0 means no limit
+   * @returns {number} Maximum spend per day
+   */
+  getDailyLimit() {
+    const limit = this.db ? this.db.getSetting('max_daily_cost', null) : null;
+    return limit !== null ? limit : (this.costControls.maxDailyCost || 0);
+  }
+
+  /**
+   * @returns {string} One of the BUDGET_POLICIES keys
+   */
+  getPolicy() {
+    const policy = this.db ? this.db.getSetting('budget_policy', 'offline') : 'offline';
+    return BUDGET_POLICIES[policy] ? policy : 'offline';
+  }
+
+  /**
+   * Store the parent's budget settings
+   * @param {Object} settings - { dailyLimit, policy }
+   * @returns {boolean} Whether the settings were valid and saved
+   */
+  updateSettings(settings) {
+    const { dailyLimit, policy } = settings;
+    const limit = parseFloat(dailyLimit);
+    if (!(limit >= 0) || !BUDGET_POLICIES[policy]) return false;
+
+    return this.db.setSetting('max_daily_cost', limit) && this.db.setSetting('budget_policy', policy);
+  }
+
+  /**
+   * Add a billed request to today's total
+   * @param {number} tokens - Tokens used by the request
+   * @param {number} cost - Estimated cost in USD
+   * @returns {Object} Budget status after recording
+   */
+  recordUsage(tokens, cost) {
+    const before = this.getStatus().state;
+    if (this.db) {
+      this.db.recordDailyUsage(tokens, cost);
+    }
+    const status = this.getStatus();
+
+    if (status.state !== before) {
+      console.warn(`⚠️ Daily AI budget ${status.state}: $${status.spent.toFixed(4)} of $${status.limit.toFixed(2)}`);
+    }
+    return status;
+  }
+
+  /**
+   * Today's spend against the limit
+   * @returns {Object} { spent, limit, ratio, tokens, requests, state, policy }
+   */
+  getStatus() {
+    const usage = this.db ? this.db.getDailyUsage() : { total_tokens: 0, estimated_cost: 0, requests: 0 };
+    const limit = this.getDailyLimit();
+    const spent = usage.estimated_cost || 0;
+    const ratio = limit > 0 ? spent / limit : 0;
+    const warningThreshold = this.costControls.warningThreshold || 0.8;
+
+    let state = 'ok';
+    if (limit > 0 && ratio >= 1) state = 'exhausted';
+    else if (limit > 0 && ratio >= warningThreshold) state = 'warning';
+
+    return {
+      spent,
+      limit,
+      ratio,
+      tokens: usage.total_tokens || 0,
+      requests: usage.requests || 0,
+      state,
+      policy: this.getPolicy()
+    };
+  }
+
+  isExhausted() {
+    return this.getStatus().state === 'exhausted';
+  }
+}
+
+BudgetManager.POLICIES = BUDGET_POLICIES;
+
+module.exports = BudgetManager;
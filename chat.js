@@ -0,0 +1,1128 @@
+// chat.js - The lock screen and Parent Settings page. Loaded from chat.html, whose
+// Content-Security-Policy allows no inline script, so controls are wired up here.
+
+// Everything the page can ask of the main process - see preload.js
+const { yesbut } = window;
+
+// Set when this is the parent window opened from the tray: 'settings', 'pause' or 'quit'
+const parentAction = new URLSearchParams(window.location.search).get('parent');
+
+let conversation = [];
+let currentStage = 'question'; // 'question', 'answer', 'understanding', 'complete'
+let childProfiles = [];
+let activeChildId = null;
+let activeStream = null; // { id, bubble } while an answer is being streamed in
+let streamCounter = 0;
+
+// Handle enter key
+document.getElementById('questionInput').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        sendMessage();
+    }
+});
+
+document.getElementById('sendBtn').addEventListener('click', sendMessage);
+document.getElementById('parentCog').addEventListener('click', openParentAuth);
+document.getElementById('switchChild').addEventListener('click', showChildPicker);
+document.querySelectorAll('[data-close]').forEach(button => {
+    button.addEventListener('click', () => closeModal(button.dataset.close));
+});
+
+// Each PIN digit moves on to the next, the last one checks the PIN
+['pin1', 'pin2', 'pin3', 'pin4'].forEach((id, index, ids) => {
+    const digit = document.getElementById(id);
+    digit.addEventListener('keyup', () => (index === ids.length - 1 ? verifyPin() : movePinFocus(digit, ids[index + 1])));
+    digit.addEventListener('keydown', event => handlePinBackspace(event, digit, ids[index - 1] || null));
+});
+
+document.getElementById('savePinSetupBtn').addEventListener('click', savePinSetup);
+document.getElementById('wellbeingSeenBtn').addEventListener('click', markWellbeingAlertsSeen);
+document.getElementById('settingsChild').addEventListener('change', event => loadChildSettings(event.target.value));
+document.getElementById('removeChildBtn').addEventListener('click', removeChild);
+document.getElementById('addChildBtn').addEventListener('click', addChild);
+document.getElementById('addScheduleRuleBtn').addEventListener('click', addScheduleRule);
+document.getElementById('historyChild').addEventListener('change', loadLearningHistory);
+document.getElementById('historyTopic').addEventListener('change', loadLearningHistory);
+document.getElementById('emergencyUnlockBtn').addEventListener('click', emergencyUnlock);
+document.getElementById('saveSettingsBtn').addEventListener('click', saveSettings);
+
+function useExample(question) {
+    document.getElementById('questionInput').value = question;
+    document.getElementById('exampleQuestions').style.display = 'none';
+    sendMessage();
+}
+
+async function sendMessage() {
+    const input = document.getElementById('questionInput');
+    const message = input.value.trim();
+
+    if (!message) return;
+
+    // Add user message to chat
+    addMessage(message, 'user');
+    input.value = '';
+
+    // Disable input while processing
+    setInputEnabled(false);
+
+    // Show typing indicator - streamed answers fill it in as they arrive
+    const typingDiv = showTyping();
+    activeStream = { id: ++streamCounter, bubble: typingDiv };
+
+    try {
+        // Send to main process for AI processing
+        const response = await yesbut.processMessage({
+            message,
+            stage: currentStage,
+            conversation,
+            streamId: activeStream.id
+        });
+        activeStream = null;
+
+        // Replace the streamed text with the final answer, or swap the typing indicator for it
+        if (typingDiv.querySelector('p')) {
+            typingDiv.querySelector('p').textContent = response.message;
+        } else {
+            typingDiv.remove();
+            addMessage(response.message, 'ai');
+        }
+
+        // Update conversation state
+        conversation.push({ user: message, ai: response.message });
+
+        // Handle stage progression with better state management
+        console.log('🔄 Stage transition:', response.stage);
+
+        if (response.stage === 'complete' || response.unlock) {
+            console.log('✅ Conversation complete - UNLOCKING COMPUTER!');
+            currentStage = 'question'; // Reset to question for next conversation
+            input.placeholder = "What do you want to know?";
+
+            // Immediately unlock the computer
+            if (response.unlock) {
+                setTimeout(() => {
+                    // Hand the computer back after showing the unlock message
+                    yesbut.unlock();
+                }, 2000); // Show unlock message for 2 seconds
+            }
+        } else if (response.stage === 'understanding') {
+            currentStage = 'understanding';
+            input.placeholder = "What did you learn?";
+        }
+
+        // The main process counts attempts and decides when a skip is allowed
+        if (response.canSkip) {
+            showSkipButton();
+        } else if (!response.unlock) {
+            document.getElementById('unlockBtn').style.display = 'none';
+        }
+
+        if (!response.unlock) {
+            setInputEnabled(true);
+            input.focus();
+        }
+
+    } catch (error) {
+        activeStream = null;
+        typingDiv.remove();
+        addMessage("Oops! Try again or press Ctrl+Shift+Q.", 'system');
+        setInputEnabled(true);
+    }
+}
+
+function addMessage(text, type) {
+    const chatArea = document.getElementById('chatArea');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${type}-message`;
+    // Child and AI text is shown as typed, never parsed as HTML
+    const paragraph = document.createElement('p');
+    paragraph.textContent = text;
+    messageDiv.appendChild(paragraph);
+    chatArea.appendChild(messageDiv);
+    chatArea.scrollTop = chatArea.scrollHeight;
+}
+
+const TYPING_DOTS = '<span class="loading"></span><span class="loading"></span><span class="loading"></span>';
+
+function showTyping() {
+    const chatArea = document.getElementById('chatArea');
+    const typingDiv = document.createElement('div');
+    typingDiv.className = 'message ai-message';
+    typingDiv.innerHTML = TYPING_DOTS;
+    chatArea.appendChild(typingDiv);
+    chatArea.scrollTop = chatArea.scrollHeight;
+    return typingDiv;
+}
+
+// Main process sends the answer so far while it is generated; empty text means it started over
+yesbut.onStream(({ streamId, text }) => {
+    if (!activeStream || activeStream.id !== streamId) return;
+
+    const bubble = activeStream.bubble;
+    if (!text) {
+        bubble.innerHTML = TYPING_DOTS;
+        return;
+    }
+    if (!bubble.querySelector('p')) {
+        bubble.innerHTML = '<p></p>';
+    }
+    bubble.querySelector('p').textContent = text;
+
+    const chatArea = document.getElementById('chatArea');
+    chatArea.scrollTop = chatArea.scrollHeight;
+});
+
+function setInputEnabled(enabled) {
+    document.getElementById('questionInput').disabled = !enabled;
+    document.getElementById('sendBtn').disabled = !enabled;
+}
+
+// Let a struggling child move on - they can still keep trying instead
+function showSkipButton() {
+    showUnlockButton('⏭️ Skip for now');
+    setInputEnabled(true);
+}
+
+function showUnlockButton(label = '🎉 Unlock Computer') {
+    document.getElementById('unlockBtn').textContent = label;
+    document.getElementById('unlockBtn').style.display = 'block';
+    document.getElementById('unlockBtn').onclick = () => {
+        const btn = document.getElementById('unlockBtn');
+
+        // Visual feedback
+        btn.textContent = 'Unlocking...';
+        btn.style.backgroundColor = '#45a049';
+        btn.disabled = true;
+
+        console.log('Unlock button clicked! Sending IPC message...');
+
+        try {
+            yesbut.unlock();
+            console.log('IPC message sent successfully');
+
+            // Additional visual feedback
+            btn.textContent = 'Success! Closing...';
+            btn.style.backgroundColor = '#4CAF50';
+        } catch (error) {
+            console.error('Error sending unlock IPC:', error);
+            btn.textContent = 'Error - Press Ctrl+Shift+Q';
+            btn.style.backgroundColor = '#f44336';
+            btn.disabled = false;
+        }
+    };
+    setInputEnabled(false);
+}
+
+// Prevent right-click
+document.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    return false;
+});
+
+// Parent Settings Functionality
+let pinSetupMode = 'create'; // 'create' on first run, 'change' when the old default PIN must be replaced
+
+async function openParentAuth() {
+    const pinStatus = await yesbut.getPinStatus();
+    if (pinStatus.setupRequired) {
+        // The first PIN is chosen in the window YesButFirst opens on its first start, never here
+        if (parentAction) {
+            openPinSetup('create');
+        } else {
+            showValidationError('No parent PIN has been set yet. Restart YesButFirst to choose one.');
+        }
+        return;
+    }
+
+    document.getElementById('parentAuthModal').style.display = 'block';
+    // Clear PIN inputs
+    for (let i = 1; i <= 4; i++) {
+        document.getElementById(`pin${i}`).value = '';
+    }
+    document.getElementById('pinError').style.display = 'none';
+    document.getElementById('pin1').focus();
+
+    if (pinStatus.lockedUntil) {
+        showPinLockout(pinStatus.retryAfterMs);
+    }
+}
+
+function showPinLockout(retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+    document.getElementById('pinError').textContent = `Too many wrong PINs. Try again in ${wait}.`;
+    document.getElementById('pinError').style.display = 'block';
+}
+
+function openPinSetup(mode) {
+    pinSetupMode = mode;
+    document.getElementById('pinSetupMessage').textContent = mode === 'create'
+        ? 'Create a 4-digit PIN that only parents know:'
+        : 'Your PIN is still the old default. Please choose a new 4-digit PIN:';
+    document.getElementById('setupPin').value = '';
+    document.getElementById('setupPinConfirm').value = '';
+    document.getElementById('pinSetupModal').style.display = 'block';
+    document.getElementById('setupPin').focus();
+}
+
+async function savePinSetup() {
+    const newPin = document.getElementById('setupPin').value;
+    const confirmPin = document.getElementById('setupPinConfirm').value;
+
+    if (newPin !== confirmPin) {
+        showValidationError('PIN confirmation does not match. Please try again.');
+        return;
+    }
+    if (!/^\d{4}$/.test(newPin) || newPin === '0000') {
+        showValidationError('PIN must be exactly 4 digits and not 0000.');
+        return;
+    }
+
+    const channel = pinSetupMode === 'create' ? 'set-initial-pin' : 'update-parent-pin';
+    const saved = await (pinSetupMode === 'create' ? yesbut.setInitialPin(newPin) : yesbut.updatePin(newPin));
+    if (!saved) {
+        showValidationError('Could not save the PIN. Please try again.');
+        return;
+    }
+
+    closeModal('pinSetupModal', true);
+    await continueAsParent();
+}
+
+// After the PIN: Parent Settings, or the tray action the parent window was opened for
+async function continueAsParent() {
+    if (parentAction === 'pause' || parentAction === 'quit') {
+        await (parentAction === 'pause' ? yesbut.pauseLocking() : yesbut.quitApp());
+        window.close();
+        return;
+    }
+    await openParentSettings();
+}
+
+// keepWindow: another modal follows, so the parent window stays open
+function closeModal(modalId, keepWindow = false) {
+    document.getElementById(modalId).style.display = 'none';
+    if (!keepWindow) {
+        // Whatever the parent was doing is finished - the next parent action asks for the PIN again
+        yesbut.endParentSession();
+    }
+    if (parentAction && !keepWindow) {
+        window.close();
+        return;
+    }
+
+    // Restore focus to main input field after closing any modal
+    setTimeout(() => {
+        const mainInput = document.getElementById('questionInput');
+        if (mainInput && !mainInput.disabled) {
+            mainInput.focus();
+        }
+    }, 100);
+}
+
+function movePinFocus(current, nextId) {
+    if (current.value.length === 1 && nextId) {
+        document.getElementById(nextId).focus();
+    }
+}
+
+function handlePinBackspace(event, current, prevId) {
+    if (event.key === 'Backspace' && current.value === '' && prevId) {
+        document.getElementById(prevId).focus();
+    }
+}
+
+async function verifyPin() {
+    let pin = '';
+    for (let i = 1; i <= 4; i++) {
+        const digit = document.getElementById(`pin${i}`).value;
+        if (!digit) return; // Wait for all digits
+        pin += digit;
+    }
+
+    try {
+        const result = await yesbut.verifyPin(pin);
+        if (result.success) {
+            closeModal('parentAuthModal', true);
+            if (result.mustChangePin) {
+                openPinSetup('change');
+            } else {
+                await continueAsParent();
+            }
+        } else {
+            if (result.lockedUntil) {
+                showPinLockout(result.retryAfterMs);
+            } else {
+                document.getElementById('pinError').textContent = 'Incorrect PIN. Please try again.';
+                document.getElementById('pinError').style.display = 'block';
+            }
+            // Clear PIN inputs
+            for (let i = 1; i <= 4; i++) {
+                document.getElementById(`pin${i}`).value = '';
+            }
+            document.getElementById('pin1').focus();
+        }
+    } catch (error) {
+        console.error('PIN verification error:', error);
+        document.getElementById('pinError').textContent = 'Error verifying PIN. Please try again.';
+        document.getElementById('pinError').style.display = 'block';
+    }
+}
+
+async function openParentSettings() {
+    try {
+        // Load current settings
+        const emergencyCount = await yesbut.getEmergencyUnlockCount();
+
+        // Populate child profiles, starting with the child at the computer
+        await loadSettingsChildren(activeChildId);
+
+        // Update statistics
+        document.getElementById('emergencyCount').textContent = emergencyCount;
+
+        // Populate AI budget
+        await loadBudgetStatus();
+
+        // Populate lock schedule
+        await loadLockSchedule();
+
+        // Populate learning history
+        await loadHistoryTopics();
+        await loadLearningHistory();
+        await loadBlockedQuestions();
+        await loadWellbeingAlerts();
+
+        // Clear PIN change fields
+        document.getElementById('newPin').value = '';
+        document.getElementById('confirmPin').value = '';
+
+        // Show settings modal
+        document.getElementById('parentSettingsModal').style.display = 'block';
+    } catch (error) {
+        console.error('Error loading parent settings:', error);
+        showValidationError('Error loading settings. Please try again.');
+    }
+}
+
+async function loadSettingsChildren(selectedId) {
+    const result = await yesbut.getChildProfiles();
+    childProfiles = result.profiles;
+
+    const childSelect = document.getElementById('settingsChild');
+    const historySelect = document.getElementById('historyChild');
+    childSelect.innerHTML = '';
+    historySelect.innerHTML = '<option value="">All children</option>';
+    childProfiles.forEach(profile => {
+        [childSelect, historySelect].forEach(select => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name || 'Child';
+            select.appendChild(option);
+        });
+    });
+
+    const selected = childProfiles.find(profile => profile.id === selectedId) || childProfiles[0];
+    if (selected) {
+        childSelect.value = selected.id;
+        await loadChildSettings(selected.id);
+    }
+}
+
+// Replace a select's options with { value: label } pairs
+function fillSelect(id, options = {}, value) {
+    const select = document.getElementById(id);
+    select.innerHTML = '';
+    Object.entries(options).forEach(([optionValue, label]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = value;
+}
+
+// Profile, rules and interests of the child chosen in Parent Settings
+async function loadChildSettings(childId) {
+    const id = parseInt(childId, 10);
+    const profile = await yesbut.getChildProfile(id);
+    const interests = await yesbut.getInterests(id);
+
+    // Populate profile fields
+    document.getElementById('childName').value = profile.name || '';
+    document.getElementById('childAge').value = profile.age || '';
+    document.getElementById('childGender').value = profile.gender || '';
+    document.getElementById('childMaxMessages').value = profile.maxConversationLength || '';
+    fillSelect('childStrictness', profile.strictnessLevels, profile.strictness);
+    fillSelect('childFailurePolicy', profile.failurePolicies, profile.failurePolicy);
+    fillSelect('childPrivacyLevel', profile.privacyLevels, profile.privacyLevel);
+    document.getElementById('childUnlockedMinutes').value = profile.unlockedMinutes !== undefined ? profile.unlockedMinutes : '';
+    document.getElementById('interestsChildName').textContent = profile.name || 'your child';
+
+    // Populate interests
+    const interestsGrid = document.getElementById('interestsGrid');
+    interestsGrid.innerHTML = '';
+    interests.forEach(interest => {
+        const item = document.createElement('div');
+        item.className = 'interest-item';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `interest-${interest.id}`;
+        checkbox.className = 'interest-checkbox';
+        checkbox.checked = Boolean(interest.selected);
+        checkbox.addEventListener('change', () => toggleInterest(interest.id, checkbox.checked));
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.textContent = interest.name;
+        item.append(checkbox, label);
+        interestsGrid.appendChild(item);
+    });
+}
+
+async function addChild() {
+    const nameInput = document.getElementById('newChildName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showValidationError("Please enter the child's name.");
+        return;
+    }
+
+    const childId = await yesbut.addChildProfile({ name });
+    if (!childId) {
+        showValidationError('Could not add the child. Please try again.');
+        return;
+    }
+    nameInput.value = '';
+    await loadSettingsChildren(childId);
+}
+
+async function removeChild() {
+    const childSelect = document.getElementById('settingsChild');
+    if (childProfiles.length <= 1) {
+        showValidationError('At least one child profile is needed.');
+        return;
+    }
+
+    const name = childSelect.options[childSelect.selectedIndex].textContent;
+    if (!confirm(`Remove ${name}'s profile, interests and learning history?`)) return;
+
+    const removed = await yesbut.deleteChildProfile(parseInt(childSelect.value, 10));
+    if (!removed) {
+        showValidationError('Could not remove the profile. Please try again.');
+        return;
+    }
+    await loadSettingsChildren(null);
+    await loadLearningHistory();
+    await loadBlockedQuestions();
+
+    // The child at the computer was removed - ask again who is using it
+    if (!childProfiles.some(profile => profile.id === activeChildId)) {
+        activeChildId = null;
+        if (childProfiles.length > 1) {
+            showChildPicker();
+        } else {
+            document.getElementById('switchChild').style.display = 'none';
+            loadExampleQuestions();
+        }
+    }
+}
+
+async function loadBudgetStatus() {
+    const budget = await yesbut.getBudgetStatus();
+    if (!budget) return;
+
+    document.getElementById('budgetSpent').textContent = `$${budget.spent.toFixed(4)}`;
+    document.getElementById('budgetLimit').textContent = budget.limit > 0 ? `$${budget.limit.toFixed(2)}` : 'no limit';
+    document.getElementById('budgetRequests').textContent = budget.requests;
+    document.getElementById('budgetDailyLimit').value = budget.limit;
+
+    fillSelect('budgetPolicy', budget.policies, budget.policy);
+
+    showBudgetWarning(budget);
+}
+
+function showBudgetWarning(budget) {
+    const warning = document.getElementById('budgetWarning');
+    const percentage = Math.round(budget.ratio * 100);
+
+    if (budget.state === 'exhausted') {
+        warning.textContent = `Today's AI budget is used up (${percentage}%). New questions follow your "when used up" setting.`;
+    } else if (budget.state === 'warning') {
+        warning.textContent = `${percentage}% of today's AI budget has been used.`;
+    }
+    warning.classList.toggle('exhausted', budget.state === 'exhausted');
+    warning.style.display = budget.state === 'ok' ? 'none' : 'block';
+    document.getElementById('parentCog').classList.toggle('alert', budget.state !== 'ok');
+}
+
+// Main process reports when spending crosses the warning threshold
+let scheduleOptions = { actions: {}, days: [] };
+
+async function loadLockSchedule() {
+    const schedule = await yesbut.getLockSchedule();
+    scheduleOptions = schedule;
+    const container = document.getElementById('scheduleRules');
+    container.innerHTML = '';
+    if (schedule.rules.length === 0) {
+        container.innerHTML = '<p class="schedule-empty" style="color: #666;">No schedule - the lock screen shows every time the computer starts.</p>';
+    }
+    schedule.rules.forEach(renderScheduleRule);
+}
+
+function addScheduleRule() {
+    const empty = document.querySelector('#scheduleRules .schedule-empty');
+    if (empty) empty.remove();
+    renderScheduleRule({ days: [1, 2, 3, 4, 5], start: '15:00', end: '18:00', action: 'question', every: 60, enabled: true });
+}
+
+// One editable rule: days, time window, what happens and how often
+function renderScheduleRule(rule) {
+    const row = document.createElement('div');
+    row.className = 'schedule-rule';
+    row.classList.toggle('disabled', !rule.enabled);
+
+    const days = document.createElement('div');
+    days.className = 'schedule-days';
+    scheduleOptions.days.forEach((name, day) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'schedule-day';
+        checkbox.value = day;
+        checkbox.checked = rule.days.includes(day);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(name));
+        days.appendChild(label);
+    });
+    row.appendChild(days);
+
+    const fields = document.createElement('div');
+    fields.className = 'form-row';
+    fields.innerHTML = `
+        <input type="time" class="form-input schedule-start">
+        <span>to</span>
+        <input type="time" class="form-input schedule-end">
+        <select class="form-input schedule-action"></select>
+        <input type="number" class="form-input schedule-every" min="1" max="600" placeholder="Minutes unlocked">
+        <label><input type="checkbox" class="schedule-enabled"> On</label>
+        <button class="btn btn-secondary">Remove</button>
+    `;
+    row.appendChild(fields);
+    fields.querySelector('.schedule-start').value = rule.start;
+    fields.querySelector('.schedule-end').value = rule.end;
+
+    const action = fields.querySelector('.schedule-action');
+    Object.entries(scheduleOptions.actions).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        action.appendChild(option);
+    });
+    action.value = rule.action;
+
+    const every = fields.querySelector('.schedule-every');
+    every.value = rule.every || '';
+    every.style.visibility = rule.action === 'question' ? 'visible' : 'hidden';
+    action.onchange = () => {
+        every.style.visibility = action.value === 'question' ? 'visible' : 'hidden';
+    };
+
+    const enabled = fields.querySelector('.schedule-enabled');
+    enabled.checked = rule.enabled;
+    enabled.onchange = () => row.classList.toggle('disabled', !enabled.checked);
+
+    fields.querySelector('button').onclick = () => row.remove();
+    document.getElementById('scheduleRules').appendChild(row);
+}
+
+function readScheduleRules() {
+    return Array.from(document.querySelectorAll('#scheduleRules .schedule-rule')).map(row => ({
+        days: Array.from(row.querySelectorAll('.schedule-day:checked')).map(checkbox => parseInt(checkbox.value, 10)),
+        start: row.querySelector('.schedule-start').value,
+        end: row.querySelector('.schedule-end').value,
+        action: row.querySelector('.schedule-action').value,
+        every: row.querySelector('.schedule-every').value,
+        enabled: row.querySelector('.schedule-enabled').checked
+    }));
+}
+
+yesbut.onBudgetStatus(budget => {
+    document.getElementById('parentCog').classList.toggle('alert', budget.state !== 'ok');
+});
+
+async function loadHistoryTopics() {
+    const topics = await yesbut.getHistoryTopics();
+    const topicSelect = document.getElementById('historyTopic');
+    topicSelect.innerHTML = '<option value="">All topics</option>';
+    topics.forEach(topic => {
+        const option = document.createElement('option');
+        option.value = topic;
+        option.textContent = topic.charAt(0).toUpperCase() + topic.slice(1);
+        topicSelect.appendChild(option);
+    });
+}
+
+async function loadLearningHistory() {
+    const topic = document.getElementById('historyTopic').value;
+    const timeline = document.getElementById('historyTimeline');
+    timeline.innerHTML = '';
+
+    try {
+        const childId = parseInt(document.getElementById('historyChild').value, 10) || null;
+        const sessions = await yesbut.getLearningHistory({ topic: topic || null, childId });
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('p');
+            empty.style.color = '#666';
+            empty.textContent = topic ? 'No sessions about this topic yet.' : 'No sessions yet.';
+            timeline.appendChild(empty);
+            return;
+        }
+
+        // Sessions arrive newest first, so a new heading starts whenever the day changes
+        let currentDay = null;
+        sessions.forEach(session => {
+            if (session.day !== currentDay) {
+                currentDay = session.day;
+                const dayHeading = document.createElement('div');
+                dayHeading.className = 'history-day';
+                dayHeading.textContent = new Date(`${session.day}T00:00:00`).toLocaleDateString(undefined, {
+                    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+                });
+                timeline.appendChild(dayHeading);
+            }
+            timeline.appendChild(renderHistorySession(session));
+        });
+    } catch (error) {
+        console.error('Error loading learning history:', error);
+    }
+}
+
+function renderHistorySession(session) {
+    const sessionDiv = document.createElement('div');
+    sessionDiv.className = 'history-session';
+
+    const header = document.createElement('div');
+    header.className = 'history-session-header';
+    const started = document.createElement('span');
+    started.textContent = [session.start_time.slice(0, 5), session.child_name, session.topics.join(', ')]
+        .filter(Boolean).join(' · ');
+    const outcome = document.createElement('span');
+    outcome.className = `history-outcome ${session.outcome || ''}`;
+    outcome.textContent = session.outcome || 'in progress';
+    if (session.failed_attempts > 0) {
+        outcome.textContent += ` after ${session.failed_attempts} ${session.failed_attempts === 1 ? 'retry' : 'retries'}`;
+    }
+    header.appendChild(started);
+    header.appendChild(outcome);
+    sessionDiv.appendChild(header);
+
+    // Child and AI text is shown with textContent so it can never inject markup
+    const addLine = (label, text) => {
+        if (!text) return;
+        const line = document.createElement('div');
+        line.className = 'history-turn';
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'history-label';
+        labelSpan.textContent = `${label}: `;
+        line.appendChild(labelSpan);
+        line.appendChild(document.createTextNode(text));
+        sessionDiv.appendChild(line);
+    };
+
+    session.turns.forEach(turn => {
+        if (turn.child_reply) {
+            addLine('Answer', turn.child_reply);
+            if (turn.feedback) addLine('Feedback', turn.feedback);
+        } else {
+            addLine('Question', turn.question);
+            addLine(turn.provider ? `Explanation (${turn.provider})` : 'Explanation', turn.ai_answer);
+        }
+    });
+
+    return sessionDiv;
+}
+
+async function loadBlockedQuestions() {
+    const list = document.getElementById('blockedQuestions');
+    list.innerHTML = '';
+
+    try {
+        const blocked = await yesbut.getBlockedQuestions({});
+        if (blocked.length === 0) {
+            const empty = document.createElement('p');
+            empty.style.color = '#666';
+            empty.textContent = 'Nothing has been blocked.';
+            list.appendChild(empty);
+            return;
+        }
+
+        blocked.forEach(entry => {
+            const entryDiv = document.createElement('div');
+            entryDiv.className = 'history-session blocked';
+
+            const header = document.createElement('div');
+            header.className = 'history-session-header';
+            const when = document.createElement('span');
+            when.textContent = [entry.created_at.slice(0, 16), entry.child_name].filter(Boolean).join(' · ');
+            const reason = document.createElement('span');
+            reason.className = 'history-outcome emergency';
+            reason.textContent = `${entry.topic} (${entry.layer === 'model' ? 'AI check' : 'keyword check'})`;
+            header.appendChild(when);
+            header.appendChild(reason);
+            entryDiv.appendChild(header);
+
+            // The child's text goes in with textContent so it can never inject markup
+            const question = document.createElement('div');
+            question.className = 'history-turn';
+            question.textContent = entry.question;
+            entryDiv.appendChild(question);
+
+            list.appendChild(entryDiv);
+        });
+    } catch (error) {
+        console.error('Error loading blocked questions:', error);
+    }
+}
+
+const WELLBEING_LABELS = {
+    'self-harm': 'Talked about hurting themselves',
+    bullying: 'Might be being bullied',
+    distress: 'Sounded very upset'
+};
+
+async function loadWellbeingAlerts() {
+    const banner = document.getElementById('wellbeingAlerts');
+    const list = document.getElementById('wellbeingAlertList');
+    list.innerHTML = '';
+
+    try {
+        const alerts = await yesbut.getWellbeingAlerts();
+        banner.style.display = alerts.length > 0 ? 'block' : 'none';
+
+        alerts.forEach(alert => {
+            const entryDiv = document.createElement('div');
+            entryDiv.className = 'history-session blocked';
+
+            const header = document.createElement('div');
+            header.className = 'history-session-header';
+            const when = document.createElement('span');
+            when.textContent = [alert.created_at.slice(0, 16), alert.child_name].filter(Boolean).join(' · ');
+            const concern = document.createElement('span');
+            concern.className = 'history-outcome emergency';
+            concern.textContent = WELLBEING_LABELS[alert.concern] || alert.concern;
+            header.appendChild(when);
+            header.appendChild(concern);
+            entryDiv.appendChild(header);
+
+            const message = document.createElement('div');
+            message.className = 'history-turn';
+            message.textContent = alert.message;
+            entryDiv.appendChild(message);
+
+            list.appendChild(entryDiv);
+        });
+    } catch (error) {
+        console.error('Error loading wellbeing alerts:', error);
+    }
+}
+
+async function markWellbeingAlertsSeen() {
+    await yesbut.markWellbeingAlertsSeen();
+    await loadWellbeingAlerts();
+}
+
+function toggleInterest(interestId, selected) {
+    // We'll save all changes when the user clicks "Save Settings"
+    // For now, just update the UI
+}
+
+function showValidationError(message) {
+    const errorMsg = document.createElement('div');
+    errorMsg.style.cssText = 'position: fixed; top: 20px; left: 50%; transform: translateX(-50%); background: #f44336; color: white; padding: 10px 20px; border-radius: 5px; z-index: 10000;';
+    errorMsg.textContent = message;
+    document.body.appendChild(errorMsg);
+
+    setTimeout(() => {
+        errorMsg.remove();
+    }, 3000);
+}
+
+async function saveSettings() {
+    try {
+        const childId = parseInt(document.getElementById('settingsChild').value, 10);
+        const name = document.getElementById('childName').value.trim();
+        const age = document.getElementById('childAge').value;
+        const gender = document.getElementById('childGender').value;
+        const maxConversationLength = document.getElementById('childMaxMessages').value;
+        const strictness = document.getElementById('childStrictness').value;
+        const failurePolicy = document.getElementById('childFailurePolicy').value;
+        const privacyLevel = document.getElementById('childPrivacyLevel').value;
+        const unlockedMinutes = document.getElementById('childUnlockedMinutes').value;
+        const newPin = document.getElementById('newPin').value;
+        const confirmPin = document.getElementById('confirmPin').value;
+
+        // Validate PIN change if provided
+        if (newPin || confirmPin) {
+            if (newPin !== confirmPin) {
+                showValidationError('PIN confirmation does not match. Please try again.');
+                return;
+            }
+            if (newPin.length !== 4 || !/^\d{4}$/.test(newPin)) {
+                showValidationError('PIN must be exactly 4 digits.');
+                return;
+            }
+        }
+
+        // Save the lock schedule first, so an invalid rule stops the whole save
+        const scheduleSaved = await yesbut.updateLockSchedule(readScheduleRules());
+        if (!scheduleSaved) {
+            showValidationError('Each schedule rule needs at least one day, a start and end time, and minutes for question rules.');
+            return;
+        }
+
+        // Save the selected child's profile and rules
+        await yesbut.updateChildProfile({
+            id: childId,
+            name: name || null,
+            age: age || null,
+            gender: gender || null,
+            maxConversationLength: maxConversationLength || undefined,
+            strictness,
+            failurePolicy,
+            privacyLevel,
+            unlockedMinutes: unlockedMinutes || undefined
+        });
+
+        // Save selected interests
+        const interests = [];
+        document.querySelectorAll('.interest-checkbox').forEach(checkbox => {
+            const interestId = parseInt(checkbox.id.replace('interest-', ''));
+            interests.push({ id: interestId, selected: checkbox.checked });
+        });
+        await yesbut.updateInterests(interests, childId);
+
+        // Save AI budget settings
+        const dailyLimit = document.getElementById('budgetDailyLimit').value;
+        const policy = document.getElementById('budgetPolicy').value;
+        if (dailyLimit !== '' && policy) {
+            await yesbut.updateBudgetSettings({ dailyLimit, policy });
+        }
+
+        // Update PIN if changed
+        if (newPin) {
+            await yesbut.updatePin(newPin);
+        }
+
+        // Refresh the picker and example questions with the new profiles
+        const profiles = await yesbut.getChildProfiles();
+        childProfiles = profiles.profiles;
+        const activeProfile = childProfiles.find(profile => profile.id === activeChildId);
+        if (activeProfile && childProfiles.length > 1) {
+            document.getElementById('switchChild').textContent = `Not ${activeProfile.name || 'Child'}? Switch`;
+            document.getElementById('switchChild').style.display = 'block';
+        }
+        loadExampleQuestions();
+
+        // Close modal first, then show success message
+        closeModal('parentSettingsModal');
+
+        // Create a temporary success message instead of alert
+        const successMsg = document.createElement('div');
+        successMsg.style.cssText = 'position: fixed; top: 20px; left: 50%; transform: translateX(-50%); background: #4CAF50; color: white; padding: 10px 20px; border-radius: 5px; z-index: 10000;';
+        successMsg.textContent = 'Settings saved successfully!';
+        document.body.appendChild(successMsg);
+
+        // Remove success message after 2 seconds
+        setTimeout(() => {
+            successMsg.remove();
+        }, 2000);
+
+        // Ensure main input is enabled and focused immediately, unless the child still has to be picked
+        setInputEnabled(document.getElementById('childPicker').style.display !== 'block');
+        const mainInput = document.getElementById('questionInput');
+        if (mainInput) {
+            mainInput.focus();
+        }
+
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        // Show error message without alert
+        const errorMsg = document.createElement('div');
+        errorMsg.style.cssText = 'position: fixed; top: 20px; left: 50%; transform: translateX(-50%); background: #dc3545; color: white; padding: 10px 20px; border-radius: 5px; z-index: 10000;';
+        errorMsg.textContent = 'Error saving settings. Please try again.';
+        document.body.appendChild(errorMsg);
+
+        setTimeout(() => {
+            errorMsg.remove();
+        }, 3000);
+    }
+}
+
+async function emergencyUnlock() {
+    if (confirm('Are you sure you want to perform an emergency unlock? This unlocks the computer for an hour.')) {
+        try {
+            await yesbut.emergencyUnlock();
+        } catch (error) {
+            console.error('Emergency unlock error:', error);
+            // Fallback to regular unlock
+            yesbut.unlock();
+        }
+    }
+}
+
+// Close modals when clicking outside
+window.onclick = function(event) {
+    const authModal = document.getElementById('parentAuthModal');
+    const settingsModal = document.getElementById('parentSettingsModal');
+    const pinSetupModal = document.getElementById('pinSetupModal');
+
+    if (event.target === authModal) {
+        closeModal('parentAuthModal');
+    }
+    if (event.target === settingsModal) {
+        closeModal('parentSettingsModal');
+    }
+    if (event.target === pinSetupModal) {
+        closeModal('pinSetupModal');
+    }
+};
+
+// Ask who is at the computer (when there is more than one child), then load their example questions
+document.addEventListener('DOMContentLoaded', async function() {
+    if (parentAction) {
+        document.body.classList.add('parent-window');
+        await openParentAuth();
+        return;
+    }
+
+    await loadChildProfiles();
+
+    setTimeout(() => {
+        const mainInput = document.getElementById('questionInput');
+        if (mainInput) {
+            mainInput.focus();
+        }
+    }, 100);
+});
+
+async function loadChildProfiles() {
+    try {
+        const result = await yesbut.getChildProfiles();
+        childProfiles = result.profiles;
+        activeChildId = result.activeChildId;
+    } catch (error) {
+        console.error('Error loading child profiles:', error);
+        childProfiles = [];
+    }
+
+    if (childProfiles.length > 1) {
+        showChildPicker();
+    } else {
+        document.getElementById('switchChild').style.display = 'none';
+        loadExampleQuestions();
+    }
+}
+
+function showChildPicker() {
+    const buttons = document.getElementById('childPickerButtons');
+    buttons.innerHTML = '';
+    childProfiles.forEach(profile => {
+        const button = document.createElement('button');
+        button.className = 'child-btn';
+        button.textContent = profile.name || 'Child';
+        button.onclick = () => selectChild(profile.id);
+        buttons.appendChild(button);
+    });
+
+    document.getElementById('childPicker').style.display = 'block';
+    document.getElementById('exampleQuestions').style.display = 'none';
+    document.getElementById('switchChild').style.display = 'none';
+    setInputEnabled(false);
+}
+
+async function selectChild(childId) {
+    const selected = await yesbut.selectChild(childId);
+    if (!selected) {
+        // Once a child has picked, only a parent can move the lock screen to another profile
+        if (childProfiles.some(profile => profile.id === activeChildId)) {
+            showValidationError('Ask a parent to enter the PIN to switch profiles.');
+            await showActiveChild();
+        } else {
+            showValidationError('Could not switch profiles. Please try again.');
+        }
+        return;
+    }
+
+    // A new child starts a fresh conversation
+    if (childId !== activeChildId && conversation.length > 0) {
+        document.querySelectorAll('#chatArea .user-message, #chatArea .ai-message').forEach(message => message.remove());
+        conversation = [];
+        currentStage = 'question';
+        document.getElementById('unlockBtn').style.display = 'none';
+        document.getElementById('questionInput').placeholder = 'Type your question here...';
+    }
+    activeChildId = childId;
+    await showActiveChild();
+}
+
+// Put the picker away and greet the child whose profile is in use
+async function showActiveChild() {
+    const profile = childProfiles.find(child => child.id === activeChildId);
+    const name = (profile && profile.name) || 'Child';
+    document.getElementById('childPicker').style.display = 'none';
+    const switchLink = document.getElementById('switchChild');
+    switchLink.textContent = `Not ${name}? Switch`;
+    switchLink.style.display = 'block';
+
+    document.getElementById('exampleQuestions').style.display = '';
+    await loadExampleQuestions();
+    setInputEnabled(true);
+    document.getElementById('questionInput').focus();
+}
+
+async function loadExampleQuestions() {
+    try {
+        const questions = await yesbut.getExampleQuestions();
+        const exampleContainer = document.getElementById('exampleQuestions');
+
+        // Clear existing content except the intro text
+        const introText = exampleContainer.querySelector('p');
+        exampleContainer.innerHTML = '';
+        exampleContainer.appendChild(introText);
+
+        // Add personalized questions
+        questions.forEach(question => {
+            const button = document.createElement('button');
+            button.className = 'example-btn';
+            button.textContent = question;
+            button.onclick = () => useExample(question);
+            exampleContainer.appendChild(button);
+        });
+    } catch (error) {
+        console.error('Error loading example questions:', error);
+        // Fallback to default questions
+        loadDefaultExampleQuestions();
+    }
+}
+
+function loadDefaultExampleQuestions() {
+    const exampleContainer = document.getElementById('exampleQuestions');
+    const defaultQuestions = [
+        "Why is the sky blue?",
+        "How does the internet work?",
+        "What causes rainbows?"
+    ];
+
+    const introText = exampleContainer.querySelector('p');
+    exampleContainer.innerHTML = '';
+    exampleContainer.appendChild(introText);
+
+    defaultQuestions.forEach(question => {
+        const button = document.createElement('button');
+        button.className = 'example-btn';
+        button.textContent = question;
+        button.onclick = () => useExample(question);
+        exampleContainer.appendChild(button);
+    });
+}
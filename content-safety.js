@@ -0,0 +1,113 @@
+// content-safety.js - Screen a child's question before it reaches the AI: a local keyword and
+// pattern check for each blocked topic, then optionally the AI's own judgement
+
+// JSON Schema for the model check, sent to providers that support structured output
+const SAFETY_SCHEMA = {
+  type: 'object',
+  properties: {
+    blocked: { type: 'boolean', description: 'Does the question seek content in one of the blocked topics?' },
+    topic: { type: ['string', 'null'], description: 'The blocked topic it falls under, or null' }
+  },
+  required: ['blocked', 'topic'],
+  additionalProperties: false
+};
+
+// Written into the prompt for providers without a native JSON mode
+const SAFETY_FORMAT = '{"blocked": true or false, "topic": "the blocked topic" or null}';
+
+const DEFAULT_REDIRECT = "Let's explore something else! How about asking about science, nature, technology, or history?";
+
+// Patterns for the topics in ai-config's safety.blockTopics. They look for wanting to do, see or
+// find something harmful - asking *about* a subject (why volcanoes explode, how knights fought,
+// what poison dart frogs eat) is what the app is for and must get through.
+const TOPIC_PATTERNS = {
+  violence: [
+    /\b(how (do|can|could|would|should|to)|i want to|i'm going to|im going to|gonna|i'll|help me)\b.*\b(kill|murder|stab|strangle|shoot|poison|beat up|hurt)\b (my |our |a |the |his |her |that |this )?(brother|sister|mom|mum|mother|dad|father|teacher|friend|classmate|neighbou?r|baby|kid|person|someone|somebody|people|him|her|them)\b/,
+    /\bget away with (murder|killing|hurting)\b/
+  ],
+  'explicit content': [
+    /\b(porn|porno|pornography|xxx|nsfw|hentai|onlyfans)\b/,
+    /\b(nudes|nude (pics|pictures|photos|videos)|naked (pics|pictures|photos|videos|girls|boys|women|men|people))\b/,
+    /\b(sex|sexy) (videos?|pics|pictures|photos|websites?|sites?|games?)\b/
+  ],
+  'dangerous activities': [
+    /\b(how (do|can|could|would|should) (i|you|we)|how to|i want to|i wanna|i'm going to|im going to|gonna|help me|steps to|teach me|show me how)\b.*\b(make|build|mix|cook) (a |an |some )?(bomb|pipe bomb|explosives?|molotov|napalm|meth|poison gas|chlorine gas)\b/,
+    /\bhow (do|can|to) (i|you|we)\b.*\b(get high|get drunk|buy (drugs|weed|alcohol|beer|cigarettes|vapes?)|hotwire|set (something|it|him|her|a \w+) on fire)\b/,
+    /\b(choking|blackout|pass out|tide pod|benadryl|fire) challenge\b/,
+    /\bmix(ing)? bleach (and|with)\b/
+  ],
+  'personal information': [
+    /\bhome address of\b/,
+    /\bwhat is \w+('s| s) (home address|address|phone number|password|passcode)\b/,
+    /\b(find out )?where (does|do) (my |our )?(teacher|classmate|neighbou?r|friend|crush)s? live\b/,
+    /\b(hack|hack into|break into|guess) (my |someone's |somebody's |\w+'s )?(parents' |mom's |mum's |dad's |teacher's )?(account|password|email|instagram|snapchat|tiktok)\b/
+  ]
+};
+
+// Lower case, straight apostrophes and single spaces, so patterns needn't allow for typing habits
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’`]/g, "'")
+    .replace(/[^a-z0-9'\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class ContentSafety {
+  /**
+   * @param {Object} config - ai-config's safety section: { blockTopics, redirectMessage, modelCheck }
+   * @param {Object} options - { classify(question, blockTopics) } the model check, e.g. ProviderChain's classifyQuestion
+   */
+  constructor(config = {}, options = {}) {
+    this.blockTopics = config.blockTopics || [];
+    this.redirectMessage = config.redirectMessage || DEFAULT_REDIRECT;
+    this.classify = config.modelCheck && options.classify ? options.classify : null;
+  }
+
+  /**
+   * Keyword and pattern check only - free, instant and works offline
+   * @param {string} question - The child's message
+   * @returns {Object} { blocked, topic, layer } where layer is 'keyword' when blocked
+   */
+  checkLocally(question) {
+    const text = normalize(question);
+    const topic = this.blockTopics.find(name =>
+      (TOPIC_PATTERNS[name] || []).some(pattern => pattern.test(text))
+    );
+    return topic
+      ? { blocked: true, topic, layer: 'keyword' }
+      : { blocked: false, topic: null, layer: null };
+  }
+
+  /**
+   * Check a question locally, then with the model when that is switched on. A failed model
+   * check lets the question through - it has already passed the local check.
+   * @param {string} question - The child's message
+   * @param {Object} options - { useModel } false to skip the model check, e.g. when the budget is spent,
+   *   { modelQuestion } what the model is sent instead, e.g. with personal details redacted
+   * @returns {Promise<Object>} { blocked, topic, layer } where layer is 'keyword' or 'model' when blocked
+   */
+  async check(question, options = {}) {
+    const local = this.checkLocally(question);
+    if (local.blocked || !this.classify || options.useModel === false) return local;
+
+    try {
+      const verdict = await this.classify(options.modelQuestion || question, this.blockTopics);
+      if (verdict.blocked) {
+        const topic = this.blockTopics.includes(verdict.topic) ? verdict.topic : 'other';
+        return { blocked: true, topic, layer: 'model' };
+      }
+    } catch (error) {
+      console.warn('Model safety check failed - relying on the keyword check:', error.message);
+    }
+    return local;
+  }
+}
+
+ContentSafety.SAFETY_SCHEMA = SAFETY_SCHEMA;
+ContentSafety.SAFETY_FORMAT = SAFETY_FORMAT;
+ContentSafety.TOPIC_PATTERNS = TOPIC_PATTERNS;
+ContentSafety.normalize = normalize;
+
+module.exports = ContentSafety;
@@ -1,37 +1,96 @@
 // conversation-tracker.js - Track conversation patterns and child's learning over time
+
+// Topic categories detected in children's questions
+const TOPIC_PATTERNS = {
+  science: /\b(how|why|what makes|explain|work|function|happen|cause)\b.*\b(gravity|atom|molecule|energy|force|speed|heat|light|sound|electricity|magnet|chemical|reaction|physics|biology|chemistry)\b/i,
+  nature: /\b(animal|plant|tree|flower|bird|fish|insect|weather|rain|snow|sun|moon|earth|planet|ocean|river|mountain|forest|desert|ecosystem|environment)\b/i,
+  technology: /\b(computer|internet|robot|artificial intelligence|AI|programming|app|software|hardware|smartphone|tablet|virtual reality|drone|electric|digital|tech)\b/i,
+  space: /\b(space|planet|star|galaxy|universe|astronaut|rocket|satellite|mars|moon|sun|solar system|black hole|meteor|comet|alien)\b/i,
+  history: /\b(ancient|civilization|empire|war|kingdom|pharaoh|knight|castle|revolution|discovery|explorer|invention|prehistoric|dinosaur|fossil)\b/i,
+  art: /\b(paint|draw|music|sing|dance|sculpture|artist|color|creative|design|beauty|expression|instrument|melody|rhythm|composition)\b/i,
+  social: /\b(friend|family|people|culture|society|country|language|tradition|celebration|community|relationship|emotion|feeling|behavior)\b/i,
+  philosophy: /\b(why do we|what is the meaning|purpose|existence|consciousness|reality|truth|belief|moral|ethical|right|wrong|freedom|justice)\b/i
+};
+
 class ConversationTracker {
   constructor(database) {
     this.db = database;
   }
 
+  /**
+   * Open a new history session for a lock-screen conversation
+   * @param {Object} sessionData - childId, childAge and ageGroup at the start of the session
+   * @returns {number|null} Session id, or null if it could not be stored
+   */
+  startSession(sessionData = {}) {
+    if (!this.db) return null;
+    const { childId, childAge, ageGroup } = sessionData;
+    return this.db.startSession(childAge, ageGroup, childId);
+  }
+
   /**
    * Track a conversation exchange for learning purposes
    * @param {Object} conversationData - The conversation details
+   * @returns {Object} The analysed turn that was stored
    */
   trackConversation(conversationData) {
     const {
+      sessionId,
+      stage,
       childAge,
       question,
-      aiResponse, 
+      aiResponse,
       childFollowUp,
-      responseComplexity,
-      topicsDiscussed,
-      engagementLevel
+      evaluation,
+      usage,
+      provider
     } = conversationData;
 
-    // For future implementation - store conversation patterns
-    // This data can be used to:
-    // 1. Identify topics the child is most curious about
-    // 2. Track complexity progression over time
-    // 3. Adjust difficulty levels automatically
-    // 4. Generate better personalized questions
+    // Derive the learning signals from the exchange unless the caller already has them
+    const topicsDiscussed = conversationData.topicsDiscussed ||
+      (question ? this.analyzeQuestionTopics(question) : []);
+    const engagementLevel = conversationData.engagementLevel ||
+      (childFollowUp ? this.assessEngagementLevel(childFollowUp) : null);
+    const responseComplexity = conversationData.responseComplexity ||
+      (childFollowUp ? this.analyzeResponseComplexity(childFollowUp) : null);
+
+    const turn = {
+      stage,
+      question,
+      aiAnswer: aiResponse,
+      childReply: childFollowUp,
+      understood: evaluation ? evaluation.understood : null,
+      feedback: evaluation ? evaluation.feedback : null,
+      topics: topicsDiscussed,
+      engagement: engagementLevel,
+      usage,
+      provider
+    };
+
+    if (this.db && sessionId) {
+      this.db.addTurn(sessionId, turn);
+    }
 
     console.log('Conversation tracked:', {
+      session: sessionId,
       age: childAge,
       topics: topicsDiscussed,
       complexity: responseComplexity,
-      engagement: engagementLevel
+      engagement: engagementLevel,
+      provider
     });
+
+    return turn;
+  }
+
+  /**
+   * Close a history session with its unlock outcome
+   * @param {number} sessionId - Session returned by startSession
+   * @param {string} outcome - unlocked, skipped, budget, emergency or abandoned
+   */
+  endSession(sessionId, outcome) {
+    if (!this.db || !sessionId) return;
+    this.db.endSession(sessionId, outcome);
   }
 
   /**
@@ -40,19 +99,8 @@ class ConversationTracker {
    * @returns {Array} Detected topic categories
    */
   analyzeQuestionTopics(question) {
-    const topicPatterns = {
-      science: /\b(how|why|what makes|explain|work|function|happen|cause)\b.*\b(gravity|atom|molecule|energy|force|speed|heat|light|sound|electricity|magnet|chemical|reaction|physics|biology|chemistry)\b/i,
-      nature: /\b(animal|plant|tree|flower|bird|fish|insect|weather|rain|snow|sun|moon|earth|planet|ocean|river|mountain|forest|desert|ecosystem|environment)\b/i,
-      technology: /\b(computer|internet|robot|artificial intelligence|AI|programming|app|software|hardware|smartphone|tablet|virtual reality|drone|electric|digital|tech)\b/i,
-      space: /\b(space|planet|star|galaxy|universe|astronaut|rocket|satellite|mars|moon|sun|solar system|black hole|meteor|comet|alien)\b/i,
-      history: /\b(ancient|civilization|empire|war|kingdom|pharaoh|knight|castle|revolution|discovery|explorer|invention|prehistoric|dinosaur|fossil)\b/i,
-      art: /\b(paint|draw|music|sing|dance|sculpture|artist|color|creative|design|beauty|expression|instrument|melody|rhythm|composition)\b/i,
-      social: /\b(friend|family|people|culture|society|country|language|tradition|celebration|community|relationship|emotion|feeling|behavior)\b/i,
-      philosophy: /\b(why do we|what is the meaning|purpose|existence|consciousness|reality|truth|belief|moral|ethical|right|wrong|freedom|justice)\b/i
-    };
-
     const detectedTopics = [];
-    for (const [topic, pattern] of Object.entries(topicPatterns)) {
+    for (const [topic, pattern] of Object.entries(TOPIC_PATTERNS)) {
       if (pattern.test(question)) {
         detectedTopics.push(topic);
       }
@@ -61,6 +109,14 @@ class ConversationTracker {
     return detectedTopics.length > 0 ? detectedTopics : ['general'];
   }
 
+  /**
+   * List every topic category analyzeQuestionTopics can return
+   * @returns {Array} Topic names, including the 'general' fallback
+   */
+  getTopicCategories() {
+    return [...Object.keys(TOPIC_PATTERNS), 'general'];
+  }
+
   /**
    * Assess engagement level based on response characteristics
    * @param {string} response - Child's response
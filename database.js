@@ -1,33 +1,288 @@
 // database.js - SQLite database service for parent settings
 const initSqlJs = require('sql.js');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
+
+// PIN hashing and brute-force protection
+const PIN_HASH_PREFIX = 'scrypt$';
+const DEFAULT_PIN = '0000'; // Old installs shipped with this well-known PIN
+const FREE_PIN_ATTEMPTS = 3; // Wrong guesses allowed before the first lockout
+const PIN_LOCKOUT_BASE_MS = 30 * 1000; // Doubles with every further wrong guess
+const PIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Persistence
+const SAVE_DELAY_MS = 1000; // Changes in this window after the first one are written together
+
+// Ordered schema migrations - append new steps, never edit a released one
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Parent settings, child profile, interests and emergency unlocks',
+        up(db) {
+            // Create parent_settings table
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS parent_settings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    pin TEXT NOT NULL DEFAULT '0000',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Create child_profile table
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS child_profile (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    age INTEGER,
+                    gender TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Create interests table
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS interests (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL
+                )
+            `);
+
+            // Create child_interests junction table
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS child_interests (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    interest_id INTEGER,
+                    selected BOOLEAN DEFAULT FALSE,
+                    FOREIGN KEY (interest_id) REFERENCES interests (id)
+                )
+            `);
+
+            // Create emergency_unlocks table
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS emergency_unlocks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 2,
+        description: 'Conversation history sessions and turns',
+        up(db) {
+            // Create sessions table (one row per lock-screen conversation)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    ended_at DATETIME,
+                    child_age INTEGER,
+                    age_group TEXT,
+                    stage TEXT DEFAULT 'question',
+                    outcome TEXT,
+                    total_tokens INTEGER DEFAULT 0,
+                    estimated_cost REAL DEFAULT 0
+                )
+            `);
+
+            // Create turns table (every message exchanged within a session)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS turns (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    session_id INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    stage TEXT,
+                    question TEXT,
+                    ai_answer TEXT,
+                    child_reply TEXT,
+                    understood BOOLEAN,
+                    feedback TEXT,
+                    topics TEXT,
+                    engagement TEXT,
+                    prompt_tokens INTEGER DEFAULT 0,
+                    completion_tokens INTEGER DEFAULT 0,
+                    total_tokens INTEGER DEFAULT 0,
+                    estimated_cost REAL DEFAULT 0,
+                    FOREIGN KEY (session_id) REFERENCES sessions (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 3,
+        description: 'Daily AI usage and app settings',
+        up(db) {
+            // Create daily_usage table (AI spend per local calendar day)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS daily_usage (
+                    day TEXT PRIMARY KEY,
+                    total_tokens INTEGER DEFAULT 0,
+                    estimated_cost REAL DEFAULT 0,
+                    requests INTEGER DEFAULT 0
+                )
+            `);
+
+            // Create app_settings table (parent-configurable key/value settings)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS app_settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 4,
+        description: 'Hash plaintext parent PINs',
+        up(db, service) {
+            service.migratePlaintextPin();
+        }
+    },
+    {
+        version: 5,
+        description: 'Multiple child profiles with their own interests, history and rules',
+        up(db) {
+            // Existing interests and history belong to the original (first) child
+            db.exec(`
+                ALTER TABLE child_profile ADD COLUMN name TEXT;
+                UPDATE child_profile SET name = 'Child' WHERE name IS NULL;
+
+                ALTER TABLE child_interests ADD COLUMN child_id INTEGER REFERENCES child_profile (id);
+                UPDATE child_interests SET child_id = (SELECT MIN(id) FROM child_profile);
+
+                ALTER TABLE sessions ADD COLUMN child_id INTEGER REFERENCES child_profile (id);
+                UPDATE sessions SET child_id = (SELECT MIN(id) FROM child_profile);
+            `);
+
+            // Create child_settings table (per-child rules, values JSON-encoded like app_settings)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS child_settings (
+                    child_id INTEGER NOT NULL,
+                    key TEXT NOT NULL,
+                    value TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (child_id, key),
+                    FOREIGN KEY (child_id) REFERENCES child_profile (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 6,
+        description: 'Record which AI provider answered each turn',
+        up(db) {
+            db.exec('ALTER TABLE turns ADD COLUMN provider TEXT');
+        }
+    },
+    {
+        version: 7,
+        description: 'Weekly lock schedule rules',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS lock_schedules (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    days TEXT NOT NULL,
+                    start_time TEXT NOT NULL,
+                    end_time TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    every_minutes INTEGER,
+                    enabled INTEGER DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 8,
+        description: 'Questions stopped by the safety filter',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS blocked_questions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    child_id INTEGER,
+                    question TEXT NOT NULL,
+                    topic TEXT,
+                    layer TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (child_id) REFERENCES child_profile (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 9,
+        description: 'Wellbeing alerts for the parent',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS wellbeing_alerts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    child_id INTEGER,
+                    message TEXT NOT NULL,
+                    concern TEXT NOT NULL,
+                    priority TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    seen_at DATETIME,
+                    FOREIGN KEY (child_id) REFERENCES child_profile (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 10,
+        description: 'Remove interest rows that belong to no child',
+        up(db) {
+            // Fresh installs used to seed child_interests without a child_id
+            db.run('DELETE FROM child_interests WHERE child_id IS NULL');
+        }
+    }
+];
 
 class DatabaseService {
-    constructor() {
-        // Store database in app data directory for persistent storage
-        const userDataPath = app.getPath('userData');
-        this.dbPath = path.join(userDataPath, 'yesbut-settings.db');
+    constructor(dbPath = null) {
+        if (!dbPath) {
+            // Store database in app data directory for persistent storage
+            const { app } = require('electron');
+            const userDataPath = app.getPath('userData');
+            dbPath = path.join(userDataPath, 'yesbut-settings.db');
+        }
+        this.dbPath = dbPath;
+        this.tempPath = `${dbPath}.tmp`;
+        this.backupPath = `${dbPath}.bak`; // Last copy that opened cleanly
         this.db = null;
+        this.saveTimer = null;
+        this.recoveredFrom = null;
     }
 
     async initializeDatabase() {
         try {
             // Initialize sql.js
             const SQL = await initSqlJs();
-            
-            // Try to load existing database file
-            let dbData = null;
+
+            // A leftover temp file means a save was interrupted - the real file is still intact
+            fs.rmSync(this.tempPath, { force: true });
+
+            // Try to load existing database file, falling back to a backup if it is damaged
+            let loadedFromFile = false;
             if (fs.existsSync(this.dbPath)) {
-                dbData = fs.readFileSync(this.dbPath);
+                this.db = this.openVerified(SQL, this.dbPath);
+                if (this.db) {
+                    loadedFromFile = true;
+                    fs.copyFileSync(this.dbPath, this.backupPath);
+                } else {
+                    this.db = this.recoverFromBackup(SQL);
+                }
+            }
+
+            // Create a fresh database if there was nothing usable on disk
+            if (!this.db) {
+                this.db = new SQL.Database();
             }
             
-            // Create database instance
-            this.db = new SQL.Database(dbData);
-            
-            // Create tables and initialize default data
-            this.createTables();
+            // Migrate the schema and initialize default data
+            this.runMigrations(loadedFromFile);
             this.initializeDefaultData();
             
             // Save to disk
@@ -39,82 +294,156 @@ class DatabaseService {
         }
     }
 
+    // Write the whole database to a temp file, then swap it in with an atomic rename
     saveDatabase() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
         try {
             const data = this.db.export();
-            const buffer = Buffer.from(data);
-            fs.writeFileSync(this.dbPath, buffer);
+            const fd = fs.openSync(this.tempPath, 'w');
+            try {
+                fs.writeSync(fd, Buffer.from(data));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(this.tempPath, this.dbPath);
+            return true;
         } catch (error) {
             console.error('Error saving database:', error);
+            return false;
         }
     }
 
-    createTables() {
-        // Create parent_settings table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS parent_settings (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                pin TEXT NOT NULL DEFAULT '0000',
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+    // Save a moment after the first unsaved change - later changes ride along with that save, so a
+    // burst of updates is written once and nothing waits on disk for longer than SAVE_DELAY_MS
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.saveDatabase(), SAVE_DELAY_MS);
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
 
-        // Create child_profile table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS child_profile (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                age INTEGER,
-                gender TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+    // Write any scheduled save now
+    flush() {
+        return this.saveTimer ? this.saveDatabase() : true;
+    }
 
-        // Create interests table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS interests (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT UNIQUE NOT NULL
-            )
-        `);
+    // Open a database file only if SQLite agrees it is intact
+    openVerified(SQL, filePath) {
+        try {
+            const data = fs.readFileSync(filePath);
+            if (data.length === 0) {
+                throw new Error('file is empty');
+            }
+            const db = new SQL.Database(data);
+            const result = db.exec('PRAGMA quick_check');
+            const status = result.length > 0 ? result[0].values[0][0] : 'no result';
+            if (status === 'ok') {
+                return db;
+            }
+            db.close();
+            throw new Error(status);
+        } catch (error) {
+            console.error(`Database file ${filePath} failed integrity check:`, error.message);
+            return null;
+        }
+    }
 
-        // Create child_interests junction table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS child_interests (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                interest_id INTEGER,
-                selected BOOLEAN DEFAULT FALSE,
-                FOREIGN KEY (interest_id) REFERENCES interests (id)
-            )
-        `);
+    // Set the damaged file aside and load the newest backup that is still intact
+    recoverFromBackup(SQL) {
+        const corruptPath = `${this.dbPath}.corrupt-${Date.now()}`;
+        fs.renameSync(this.dbPath, corruptPath);
+        console.warn(`Damaged database moved to ${corruptPath}`);
+
+        for (const candidate of this.getBackupCandidates()) {
+            const db = this.openVerified(SQL, candidate);
+            if (db) {
+                this.recoveredFrom = candidate;
+                console.warn(`Database recovered from ${candidate}`);
+                return db;
+            }
+        }
 
-        // Create emergency_unlocks table
+        console.warn('No usable database backup found - starting with a fresh database');
+        return null;
+    }
+
+    // Last good copy first, then migration backups from newest to oldest schema
+    getBackupCandidates() {
+        const dir = path.dirname(this.dbPath);
+        const base = path.basename(this.dbPath);
+        const versionBackups = fs.readdirSync(dir)
+            .map(file => ({ file, match: file.match(/^(.+)\.v(\d+)\.bak$/) }))
+            .filter(({ match }) => match && match[1] === base)
+            .sort((a, b) => Number(b.match[2]) - Number(a.match[2]))
+            .map(({ file }) => path.join(dir, file));
+
+        return [this.backupPath, ...versionBackups].filter(candidate => fs.existsSync(candidate));
+    }
+
+    // Bring the schema up to date, one transactional step per version
+    runMigrations(hasExistingFile) {
         this.db.exec(`
-            CREATE TABLE IF NOT EXISTS emergency_unlocks (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         `);
+
+        const currentVersion = this.getSchemaVersion();
+        const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+        if (currentVersion > latestVersion) {
+            console.warn(`Database schema v${currentVersion} is newer than this app (v${latestVersion}) - skipping migrations`);
+            return;
+        }
+
+        const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+        if (pending.length === 0) return;
+
+        if (hasExistingFile) {
+            this.backupDatabaseFile(currentVersion);
+        }
+
+        pending.forEach(migration => {
+            this.db.exec('BEGIN TRANSACTION');
+            try {
+                migration.up(this.db, this);
+                this.db.run('INSERT INTO schema_version (version) VALUES (?)', [migration.version]);
+                this.db.exec('COMMIT');
+                console.log(`✓ Database migrated to v${migration.version}: ${migration.description}`);
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                console.error(`✗ Database migration to v${migration.version} failed:`, error);
+                throw error;
+            }
+        });
+    }
+
+    getSchemaVersion() {
+        return this.queryAll('SELECT MAX(version) AS version FROM schema_version')[0].version || 0;
+    }
+
+    // Keep a copy of the file as it was before migrating, e.g. yesbut-settings.db.v3.bak
+    backupDatabaseFile(version) {
+        const backupPath = `${this.dbPath}.v${version}.bak`;
+        fs.copyFileSync(this.dbPath, backupPath);
+        console.log(`Database backed up to ${backupPath}`);
+        return backupPath;
     }
 
     initializeDefaultData() {
-        // Check if parent settings exist, if not create with default PIN
-        const existingSettings = this.db.exec('SELECT * FROM parent_settings LIMIT 1');
-        if (existingSettings.length === 0 || existingSettings[0].values.length === 0) {
-            this.db.exec("INSERT INTO parent_settings (pin) VALUES ('0000')");
+        // Check if parent settings exist, if not create with no PIN so the parent must choose one
+        if (this.queryAll('SELECT id FROM parent_settings LIMIT 1').length === 0) {
+            this.db.run('INSERT INTO parent_settings (pin) VALUES (?)', ['']);
         }
 
-        // Check if child profile exists, if not create empty one
-        const existingProfile = this.db.exec('SELECT * FROM child_profile LIMIT 1');
-        if (existingProfile.length === 0 || existingProfile[0].values.length === 0) {
-            this.db.exec("INSERT INTO child_profile (age, gender) VALUES (NULL, NULL)");
+        // Check if a child profile exists, if not create an empty one
+        if (this.queryAll('SELECT id FROM child_profile LIMIT 1').length === 0) {
+            this.db.run('INSERT INTO child_profile (name, age, gender) VALUES (?, ?, ?)', ['Child', null, null]);
         }
 
         // Initialize comprehensive interests list
-        const existingInterests = this.db.exec('SELECT COUNT(*) as count FROM interests');
-        const interestCount = existingInterests.length > 0 && existingInterests[0].values.length > 0 ? 
-            existingInterests[0].values[0][0] : 0;
+        const interestCount = this.queryAll('SELECT COUNT(*) AS count FROM interests')[0].count;
             
         if (interestCount === 0) {
             const interests = [
@@ -157,39 +486,110 @@ class DatabaseService {
                 'Public Speaking', 'Debate', 'Social Issues'
             ];
 
-            // Insert interests
-            interests.forEach(interest => {
-                this.db.exec(`INSERT INTO interests (name) VALUES ('${interest.replace(/'/g, "''")}')`);
-            });
-
-            // Initialize child_interests with all interests unselected
-            const allInterests = this.db.exec('SELECT id FROM interests');
-            if (allInterests.length > 0 && allInterests[0].values.length > 0) {
-                allInterests[0].values.forEach(row => {
-                    const interestId = row[0];
-                    this.db.exec(`INSERT INTO child_interests (interest_id, selected) VALUES (${interestId}, 0)`);
-                });
-            }
+            // Insert interests - a child has a child_interests row only once an interest is chosen for them
+            this.runEach('INSERT INTO interests (name) VALUES (?)', interests.map(interest => [interest]));
         }
     }
 
     // Parent PIN operations
+    hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+        const hash = crypto.scryptSync(String(pin), salt, 32).toString('hex');
+        return `${PIN_HASH_PREFIX}${salt}$${hash}`;
+    }
+
+    getStoredPin() {
+        const rows = this.queryAll('SELECT pin FROM parent_settings LIMIT 1');
+        return rows.length > 0 ? (rows[0].pin || '') : '';
+    }
+
+    // Installs from before PIN hashing stored the PIN as plain text (runs inside a migration,
+    // so it must not call saveDatabase)
+    migratePlaintextPin() {
+        const storedPin = this.getStoredPin();
+        if (!storedPin || storedPin.startsWith(PIN_HASH_PREFIX)) return;
+
+        this.db.run('UPDATE parent_settings SET pin = ?, updated_at = CURRENT_TIMESTAMP', [this.hashPin(storedPin)]);
+        if (storedPin === DEFAULT_PIN) {
+            this.db.run(`
+                INSERT INTO app_settings (key, value) VALUES ('must_change_pin', 'true')
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+            `);
+        }
+        console.log('Parent PIN migrated to hashed storage');
+    }
+
+    hasPin() {
+        try {
+            return this.getStoredPin() !== '';
+        } catch (error) {
+            console.error('Error checking PIN:', error);
+            return false;
+        }
+    }
+
     verifyPin(pin) {
         try {
-            const result = this.db.exec('SELECT pin FROM parent_settings LIMIT 1');
-            if (result.length > 0 && result[0].values.length > 0) {
-                return result[0].values[0][0] === pin;
-            }
-            return pin === '0000'; // Default PIN
+            const storedPin = this.getStoredPin();
+            if (!storedPin.startsWith(PIN_HASH_PREFIX)) return false;
+
+            const salt = storedPin.slice(PIN_HASH_PREFIX.length).split('$')[0];
+            const expected = Buffer.from(storedPin);
+            const actual = Buffer.from(this.hashPin(pin, salt));
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
         } catch (error) {
             console.error('Error verifying PIN:', error);
             return false;
         }
     }
 
+    // Verify a PIN entered in the UI, counting failures and locking out repeated guessing.
+    // Written straight to disk so killing the app can't reset the lockout.
+    attemptPin(pin, now = Date.now()) {
+        const status = this.getPinStatus(now);
+        if (status.setupRequired || status.lockedUntil) {
+            return { success: false, ...status };
+        }
+
+        if (this.verifyPin(pin)) {
+            this.setSetting('pin_failed_attempts', 0);
+            this.setSetting('pin_locked_until', null);
+            this.flush();
+            return { success: true, ...this.getPinStatus(now) };
+        }
+
+        const failedAttempts = this.getSetting('pin_failed_attempts', 0) + 1;
+        this.setSetting('pin_failed_attempts', failedAttempts);
+        if (failedAttempts >= FREE_PIN_ATTEMPTS) {
+            const lockoutMs = Math.min(
+                PIN_LOCKOUT_BASE_MS * Math.pow(2, failedAttempts - FREE_PIN_ATTEMPTS),
+                PIN_LOCKOUT_MAX_MS
+            );
+            this.setSetting('pin_locked_until', now + lockoutMs);
+        }
+        this.flush();
+        return { success: false, ...this.getPinStatus(now) };
+    }
+
+    getPinStatus(now = Date.now()) {
+        const lockedUntil = this.getSetting('pin_locked_until', null);
+        const isLocked = lockedUntil !== null && lockedUntil > now;
+        return {
+            setupRequired: !this.hasPin(),
+            mustChangePin: this.getSetting('must_change_pin', false),
+            failedAttempts: this.getSetting('pin_failed_attempts', 0),
+            lockedUntil: isLocked ? lockedUntil : null,
+            retryAfterMs: isLocked ? lockedUntil - now : 0
+        };
+    }
+
     updatePin(newPin) {
         try {
-            this.db.exec(`UPDATE parent_settings SET pin = '${newPin}', updated_at = CURRENT_TIMESTAMP`);
+            if (!/^\d{4}$/.test(String(newPin))) return false;
+
+            this.db.run('UPDATE parent_settings SET pin = ?, updated_at = CURRENT_TIMESTAMP', [this.hashPin(newPin)]);
+            this.setSetting('must_change_pin', false);
+            this.setSetting('pin_failed_attempts', 0);
+            this.setSetting('pin_locked_until', null);
             this.saveDatabase();
             return true;
         } catch (error) {
@@ -198,49 +598,62 @@ class DatabaseService {
         }
     }
 
-    getCurrentPin() {
+    // Child profile operations
+    getChildProfiles() {
         try {
-            const result = this.db.exec('SELECT pin FROM parent_settings LIMIT 1');
-            if (result.length > 0 && result[0].values.length > 0) {
-                return result[0].values[0][0];
-            }
-            return '0000'; // Default PIN
+            return this.queryAll('SELECT id, name, age, gender FROM child_profile ORDER BY id');
         } catch (error) {
-            console.error('Error getting PIN:', error);
-            return '0000';
+            console.error('Error getting child profiles:', error);
+            return [];
         }
     }
 
-    // Child profile operations
-    getChildProfile() {
-        try {
-            const result = this.db.exec('SELECT * FROM child_profile LIMIT 1');
-            if (result.length > 0 && result[0].values.length > 0) {
-                const columns = result[0].columns;
-                const values = result[0].values[0];
-                const profile = {};
-                columns.forEach((col, index) => {
-                    profile[col] = values[index];
-                });
-                return profile;
+    // Profile of the given child, or of the first child when no id is given
+    getChildProfile(childId = null) {
+        try {
+            const id = this.resolveChildId(childId);
+            const rows = this.queryAll('SELECT * FROM child_profile WHERE id = ?', [id]);
+            if (rows.length > 0) {
+                return rows[0];
             }
-            return { age: null, gender: null };
+            return { id: null, name: null, age: null, gender: null };
         } catch (error) {
             console.error('Error getting child profile:', error);
-            return { age: null, gender: null };
+            return { id: null, name: null, age: null, gender: null };
         }
     }
 
-    updateChildProfile(age, gender) {
+    addChildProfile(name, age = null, gender = null) {
         try {
-            const ageValue = age === null || age === '' ? 'NULL' : age;
-            const genderValue = gender === null || gender === '' ? 'NULL' : `'${gender}'`;
-            this.db.exec(`
+            const values = this.normalizeProfile(name, age, gender);
+            if (!values || !values.name) return null;
+
+            this.db.run(
+                'INSERT INTO child_profile (name, age, gender) VALUES (?, ?, ?)',
+                [values.name, values.age, values.gender]
+            );
+            const childId = this.queryAll('SELECT last_insert_rowid() AS id')[0].id;
+            this.scheduleSave();
+            return childId;
+        } catch (error) {
+            console.error('Error adding child profile:', error);
+            return null;
+        }
+    }
+
+    // A null name keeps the current one; a null childId updates the first child
+    updateChildProfile(age, gender, childId = null, name = null) {
+        try {
+            const values = this.normalizeProfile(name, age, gender);
+            const id = this.resolveChildId(childId);
+            if (!values || id === null) return false;
+
+            this.db.run(`
                 UPDATE child_profile 
-                SET age = ${ageValue}, gender = ${genderValue}, updated_at = CURRENT_TIMESTAMP 
-                WHERE id = 1
-            `);
-            this.saveDatabase();
+                SET name = COALESCE(?, name), age = ?, gender = ?, updated_at = CURRENT_TIMESTAMP 
+                WHERE id = ?
+            `, [values.name, values.age, values.gender, id]);
+            this.scheduleSave();
             return true;
         } catch (error) {
             console.error('Error updating child profile:', error);
@@ -248,51 +661,106 @@ class DatabaseService {
         }
     }
 
+    // Remove a child with their interests, rules and history - the last profile can't be removed
+    deleteChildProfile(childId) {
+        try {
+            const id = Number(childId);
+            if (!Number.isInteger(id) || this.getChildProfiles().length <= 1) return false;
+            if (this.queryAll('SELECT id FROM child_profile WHERE id = ?', [id]).length === 0) return false;
+
+            this.db.exec('BEGIN TRANSACTION');
+            try {
+                this.db.run('DELETE FROM turns WHERE session_id IN (SELECT id FROM sessions WHERE child_id = ?)', [id]);
+                this.db.run('DELETE FROM sessions WHERE child_id = ?', [id]);
+                this.db.run('DELETE FROM child_interests WHERE child_id = ?', [id]);
+                this.db.run('DELETE FROM child_settings WHERE child_id = ?', [id]);
+                this.db.run('DELETE FROM blocked_questions WHERE child_id = ?', [id]);
+                this.db.run('DELETE FROM wellbeing_alerts WHERE child_id = ?', [id]);
+                this.db.run('DELETE FROM child_profile WHERE id = ?', [id]);
+                this.db.exec('COMMIT');
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                throw error;
+            }
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error('Error deleting child profile:', error);
+            return false;
+        }
+    }
+
+    // Validate profile fields from the UI - returns null if the age isn't a whole number
+    normalizeProfile(name, age, gender) {
+        const ageValue = age === null || age === undefined || age === '' ? null : Number(age);
+        if (ageValue !== null && !Number.isInteger(ageValue)) return null;
+        const nameValue = name === null || name === undefined ? null : String(name).trim().slice(0, 40);
+
+        return {
+            name: nameValue || null,
+            age: ageValue,
+            gender: gender === null || gender === undefined || gender === '' ? null : String(gender)
+        };
+    }
+
+    // Map a child id from the UI to an existing profile, defaulting to the first child
+    resolveChildId(childId) {
+        if (childId === null || childId === undefined) {
+            const rows = this.queryAll('SELECT MIN(id) AS id FROM child_profile');
+            return rows[0].id;
+        }
+        const id = Number(childId);
+        if (!Number.isInteger(id)) return null;
+        return this.queryAll('SELECT id FROM child_profile WHERE id = ?', [id]).length > 0 ? id : null;
+    }
+
     // Interest operations
-    getAllInterests() {
+    getAllInterests(childId = null) {
         try {
-            const result = this.db.exec(`
+            return this.queryAll(`
                 SELECT i.id, i.name, COALESCE(ci.selected, 0) as selected
                 FROM interests i
-                LEFT JOIN child_interests ci ON i.id = ci.interest_id
+                LEFT JOIN child_interests ci ON i.id = ci.interest_id AND ci.child_id = ?
                 ORDER BY i.name
-            `);
-            
-            if (result.length > 0 && result[0].values.length > 0) {
-                return result[0].values.map(row => ({
-                    id: row[0],
-                    name: row[1],
-                    selected: row[2] === 1
-                }));
-            }
-            return [];
+            `, [this.resolveChildId(childId)]).map(row => ({
+                id: row.id,
+                name: row.name,
+                selected: row.selected === 1
+            }));
         } catch (error) {
             console.error('Error getting interests:', error);
             return [];
         }
     }
 
-    updateInterest(interestId, selected) {
+    updateInterest(interestId, selected, childId = null) {
         try {
+            const id = Number(interestId);
+            const child = this.resolveChildId(childId);
+            if (!Number.isInteger(id) || child === null) return false;
             const selectedValue = selected ? 1 : 0;
+
             // First check if record exists
-            const exists = this.db.exec(`SELECT id FROM child_interests WHERE interest_id = ${interestId}`);
+            const exists = this.queryAll(
+                'SELECT id FROM child_interests WHERE interest_id = ? AND child_id = ?',
+                [id, child]
+            );
             
-            if (exists.length > 0 && exists[0].values.length > 0) {
+            if (exists.length > 0) {
                 // Update existing record
-                this.db.exec(`
+                this.db.run(`
                     UPDATE child_interests 
-                    SET selected = ${selectedValue} 
-                    WHERE interest_id = ${interestId}
-                `);
+                    SET selected = ? 
+                    WHERE interest_id = ? AND child_id = ?
+                `, [selectedValue, id, child]);
             } else {
                 // Insert new record
-                this.db.exec(`
-                    INSERT INTO child_interests (interest_id, selected) 
-                    VALUES (${interestId}, ${selectedValue})
-                `);
+                this.db.run(`
+                    INSERT INTO child_interests (interest_id, child_id, selected) 
+                    VALUES (?, ?, ?)
+                `, [id, child, selectedValue]);
             }
-            this.saveDatabase();
+            this.scheduleSave();
             return true;
         } catch (error) {
             console.error('Error updating interest:', error);
@@ -300,20 +768,15 @@ class DatabaseService {
         }
     }
 
-    getSelectedInterests() {
+    getSelectedInterests(childId = null) {
         try {
-            const result = this.db.exec(`
+            return this.queryAll(`
                 SELECT i.name
                 FROM interests i
                 JOIN child_interests ci ON i.id = ci.interest_id
-                WHERE ci.selected = 1
+                WHERE ci.selected = 1 AND ci.child_id = ?
                 ORDER BY i.name
-            `);
-            
-            if (result.length > 0 && result[0].values.length > 0) {
-                return result[0].values.map(row => row[0]);
-            }
-            return [];
+            `, [this.resolveChildId(childId)]).map(row => row.name);
         } catch (error) {
             console.error('Error getting selected interests:', error);
             return [];
@@ -323,7 +786,7 @@ class DatabaseService {
     // Emergency unlock tracking
     logEmergencyUnlock() {
         try {
-            this.db.exec('INSERT INTO emergency_unlocks (timestamp) VALUES (CURRENT_TIMESTAMP)');
+            this.db.run('INSERT INTO emergency_unlocks (timestamp) VALUES (CURRENT_TIMESTAMP)');
             this.saveDatabase();
         } catch (error) {
             console.error('Error logging emergency unlock:', error);
@@ -332,23 +795,376 @@ class DatabaseService {
 
     getEmergencyUnlockCount() {
         try {
-            const result = this.db.exec('SELECT COUNT(*) as count FROM emergency_unlocks');
-            if (result.length > 0 && result[0].values.length > 0) {
-                return result[0].values[0][0];
-            }
-            return 0;
+            return this.queryAll('SELECT COUNT(*) AS count FROM emergency_unlocks')[0].count;
         } catch (error) {
             console.error('Error getting emergency unlock count:', error);
             return 0;
         }
     }
 
+    // Conversation history
+    startSession(childAge, ageGroup, childId = null) {
+        try {
+            this.db.run(
+                'INSERT INTO sessions (child_id, child_age, age_group) VALUES (?, ?, ?)',
+                [this.resolveChildId(childId), childAge === undefined || childAge === '' ? null : childAge, ageGroup || null]
+            );
+            const sessionId = this.queryAll('SELECT last_insert_rowid() AS id')[0].id;
+            this.scheduleSave();
+            return sessionId;
+        } catch (error) {
+            console.error('Error starting session:', error);
+            return null;
+        }
+    }
+
+    addTurn(sessionId, turn) {
+        try {
+            const usage = turn.usage || {};
+            const totalTokens = usage.totalTokens || usage.tokens || 0;
+            const estimatedCost = usage.estimatedCost || 0;
+            const understood = turn.understood === undefined || turn.understood === null
+                ? null
+                : (turn.understood ? 1 : 0);
+
+            this.db.run(`
+                INSERT INTO turns (
+                    session_id, stage, question, ai_answer, child_reply, understood, feedback,
+                    topics, engagement, prompt_tokens, completion_tokens, total_tokens, estimated_cost, provider
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                sessionId,
+                turn.stage || null,
+                turn.question || null,
+                turn.aiAnswer || null,
+                turn.childReply || null,
+                understood,
+                turn.feedback || null,
+                JSON.stringify(turn.topics || []),
+                turn.engagement || null,
+                usage.promptTokens || 0,
+                usage.completionTokens || 0,
+                totalTokens,
+                estimatedCost,
+                turn.provider || null
+            ]);
+
+            // Keep the session's running totals and latest stage in step with its turns
+            this.db.run(`
+                UPDATE sessions
+                SET stage = ?, total_tokens = total_tokens + ?, estimated_cost = estimated_cost + ?
+                WHERE id = ?
+            `, [turn.stage || 'question', totalTokens, estimatedCost, sessionId]);
+
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error('Error adding turn:', error);
+            return false;
+        }
+    }
+
+    endSession(sessionId, outcome) {
+        try {
+            this.db.run(
+                'UPDATE sessions SET ended_at = CURRENT_TIMESTAMP, outcome = ? WHERE id = ? AND ended_at IS NULL',
+                [outcome, sessionId]
+            );
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error('Error ending session:', error);
+            return false;
+        }
+    }
+
+    getSessionTurns(sessionId) {
+        try {
+            return this.queryAll('SELECT * FROM turns WHERE session_id = ? ORDER BY id', [sessionId])
+                .map(turn => ({ ...turn, topics: JSON.parse(turn.topics || '[]') }));
+        } catch (error) {
+            console.error('Error getting session turns:', error);
+            return [];
+        }
+    }
+
+    // Past sessions (newest first) with their turns, optionally only those touching a topic
+    getLearningHistory(topic = null, limit = 50, childId = null) {
+        try {
+            const childFilter = childId !== null && childId !== undefined ? 'AND s.child_id = ?' : '';
+            const topicFilter = topic
+                ? 'AND EXISTS (SELECT 1 FROM turns t WHERE t.session_id = s.id AND t.topics LIKE ?)'
+                : '';
+            const params = [];
+            if (childFilter) params.push(this.resolveChildId(childId));
+            if (topic) params.push(`%${JSON.stringify(topic)}%`);
+            params.push(limit);
+
+            const sessions = this.queryAll(`
+                SELECT s.*,
+                       c.name AS child_name,
+                       (SELECT COUNT(*) FROM turns t WHERE t.session_id = s.id AND t.understood = 0) AS failed_attempts,
+                       date(s.started_at, 'localtime') AS day,
+                       time(s.started_at, 'localtime') AS start_time
+                FROM sessions s
+                LEFT JOIN child_profile c ON c.id = s.child_id
+                WHERE EXISTS (SELECT 1 FROM turns t WHERE t.session_id = s.id)
+                ${childFilter}
+                ${topicFilter}
+                ORDER BY s.started_at DESC, s.id DESC
+                LIMIT ?
+            `, params);
+
+            return sessions.map(session => {
+                const turns = this.getSessionTurns(session.id);
+                const topics = [...new Set(turns.flatMap(turn => turn.topics))];
+                return { ...session, topics, turns };
+            });
+        } catch (error) {
+            console.error('Error getting learning history:', error);
+            return [];
+        }
+    }
+
+    // AI usage accounting
+    recordDailyUsage(tokens, cost) {
+        try {
+            this.db.run(`
+                INSERT INTO daily_usage (day, total_tokens, estimated_cost, requests)
+                VALUES (date('now', 'localtime'), ?, ?, 1)
+                ON CONFLICT(day) DO UPDATE SET
+                    total_tokens = total_tokens + excluded.total_tokens,
+                    estimated_cost = estimated_cost + excluded.estimated_cost,
+                    requests = requests + 1
+            `, [tokens || 0, cost || 0]);
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error('Error recording daily usage:', error);
+            return false;
+        }
+    }
+
+    getDailyUsage() {
+        try {
+            const rows = this.queryAll("SELECT * FROM daily_usage WHERE day = date('now', 'localtime')");
+            if (rows.length > 0) {
+                return rows[0];
+            }
+            return { day: null, total_tokens: 0, estimated_cost: 0, requests: 0 };
+        } catch (error) {
+            console.error('Error getting daily usage:', error);
+            return { day: null, total_tokens: 0, estimated_cost: 0, requests: 0 };
+        }
+    }
+
+    // Lock schedule - days are stored comma-separated, 0 = Sunday
+    getLockSchedules() {
+        try {
+            return this.queryAll('SELECT * FROM lock_schedules ORDER BY id').map(row => ({
+                id: row.id,
+                days: row.days.split(',').map(Number),
+                start: row.start_time,
+                end: row.end_time,
+                action: row.action,
+                every: row.every_minutes,
+                enabled: row.enabled === 1
+            }));
+        } catch (error) {
+            console.error('Error getting lock schedules:', error);
+            return [];
+        }
+    }
+
+    // Replace every rule at once, as Parent Settings edits them as a list
+    saveLockSchedules(rules) {
+        try {
+            this.db.exec('BEGIN TRANSACTION');
+            try {
+                this.db.run('DELETE FROM lock_schedules');
+                this.runEach(
+                    'INSERT INTO lock_schedules (days, start_time, end_time, action, every_minutes, enabled) VALUES (?, ?, ?, ?, ?, ?)',
+                    rules.map(rule => [rule.days.join(','), rule.start, rule.end, rule.action, rule.every, rule.enabled ? 1 : 0])
+                );
+                this.db.exec('COMMIT');
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                throw error;
+            }
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error('Error saving lock schedules:', error);
+            return false;
+        }
+    }
+
+    // Safety filter - every blocked question is kept for the parent to review
+    logBlockedQuestion(childId, question, topic, layer) {
+        try {
+            this.db.run(
+                'INSERT INTO blocked_questions (child_id, question, topic, layer) VALUES (?, ?, ?, ?)',
+                [this.resolveChildId(childId), question, topic, layer]
+            );
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error('Error logging blocked question:', error);
+            return false;
+        }
+    }
+
+    // Newest first, optionally for one child
+    getBlockedQuestions(childId = null, limit = 50) {
+        try {
+            const childFilter = childId !== null && childId !== undefined ? 'WHERE b.child_id = ?' : '';
+            const params = childFilter ? [this.resolveChildId(childId), limit] : [limit];
+            return this.queryAll(`
+                SELECT b.id, b.child_id, c.name AS child_name, b.question, b.topic, b.layer,
+                       datetime(b.created_at, 'localtime') AS created_at
+                FROM blocked_questions b
+                LEFT JOIN child_profile c ON c.id = b.child_id
+                ${childFilter}
+                ORDER BY b.created_at DESC, b.id DESC
+                LIMIT ?
+            `, params);
+        } catch (error) {
+            console.error('Error getting blocked questions:', error);
+            return [];
+        }
+    }
+
+    // Wellbeing alerts - saved straight away, as they matter more than anything else logged
+    logWellbeingAlert(childId, message, concern, priority) {
+        try {
+            this.db.run(
+                'INSERT INTO wellbeing_alerts (child_id, message, concern, priority) VALUES (?, ?, ?, ?)',
+                [this.resolveChildId(childId), message, concern, priority]
+            );
+            this.saveDatabase();
+            return true;
+        } catch (error) {
+            console.error('Error logging wellbeing alert:', error);
+            return false;
+        }
+    }
+
+    // Alerts the parent hasn't marked as seen, urgent ones first, then newest first
+    getUnseenWellbeingAlerts() {
+        try {
+            return this.queryAll(`
+                SELECT w.id, w.child_id, c.name AS child_name, w.message, w.concern, w.priority,
+                       datetime(w.created_at, 'localtime') AS created_at
+                FROM wellbeing_alerts w
+                LEFT JOIN child_profile c ON c.id = w.child_id
+                WHERE w.seen_at IS NULL
+                ORDER BY w.priority = 'urgent' DESC, w.created_at DESC, w.id DESC
+            `);
+        } catch (error) {
+            console.error('Error getting wellbeing alerts:', error);
+            return [];
+        }
+    }
+
+    markWellbeingAlertsSeen() {
+        try {
+            this.db.run('UPDATE wellbeing_alerts SET seen_at = CURRENT_TIMESTAMP WHERE seen_at IS NULL');
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error('Error marking wellbeing alerts seen:', error);
+            return false;
+        }
+    }
+
+    // App settings
+    getSetting(key, defaultValue = null) {
+        try {
+            const rows = this.queryAll('SELECT value FROM app_settings WHERE key = ?', [key]);
+            return rows.length > 0 ? JSON.parse(rows[0].value) : defaultValue;
+        } catch (error) {
+            console.error(`Error getting setting ${key}:`, error);
+            return defaultValue;
+        }
+    }
+
+    setSetting(key, value) {
+        try {
+            this.db.run(`
+                INSERT INTO app_settings (key, value) VALUES (?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+            `, [key, JSON.stringify(value)]);
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error(`Error updating setting ${key}:`, error);
+            return false;
+        }
+    }
+
+    // Per-child rules
+    getChildSetting(childId, key, defaultValue = null) {
+        try {
+            const rows = this.queryAll(
+                'SELECT value FROM child_settings WHERE child_id = ? AND key = ?',
+                [this.resolveChildId(childId), key]
+            );
+            return rows.length > 0 ? JSON.parse(rows[0].value) : defaultValue;
+        } catch (error) {
+            console.error(`Error getting child setting ${key}:`, error);
+            return defaultValue;
+        }
+    }
+
+    setChildSetting(childId, key, value) {
+        try {
+            const id = this.resolveChildId(childId);
+            if (id === null) return false;
+
+            this.db.run(`
+                INSERT INTO child_settings (child_id, key, value) VALUES (?, ?, ?)
+                ON CONFLICT(child_id, key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+            `, [id, key, JSON.stringify(value)]);
+            this.scheduleSave();
+            return true;
+        } catch (error) {
+            console.error(`Error updating child setting ${key}:`, error);
+            return false;
+        }
+    }
+
+    // Run a parameterised SELECT and return rows as plain objects
+    queryAll(sql, params = []) {
+        const stmt = this.db.prepare(sql);
+        try {
+            stmt.bind(params);
+            const rows = [];
+            while (stmt.step()) {
+                rows.push(stmt.getAsObject());
+            }
+            return rows;
+        } finally {
+            stmt.free();
+        }
+    }
+
+    // Run one prepared statement for each set of bound parameters
+    runEach(sql, paramSets) {
+        const stmt = this.db.prepare(sql);
+        try {
+            paramSets.forEach(params => stmt.run(params));
+        } finally {
+            stmt.free();
+        }
+    }
+
     // Cleanup
     close() {
         if (this.db) {
             try {
                 this.saveDatabase();
                 this.db.close();
+                this.db = null;
             } catch (error) {
                 console.error('Error closing database:', error);
             }
@@ -356,4 +1172,9 @@ class DatabaseService {
     }
 }
 
+DatabaseService.MIGRATIONS = MIGRATIONS;
+DatabaseService.FREE_PIN_ATTEMPTS = FREE_PIN_ATTEMPTS;
+DatabaseService.PIN_LOCKOUT_BASE_MS = PIN_LOCKOUT_BASE_MS;
+DatabaseService.PIN_LOCKOUT_MAX_MS = PIN_LOCKOUT_MAX_MS;
+
 module.exports = DatabaseService;
\ No newline at end of file
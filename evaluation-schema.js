@@ -0,0 +1,129 @@
+// evaluation-schema.js - The shape of an understanding evaluation, and how to check and repair one
+
+// JSON Schema sent to providers that support structured output
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    understood: { type: 'boolean', description: 'Did the child engage meaningfully with the follow-up question?' },
+    confidence: { type: 'number', description: 'How sure you are, from 0 to 1' },
+    feedback: { type: 'string', description: 'One or two words of encouragement for the child' },
+    suggestion: { type: ['string', 'null'], description: 'A hint to try again, or null when understood' },
+    misconceptions: { type: 'array', items: { type: 'string' }, description: 'Mistaken ideas in the reply, if any' }
+  },
+  required: ['understood', 'confidence', 'feedback', 'suggestion', 'misconceptions'],
+  additionalProperties: false
+};
+
+// Written into the prompt for providers without a native JSON mode
+const EVALUATION_FORMAT = '{"understood": true or false, "confidence": 0 to 1, "feedback": "1-2 words", "suggestion": "a hint" or null, "misconceptions": ["..."]}';
+
+const DEFAULT_FEEDBACK = 'Nice try!';
+const MAX_MISCONCEPTIONS = 5;
+
+/**
+ * Pull a JSON object out of a model reply, repairing the common ways models get it wrong:
+ * markdown fences, surrounding chatter, smart quotes, trailing commas and Python literals
+ * @param {string} text - Raw reply text
+ * @returns {Object} The parsed object
+ */
+function parseEvaluationText(text) {
+  const cleaned = (text || '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON object in AI reply');
+  }
+
+  const json = cleaned.slice(start, end + 1);
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    const repaired = json
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'")
+      .replace(/'([^'"]*)'(\s*[:,}\]])/g, '"$1"$2') // Single-quoted keys and values
+      .replace(/([{,]\s*)([A-Za-z_]\w*)(\s*:)/g, '$1"$2"$3') // Unquoted keys
+      .replace(/:\s*True\b/g, ': true')
+      .replace(/:\s*False\b/g, ': false')
+      .replace(/:\s*None\b/g, ': null')
+      .replace(/,\s*([}\]])/g, '$1');
+    return JSON.parse(repaired);
+  }
+}
+
+// Accept the loose forms models use for a yes/no answer
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    const word = value.trim().toLowerCase();
+    if (['true', 'yes', 'y'].includes(word)) return true;
+    if (['false', 'no', 'n'].includes(word)) return false;
+  }
+  return undefined;
+}
+
+// Confidence may come back as 0.8, "0.8", 80 or "80%"
+function toConfidence(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) return undefined;
+  const fraction = number > 1 ? number / 100 : number;
+  return Math.min(1, Math.max(0, fraction));
+}
+
+/**
+ * Check an evaluation against the schema, fixing anything that can be fixed without guessing.
+ * Only a missing or unreadable `understood` makes it invalid - that is the one field
+ * the unlock decision depends on.
+ * @param {Object} value - Parsed model output
+ * @returns {Object} { valid, errors, evaluation }
+ */
+function validateEvaluation(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['reply is not a JSON object'], evaluation: null };
+  }
+
+  const errors = [];
+  const understood = toBoolean(value.understood);
+  if (understood === undefined) {
+    errors.push('"understood" must be true or false');
+  }
+
+  const confidence = toConfidence(value.confidence);
+
+  const feedback = typeof value.feedback === 'string' && value.feedback.trim()
+    ? value.feedback.trim()
+    : DEFAULT_FEEDBACK;
+
+  const suggestion = typeof value.suggestion === 'string' && value.suggestion.trim()
+    ? value.suggestion.trim()
+    : null;
+
+  let misconceptions = value.misconceptions;
+  if (typeof misconceptions === 'string') misconceptions = [misconceptions];
+  misconceptions = Array.isArray(misconceptions)
+    ? misconceptions.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()).slice(0, MAX_MISCONCEPTIONS)
+    : [];
+
+  if (errors.length > 0) {
+    return { valid: false, errors, evaluation: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    evaluation: {
+      understood,
+      confidence: confidence === undefined ? 0.5 : confidence, // Model didn't say - neither sure nor unsure
+      feedback,
+      suggestion,
+      misconceptions
+    }
+  };
+}
+
+module.exports = {
+  EVALUATION_SCHEMA,
+  EVALUATION_FORMAT,
+  parseEvaluationText,
+  validateEvaluation
+};
@@ -0,0 +1,145 @@
+// intent-classifier.js - Work out what a child's reply to the follow-up question is meant to be:
+// an answer, a new question, a request to explain, something off topic or nonsense. Local
+// heuristics first, then optionally the AI's own judgement when they are unsure.
+const { normalize } = require('./content-safety');
+
+const INTENTS = ['new_question', 'answer_to_followup', 'clarification_request', 'off_topic', 'nonsense'];
+
+// JSON Schema for the model check, sent to providers that support structured output
+const INTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: INTENTS, description: "What the child's message is meant to be" }
+  },
+  required: ['intent'],
+  additionalProperties: false
+};
+
+// Written into the prompt for providers without a native JSON mode
+const INTENT_FORMAT = `{"intent": one of ${INTENTS.map(intent => `"${intent}"`).join(', ')}}`;
+
+const QUESTION_START = /^(what|whats|what's|how|why|when|where|who|whose|which|can|could|do|does|did|is|are|was|were|will|would|should|has|have|if)\b/;
+
+// "What does evaporate mean?", "I don't get it", a bare "why?" - asking about what they were just told
+const CLARIFICATION_PATTERNS = [
+  /^(huh|what|eh|sorry|pardon|why|how|when|where|who|which)$/,
+  /\bwhat do you mean\b/,
+  /\bwhat does (that|this|it) mean\b/,
+  /\b(i )?(don't|dont|do not) (understand|get it|get what you mean|know what you mean|know what that means)\b/,
+  /\b(i'm|im|i am) (confused|lost)\b/,
+  /\b(can|could) you (explain|say) (that|it|this) (again|differently|more simply)\b/,
+  /\b(explain|say) (that|it|this) again\b/,
+  /\b(what was|repeat) the question\b/,
+  /\bwhat (are|were) you asking\b/
+];
+
+// Trying to get out of the question rather than answer it
+const OFF_TOPIC_PATTERNS = [
+  /^(hi|hello|hey|yo|sup|lol|ok|okay|k|bye|thanks|thank you)$/,
+  /\blet me (in|out|go)\b/,
+  /^(please |can you |just )?(unlock|open) (the |my |this )?(computer|laptop|screen|it)( now| please)?$/,
+  /\b(i want|can i|let me|i wanna) (to )?(go )?(play|watch|use|have) (the |my )?(computer|ipad|tablet|games?|minecraft|roblox|fortnite|youtube|tv|phone)\b/,
+  /\b(this is|you're|youre|you are) (boring|stupid|dumb|annoying)\b/,
+  /\b(i'm|im|i am) (bored|hungry|tired)\b/,
+  /\bi (don't|dont|do not) (care|want to (answer|do this))\b/
+];
+
+// Starts that mark a guess at the answer, even when it is phrased as a question
+const ANSWER_START = /^(because|cause|cuz|coz|maybe|probably|i think|i guess|i believe|it's|its|it is|it would|it will|it'd|it'll|they|yes|yeah|yep|no|nope|so that|to|by|is it|does it|do they|are they|was it|could it be|would it)\b/;
+
+// Small words that say nothing about the topic
+const STOPWORDS = new Set(('a an the and or but if of to in on at by for with from about as into than then so ' +
+  'is are was were be been being am do does did doing have has had can could will would should may might must ' +
+  'i me my you your we our they them their it its this that these those he she him her his there here ' +
+  'what why how when where who which whose not no yes very really just more most some any all much many ' +
+  'think know like get got make makes made thing things').split(' '));
+
+// Topic words, with a plural "s" dropped so "dog" and "dogs" count as the same
+function contentWords(text) {
+  return normalize(text).split(' ')
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(word => word.replace(/(?<=[a-z]{3})s$/, ''));
+}
+
+// Key mashing, repeated letters or no real words at all
+function isNonsense(text) {
+  const words = normalize(text).split(' ').filter(Boolean);
+  if (words.length === 0 || !/[a-z]/.test(words.join(''))) return true;
+  if (/^(asdf|qwer|zxcv|jkl|hjkl|sdf)/.test(words[0])) return true;
+  return words.every(word => /(.)\1{3,}/.test(word) || (word.length > 4 && !/[aeiouy]/.test(word)));
+}
+
+class IntentClassifier {
+  /**
+   * @param {Object} config - { modelCheck } to ask the model when the heuristics are unsure
+   * @param {Object} options - { classify(message, followUpQuestion) } the model check, e.g. ProviderChain's classifyIntent
+   */
+  constructor(config = {}, options = {}) {
+    this.modelClassify = config.modelCheck && options.classify ? options.classify : null;
+  }
+
+  /**
+   * Heuristics only - free, instant and works offline
+   * @param {string} message - The child's reply
+   * @param {Object} context - { followUpQuestion, answer } what the child is replying to
+   * @returns {Object} { intent, confident, layer } - layer is always 'heuristic'
+   */
+  classifyLocally(message, context = {}) {
+    const result = (intent, confident = true) => ({ intent, confident, layer: 'heuristic' });
+    const text = normalize(message);
+
+    if (isNonsense(message)) return result('nonsense');
+    if (CLARIFICATION_PATTERNS.some(pattern => pattern.test(text))) return result('clarification_request');
+    if (OFF_TOPIC_PATTERNS.some(pattern => pattern.test(text))) return result('off_topic');
+
+    // Asking what a word from the answer means - "what is a predator?" after an answer about predators
+    const askedAbout = text.match(/^(what is|what's|whats|what are|what does) (an? |the )?([a-z'-]+( [a-z'-]+)?)( mean)?$/);
+    if (askedAbout) {
+      const said = new Set(contentWords(`${context.followUpQuestion || ''} ${context.answer || ''}`));
+      if (contentWords(askedAbout[3]).some(word => said.has(word))) return result('clarification_request');
+    }
+
+    if (ANSWER_START.test(text)) return result('answer_to_followup');
+
+    const looksLikeQuestion = String(message).trim().endsWith('?') || QUESTION_START.test(text);
+    if (!looksLikeQuestion) return result('answer_to_followup');
+
+    // A question mostly about what they were asked is usually a guess - "do humans move really fast?"
+    // after "Do you think humans move fast?". One on the same subject but asking something else
+    // ("can dogs see colors?" after "why do dogs sniff everything?") is probably new; either way
+    // only a question on an unrelated subject is clear-cut.
+    const followUp = new Set(contentWords(context.followUpQuestion));
+    const words = contentWords(message);
+    const shared = words.filter(word => followUp.has(word)).length;
+    if (shared === 0) return result('new_question');
+    return shared * 2 >= words.length ? result('answer_to_followup', false) : result('new_question', false);
+  }
+
+  /**
+   * Classify locally, then with the model when the heuristics are unsure and it is switched
+   * on. A failed model check keeps the heuristic's answer.
+   * @param {string} message - The child's reply
+   * @param {Object} context - { followUpQuestion, answer } what the child is replying to
+   * @param {Object} options - { useModel } false to skip the model check, e.g. when the budget is spent,
+   *   { modelMessage, modelFollowUp } what the model is sent instead, e.g. with personal details redacted
+   * @returns {Promise<Object>} { intent, confident, layer } where layer is 'heuristic' or 'model'
+   */
+  async classify(message, context = {}, options = {}) {
+    const local = this.classifyLocally(message, context);
+    if (local.confident || !this.modelClassify || options.useModel === false) return local;
+
+    try {
+      const { intent } = await this.modelClassify(options.modelMessage || message, options.modelFollowUp || context.followUpQuestion);
+      return { intent, confident: true, layer: 'model' };
+    } catch (error) {
+      console.warn('Model intent check failed - relying on the heuristics:', error.message);
+    }
+    return local;
+  }
+}
+
+IntentClassifier.INTENTS = INTENTS;
+IntentClassifier.INTENT_SCHEMA = INTENT_SCHEMA;
+IntentClassifier.INTENT_FORMAT = INTENT_FORMAT;
+
+module.exports = IntentClassifier;
@@ -0,0 +1,123 @@
+// ipc-validation.js - Check what the renderer sends before any IPC handler runs. The chat window
+// shows AI output, so everything arriving from it is treated as untrusted.
+
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_CONVERSATION_TURNS = 100;
+const MAX_NAME_LENGTH = 40;
+const MAX_SCHEDULE_RULES = 50;
+const STAGES = ['question', 'understanding'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = (value, maxLength) => typeof value === 'string' && value.length <= maxLength;
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+const isId = value => Number.isInteger(value) && value > 0;
+const isPin = value => typeof value === 'string' && /^\d{4}$/.test(value);
+const isNumberLike = value => value === '' || (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.length <= 10 && /^\d*\.?\d*$/.test(value));
+
+function isTurn(turn) {
+  return isObject(turn) && isText(turn.user, MAX_MESSAGE_LENGTH) && isOptional(turn.ai, ai => isText(ai, 10 * MAX_MESSAGE_LENGTH));
+}
+
+function isProfile(profile) {
+  return isObject(profile) &&
+    isOptional(profile.id, isId) &&
+    isOptional(profile.name, name => isText(name, MAX_NAME_LENGTH)) &&
+    isOptional(profile.age, isNumberLike) &&
+    isOptional(profile.gender, gender => isText(gender, 20)) &&
+    isOptional(profile.maxConversationLength, isNumberLike) &&
+    isOptional(profile.unlockedMinutes, isNumberLike) &&
+    isOptional(profile.strictness, value => isText(value, 20)) &&
+    isOptional(profile.failurePolicy, value => isText(value, 20)) &&
+    isOptional(profile.privacyLevel, value => isText(value, 20));
+}
+
+function isScheduleRule(rule) {
+  return isObject(rule) &&
+    Array.isArray(rule.days) && rule.days.length <= 7 && rule.days.every(Number.isInteger) &&
+    isText(rule.start, 5) && isText(rule.end, 5) && isText(rule.action, 20) &&
+    isOptional(rule.every, isNumberLike) && typeof rule.enabled === 'boolean';
+}
+
+// Argument checks for each channel - a channel with no entry here is rejected
+const VALIDATORS = {
+  'process-message': ([data]) => isObject(data) &&
+    isText(data.message, MAX_MESSAGE_LENGTH) && data.message.trim().length > 0 &&
+    STAGES.includes(data.stage) &&
+    Array.isArray(data.conversation) && data.conversation.length <= MAX_CONVERSATION_TURNS && data.conversation.every(isTurn) &&
+    isOptional(data.streamId, isId),
+  'get-example-questions': args => args.length === 0,
+
+  'get-child-profiles': args => args.length === 0,
+  'select-child': ([childId]) => isId(childId),
+  'get-child-profile': ([childId]) => isOptional(childId, isId),
+  'add-child-profile': ([profile]) => isProfile(profile) && isText(profile.name, MAX_NAME_LENGTH),
+  'update-child-profile': ([profile]) => isProfile(profile),
+  'delete-child-profile': ([childId]) => isId(childId),
+  'get-all-interests': ([childId]) => isOptional(childId, isId),
+  'update-interests': ([interests, childId]) => Array.isArray(interests) &&
+    interests.every(interest => isObject(interest) && isId(interest.id) && typeof interest.selected === 'boolean') &&
+    isOptional(childId, isId),
+
+  'get-pin-status': args => args.length === 0,
+  'verify-parent-pin': ([pin]) => isText(pin, 4), // A wrong PIN is a failed attempt, not bad input
+  'set-initial-pin': ([pin]) => isPin(pin),
+  'update-parent-pin': ([pin]) => isPin(pin),
+
+  'get-emergency-unlock-count': args => args.length === 0,
+  'get-budget-status': args => args.length === 0,
+  'update-budget-settings': ([settings]) => isObject(settings) && isNumberLike(settings.dailyLimit) && isText(settings.policy, 20),
+  'get-lock-schedule': args => args.length === 0,
+  'update-lock-schedule': ([rules]) => Array.isArray(rules) && rules.length <= MAX_SCHEDULE_RULES && rules.every(isScheduleRule),
+  'get-history-topics': args => args.length === 0,
+  'get-learning-history': ([filter]) => isOptional(filter, value => isObject(value) &&
+    isOptional(value.topic, topic => isText(topic, 100)) && isOptional(value.childId, isId)),
+  'get-blocked-questions': ([filter]) => isOptional(filter, value => isObject(value) && isOptional(value.childId, isId)),
+  'get-wellbeing-alerts': args => args.length === 0,
+  'mark-wellbeing-alerts-seen': args => args.length === 0,
+
+  'emergency-unlock': args => args.length === 0,
+  'pause-locking': args => args.length === 0,
+  'quit-app': args => args.length === 0,
+  'unlock-app': args => args.length === 0,
+  'end-parent-session': args => args.length === 0
+};
+
+// Channels that change settings, unlock or show a child's history need the parent PIN first
+const PARENT_CHANNELS = [
+  'add-child-profile',
+  'update-child-profile',
+  'delete-child-profile',
+  'update-interests',
+  'update-parent-pin',
+  'update-budget-settings',
+  'update-lock-schedule',
+  'get-learning-history',
+  'get-blocked-questions',
+  'get-wellbeing-alerts',
+  'mark-wellbeing-alerts-seen',
+  'emergency-unlock',
+  'pause-locking',
+  'quit-app'
+];
+
+/**
+ * @param {string} channel - IPC channel name
+ * @param {Array} args - Arguments after the IPC event
+ * @returns {boolean} Whether the handler may run with these arguments
+ */
+function validateIpcArgs(channel, args) {
+  const validate = VALIDATORS[channel];
+  if (!validate) return false;
+
+  try {
+    return validate(args) === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  PARENT_CHANNELS,
+  validateIpcArgs
+};
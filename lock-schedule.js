@@ -0,0 +1,162 @@
+// lock-schedule.js - Decide when the lock screen is needed from the parent's weekly rules
+
+// What a rule asks for while it is active
+const SCHEDULE_ACTIONS = {
+  question: 'Answer a question to unlock, then lock again after a while',
+  block: 'Stay locked - no unlocking'
+};
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// "HH:MM" to minutes since midnight
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+class LockSchedule {
+  /**
+   * @param {DatabaseService} database - Where the rules are stored
+   * @param {Object} clock - { now() } returning a Date, replaceable in tests
+   */
+  constructor(database, clock = {}) {
+    this.db = database;
+    this.now = clock.now || (() => new Date());
+  }
+
+  /**
+   * @returns {Array} Every rule, enabled or not: { id, days, start, end, action, every, enabled }
+   */
+  getRules() {
+    return this.db ? this.db.getLockSchedules() : [];
+  }
+
+  /**
+   * Replace the parent's rules - nothing is saved if any rule is invalid
+   * @param {Array} rules - Rules as edited in Parent Settings
+   * @returns {boolean} Whether the rules were valid and saved
+   */
+  saveRules(rules) {
+    if (!Array.isArray(rules) || !this.db) return false;
+    const normalized = rules.map(LockSchedule.normalizeRule);
+    if (normalized.includes(null)) return false;
+
+    return this.db.saveLockSchedules(normalized);
+  }
+
+  hasRules() {
+    return this.getRules().some(rule => rule.enabled);
+  }
+
+  /**
+   * What the schedule asks for at a moment. Quiet-time rules beat question rules,
+   * and of several question rules the one asking most often wins.
+   * @param {Date} date - Defaults to the clock's current time
+   * @returns {Object} { action: 'block', 'question' or 'free', rule, unlockedMinutes }
+   */
+  getState(date = this.now()) {
+    const rules = this.getRules().filter(rule => rule.enabled);
+    if (rules.length === 0) {
+      // No schedule - lock every time, as before schedules existed
+      return { action: 'question', rule: null, unlockedMinutes: null };
+    }
+
+    const active = rules.filter(rule => LockSchedule.isActive(rule, date));
+    const block = active.find(rule => rule.action === 'block');
+    if (block) {
+      return { action: 'block', rule: block, unlockedMinutes: 0 };
+    }
+
+    const question = active
+      .filter(rule => rule.action === 'question')
+      .sort((a, b) => a.every - b.every)[0];
+    if (question) {
+      return { action: 'question', rule: question, unlockedMinutes: question.every };
+    }
+
+    return { action: 'free', rule: null, unlockedMinutes: null };
+  }
+
+  /**
+   * A rule's window belongs to the day it starts on. An end at or before the start runs
+   * past midnight, so "Sun-Thu 21:00-07:00" also covers early Monday to Friday mornings.
+   * @param {Object} rule - Normalized rule
+   * @param {Date} date - Moment to check
+   * @returns {boolean}
+   */
+  static isActive(rule, date) {
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    const start = toMinutes(rule.start);
+    const end = toMinutes(rule.end);
+
+    if (start < end) {
+      return rule.days.includes(today) && minute >= start && minute < end;
+    }
+    return (rule.days.includes(today) && minute >= start) ||
+      (rule.days.includes(yesterday) && minute < end);
+  }
+
+  /**
+   * Check a rule from Parent Settings
+   * @param {Object} rule - { days, start, end, action, every, enabled }
+   * @returns {Object|null} The cleaned rule, or null if it can't be used
+   */
+  static normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+
+    const days = [...new Set((Array.isArray(rule.days) ? rule.days : []).map(Number))]
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+    const every = rule.action === 'question' ? parseInt(rule.every, 10) : null;
+
+    if (days.length === 0 || !SCHEDULE_ACTIONS[rule.action]) return null;
+    if (!TIME_PATTERN.test(rule.start) || !TIME_PATTERN.test(rule.end)) return null;
+    if (rule.action === 'question' && !(every > 0)) return null;
+
+    return {
+      days,
+      start: rule.start,
+      end: rule.end,
+      action: rule.action,
+      every,
+      enabled: rule.enabled !== false
+    };
+  }
+
+  /**
+   * One-line summary for logs and the settings list, e.g. "Mon-Fri 15:00-18:00: a question every 60 min"
+   * @param {Object} rule - Normalized rule
+   * @returns {string}
+   */
+  static describeRule(rule) {
+    const action = rule.action === 'block' ? 'stay locked' : `a question every ${rule.every} min`;
+    return `${LockSchedule.describeDays(rule.days)} ${rule.start}-${rule.end}: ${action}`;
+  }
+
+  // Runs of three or more days are shortened, e.g. [1, 2, 3, 4, 5] is "Mon-Fri"
+  static describeDays(days) {
+    if (days.length === 7) return 'Every day';
+
+    const runs = [];
+    days.forEach(day => {
+      const run = runs[runs.length - 1];
+      if (run && run[run.length - 1] === day - 1) {
+        run.push(day);
+      } else {
+        runs.push([day]);
+      }
+    });
+    return runs.map(run => run.length >= 3
+      ? `${DAY_NAMES[run[0]]}-${DAY_NAMES[run[run.length - 1]]}`
+      : run.map(day => DAY_NAMES[day]).join(', ')
+    ).join(', ');
+  }
+}
+
+LockSchedule.ACTIONS = SCHEDULE_ACTIONS;
+LockSchedule.DAY_NAMES = DAY_NAMES;
+
+module.exports = LockSchedule;
@@ -1,5 +1,5 @@
 // main-with-ai.js - Main process with AI integration
-const { app, BrowserWindow, globalShortcut, screen, ipcMain } = require('electron');
+const { app, BrowserWindow, globalShortcut, screen, ipcMain, Notification, Tray, Menu } = require('electron');
 
 // Disable GPU acceleration to prevent crashes (must be before app.whenReady)
 if (app && typeof app.disableHardwareAcceleration === 'function') {
@@ -7,42 +7,86 @@ if (app && typeof app.disableHardwareAcceleration === 'function') {
 }
 
 const path = require('path');
-const { AIService, ClaudeService, GeminiService } = require('./ai-service');
+const { AIService, createAIService } = require('./ai-service');
+const ProviderChain = require('./provider-chain');
 const aiConfig = require('./ai-config');
 const DatabaseService = require('./database');
 const QuestionGenerator = require('./question-generator');
 const ConversationTracker = require('./conversation-tracker');
+const BudgetManager = require('./budget-manager');
+const OfflineQuestionBank = require('./offline-question-bank');
+const SessionTimer = require('./session-timer');
+const LockSchedule = require('./lock-schedule');
+const ContentSafety = require('./content-safety');
+const IntentClassifier = require('./intent-classifier');
+const { PRIVACY_LEVELS, DEFAULT_PRIVACY_LEVEL, redactPersonalInfo, redactConversation } = require('./pii-redaction');
+const { checkWellbeing, getSupportMessage } = require('./wellbeing-check');
+const { PARENT_CHANNELS, validateIpcArgs } = require('./ipc-validation');
+
+// What happens when no AI provider can answer a question or check an answer
+const AI_FAILURE_POLICIES = {
+  offline: 'Give a quiz from the offline question bank',
+  unlock: 'Unlock anyway',
+  lock: 'Stay locked until a parent unlocks'
+};
+
+const SCHEDULE_CHECK_INTERVAL = 30 * 1000; // How often to look for a scheduled window starting
+const PAUSE_MINUTES = 60; // Tray "Pause" and emergency unlocks
+const PARENT_VERIFIED_FOR = 15 * 60 * 1000; // How long after the PIN parent-only calls are accepted
+
+// Shown when the offline question bank has nothing on the child's question and swaps in another topic
+const OFFLINE_SWAP_INTRO = "I can't look that up right now, but here's something cool instead! ";
 
 // Initialize AI service, database, question generator, and conversation tracker
 let ai;
 let db;
 let questionGenerator;
 let conversationTracker;
-let childAge = process.env.CHILD_AGE || null; // Load child age from environment (fallback)
-const apiKey = aiConfig.apiKeys[aiConfig.provider];
-const config = aiConfig.models[aiConfig.provider];
-
-switch (aiConfig.provider) {
-  case 'openai':
-    ai = new AIService(apiKey, config);
-    break;
-  case 'claude':
-    ai = new ClaudeService(apiKey, config);
-    break;
-  case 'gemini':
-    ai = new GeminiService(apiKey, config);
-    break;
-  default:
-    throw new Error(`Unsupported provider: ${aiConfig.provider}`);
-}
+let budgetManager;
+let lockSchedule;
+let scheduleCheck;
+const defaultChildAge = process.env.CHILD_AGE || null; // Used when the child's profile has no age
+// Providers are tried in the configured order, skipping any whose circuit breaker is open
+ai = new ProviderChain(
+  aiConfig.providers.map(provider => createAIService(provider, aiConfig.apiKeys[provider], aiConfig.models[provider])),
+  aiConfig.failover
+);
+// Every question is screened before it reaches a provider
+const contentSafety = new ContentSafety(aiConfig.safety, {
+  classify: (question, blockTopics) => ai.classifyQuestion(question, blockTopics)
+});
+// Replies to the follow-up question are sorted before anything is evaluated
+const intentClassifier = new IntentClassifier({ modelCheck: aiConfig.behavior.intentModelCheck }, {
+  classify: (message, followUpQuestion) => ai.classifyIntent(message, followUpQuestion)
+});
 
 let mainWindow;
+let parentWindow = null; // Opened from the tray for the PIN and Parent Settings
+let tray = null;
 let isUnlocked = false;
+let unlockGranted = false; // Set once the child has earned the unlock - the renderer can't unlock on its own
+let paused = false; // A parent paused locking - the schedule waits until the pause is over
+let parentVerifiedAt = 0; // When the parent PIN was last entered correctly
 let currentConversation = {
   question: null,
   answer: null,
   stage: 'question'
 };
+let currentSessionId = null; // History session for the current lock-screen conversation
+let activeChildId = null; // Child picked on the lock screen - null means the first profile
+let childPicked = false; // A child was picked on this lock screen - switching after that needs the parent PIN
+
+// After an unlock the app keeps running and brings the lock screen back when the child's time is up
+const sessionTimer = new SessionTimer({ onWarning: warnBeforeRelock, onExpire: relock });
+
+// The renderer only reaches the main process through preload.js's window.yesbut
+const SECURE_WEB_PREFERENCES = {
+  preload: path.join(__dirname, 'preload.js'),
+  nodeIntegration: false,
+  contextIsolation: true,
+  sandbox: true,
+  devTools: false
+};
 
 function createWindow() {
   // Get primary display
@@ -63,11 +107,7 @@ function createWindow() {
     closable: false,
     alwaysOnTop: true,
     skipTaskbar: true,
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      devTools: false
-    }
+    webPreferences: SECURE_WEB_PREFERENCES
   });
 
   // Load the chat interface
@@ -86,52 +126,129 @@ function createWindow() {
   });
 }
 
+// Send the answer to the chat window as it is generated, tagged with the renderer's stream id
+function streamTo(event, streamId) {
+  if (!aiConfig.behavior.streamAnswers || !streamId) return {};
+  return {
+    onToken: (delta, text) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('ai-stream', { streamId, text });
+      }
+    }
+  };
+}
+
+// Register an IPC handler behind the sender, argument and parent PIN checks
+function handle(channel, handler) {
+  ipcMain.handle(channel, (event, ...args) => {
+    const problem = getIpcProblem(channel, event, args);
+    if (problem) {
+      console.warn(`Rejected '${channel}': ${problem}`);
+      throw new Error(`Rejected '${channel}': ${problem}`);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// Why an IPC call must not run, or null if it may
+function getIpcProblem(channel, event, args) {
+  const ownWindow = [mainWindow, parentWindow].some(window => window && !window.isDestroyed() && window.webContents === event.sender);
+  if (!ownWindow) return 'not sent by a YesButFirst window';
+  if (!validateIpcArgs(channel, args)) return 'invalid arguments';
+  if (channel === 'set-initial-pin' && !(parentWindow && event.sender === parentWindow.webContents)) {
+    return 'the first PIN can only be set from the parent window';
+  }
+  if (PARENT_CHANNELS.includes(channel) && !isParentVerified()) return 'the parent PIN was not entered';
+  if (PARENT_CHANNELS.includes(channel) && channel !== 'update-parent-pin' && db && db.getSetting('must_change_pin', false)) {
+    return 'the old default PIN must be changed first';
+  }
+  return null;
+}
+
 // Handle AI message processing
-ipcMain.handle('process-message', async (event, data) => {
+handle('process-message', async (event, data) => {
   const { message, stage, conversation } = data;
   
   console.log('🔍 PROCESSING MESSAGE:', { message, stage, conversationLength: conversation.length });
   console.log('🔍 CURRENT CONVERSATION STATE:', currentConversation);
   
   try {
+    const child = getActiveChild();
+    
+    // A child who sounds hurt or upset gets a caring reply instead of a quiz, and the parent is told.
+    // Checked before anything else, in either stage, and never sent to a provider.
+    const wellbeingReply = getWellbeingReply(child, message, stage);
+    if (wellbeingReply) return wellbeingReply;
+    
+    // Quiet hours - no amount of answering unlocks the computer
+    const schedule = getScheduleState();
+    if (schedule.action === 'block') {
+      return {
+        message: `It's quiet time until ${schedule.rule.end}, so the computer stays locked. Ask a parent if you really need it. 🌙`,
+        stage,
+        error: true
+      };
+    }
+    
+    const maxConversationLength = getConversationLimit(child);
+    
+    // Providers only see the child's words with personal details replaced - the originals stay in the history
+    const privacy = getPrivacyOptions(child);
+    const upstreamMessage = redactPersonalInfo(message, privacy).text;
+    const upstreamConversation = redactConversation(conversation, privacy);
+    
     if (stage === 'question') {
       // Answer the child's question
       console.log('Processing question:', message);
       
+      const safetyReply = await getSafetyRedirect(child, message, 'question', upstreamMessage);
+      if (safetyReply) return safetyReply;
+      
+      // Long conversations cost more with every turn - steer back to the open follow-up question
+      if (conversation.length >= maxConversationLength && currentConversation.answer) {
+        return {
+          message: `We've explored a lot together! Let's finish with my last question: ${extractFollowUpQuestion(currentConversation.answer) || 'what did you learn?'}`,
+          stage: 'understanding'
+        };
+      }
+      
+      const budgetReply = getBudgetExhaustedReply(message);
+      if (budgetReply) return budgetReply;
+      
       // Determine if this is the first response 
       // First response = no conversation history at all
       const isFirstResponse = conversation.length === 0;
       
-      // Get child's interests for context
-      let childInterests = [];
-      if (db) {
-        try {
-          childInterests = db.getSelectedInterests();
-        } catch (error) {
-          console.error('Error getting child interests:', error);
-        }
-      }
-      
       console.log('Making AI call with:', {
         question: message,
-        childAge,
+        child: child.name,
+        childAge: child.age,
         isFirstResponse,
         conversationLength: conversation.length,
-        interests: childInterests.length,
+        interests: child.interests.length,
         historyLength: conversation.length
       });
 
-      const response = await ai.answerQuestion(
-        message, 
-        childAge, 
-        isFirstResponse, 
-        conversation.length,
-        childInterests,
-        conversation // Pass history
-      );
+      let response;
+      try {
+        response = await ai.answerQuestion(
+          upstreamMessage, 
+          child.age, 
+          isFirstResponse, 
+          conversation.length,
+          child.interests,
+          upstreamConversation, // Pass history
+          streamTo(event, data.streamId)
+        );
+      } catch (error) {
+        console.error('No AI provider could answer:', error.message);
+        return getAIFailureReply(child, message, 'answer');
+      }
       
-      // Check if it was a nonsensical question
-      if (response.isNonsense) {
+      // Nonsense, or an answer that failed moderation - the child asks again
+      if (response.isNonsense || response.moderated) {
+        recordTurn({ stage: 'question', question: message, aiResponse: response.answer, usage: response.usage, provider: response.provider });
+        
         // Don't change stage for nonsense questions
         return {
           message: response.answer,
@@ -140,8 +257,9 @@ ipcMain.handle('process-message', async (event, data) => {
         };
       }
       
-      currentConversation.question = message;
-      currentConversation.answer = response.answer;
+      currentConversation = { question: message, answer: response.answer, stage: 'understanding' };
+      
+      recordTurn({ stage: 'understanding', question: message, aiResponse: response.answer, usage: response.usage, provider: response.provider });
       
       // Log usage for monitoring
       console.log('Token usage:', response.usage);
@@ -154,58 +272,67 @@ ipcMain.handle('process-message', async (event, data) => {
       };
       
     } else if (stage === 'understanding') {
-      // Check if this looks like a new question rather than showing understanding
-      // Be EXTREMELY conservative - only treat as new question if it clearly is one AND the child explicitly signals it's a new topic
-      const lowerMessage = message.toLowerCase().trim();
-      const hasQuestionMark = message.includes('?');
-      const startsWithQuestionWord = (lowerMessage.startsWith('what ') ||
-                                     lowerMessage.startsWith('how ') ||
-                                     lowerMessage.startsWith('why ') ||
-                                     lowerMessage.startsWith('when ') ||
-                                     lowerMessage.startsWith('where ') ||
-                                     lowerMessage.startsWith('who '));
+      // Work out what the reply is meant to be - only answers are evaluated
+      const aiResponse = currentConversation.answer || '';
+      const followUpQuestion = extractFollowUpQuestion(aiResponse);
+      const { intent, layer } = await intentClassifier.classify(message, { followUpQuestion, answer: aiResponse }, {
+        useModel: !currentConversation.offline && !(budgetManager && budgetManager.isExhausted()),
+        modelMessage: upstreamMessage,
+        modelFollowUp: followUpQuestion && redactPersonalInfo(followUpQuestion, privacy).text
+      });
+      console.log(`Reply intent: ${intent} (${layer})`);
+      
+      const intentReply = await getIntentReply(child, intent, followUpQuestion, message, event, data.streamId);
+      if (intentReply) return intentReply;
       
-      // Only treat as new question if it has a question mark AND starts with a question word
-      // This prevents answers like "do humans move really fast" from being treated as new questions
-      const isNewQuestion = hasQuestionMark && startsWithQuestionWord;
+      // Past the conversation length limit every message counts as an answer, so no new AI answers are bought
+      const withinConversationLimit = conversation.length < maxConversationLength;
+      const isNewQuestion = intent === 'new_question' && withinConversationLimit;
       
       if (isNewQuestion) {
         // They're asking a new question - treat as fresh question (not follow-up)
         console.log('NEW QUESTION DETECTED while in understanding stage:', message);
         
+        // A blocked question leaves the open follow-up question in place
+        const safetyReply = await getSafetyRedirect(child, message, 'understanding', upstreamMessage);
+        if (safetyReply) return safetyReply;
+        
         // RESET conversation state for new question
         currentConversation = {};
         
-        // Get child's interests for context
-        let childInterests = [];
-        if (db) {
-          try {
-            childInterests = db.getSelectedInterests();
-          } catch (error) {
-            console.error('Error getting child interests:', error);
-          }
-        }
+        const budgetReply = getBudgetExhaustedReply(message);
+        if (budgetReply) return budgetReply;
         
         console.log('Making AI call with:', {
           question: message,
-          childAge,
+          child: child.name,
+          childAge: child.age,
           isFirstResponse: true,
           conversationLength: conversation.length,
-          interests: childInterests.length,
+          interests: child.interests.length,
           historyLength: conversation.length
         });
 
-        const response = await ai.answerQuestion(
-          message, 
-          childAge, 
-          true,
-          0,
-          childInterests,
-          conversation // Pass history
-        );
+        let response;
+        try {
+          response = await ai.answerQuestion(
+            upstreamMessage, 
+            child.age, 
+            true,
+            0,
+            child.interests,
+            upstreamConversation, // Pass history
+            streamTo(event, data.streamId)
+          );
+        } catch (error) {
+          console.error('No AI provider could answer:', error.message);
+          return getAIFailureReply(child, message, 'answer');
+        }
         
-        // Check if it was a nonsensical question
-        if (response.isNonsense) {
+        // Nonsense, or an answer that failed moderation - the child asks again
+        if (response.isNonsense || response.moderated) {
+          recordTurn({ stage: 'question', question: message, aiResponse: response.answer, usage: response.usage, provider: response.provider });
+          
           // Don't change stage for nonsense questions
           return {
             message: response.answer,
@@ -214,8 +341,9 @@ ipcMain.handle('process-message', async (event, data) => {
           };
         }
         
-        currentConversation.question = message;
-        currentConversation.answer = response.answer;
+        currentConversation = { question: message, answer: response.answer, stage: 'understanding' };
+        
+        recordTurn({ stage: 'understanding', question: message, aiResponse: response.answer, usage: response.usage, provider: response.provider });
         
         console.log('Token usage:', response.usage);
         console.log('Response type: New Question (punchy)');
@@ -234,34 +362,19 @@ ipcMain.handle('process-message', async (event, data) => {
           aiResponse: currentConversation.answer ? currentConversation.answer.substring(0, 100) + '...' : 'None'
         });
         
-        // Get child profile for complexity scaling
-        let childProfile = { age: childAge, interests: [] };
-        if (db) {
-          try {
-            const profile = db.getChildProfile();
-            const interests = db.getSelectedInterests();
-            childProfile = {
-              age: profile.age || childAge,
-              interests: interests
-            };
-          } catch (error) {
-            console.error('Error getting child profile for evaluation:', error);
-          }
-        }
-        
         // Use question generator to assess response complexity and get next level
         let nextLevel = null;
         if (questionGenerator) {
-          nextLevel = questionGenerator.getNextQuestionLevel(message, questionGenerator.getAgeGroup(childProfile.age));
+          nextLevel = questionGenerator.getNextQuestionLevel(message, questionGenerator.getAgeGroup(child.age));
         }
         
-        // Extract the follow-up question from the AI's response
-        const aiResponse = currentConversation.answer || '';
-        const followUpQuestion = extractFollowUpQuestion(aiResponse);
-        
         console.log('Extracted follow-up question:', followUpQuestion);
         
+        // Keep the question being answered for the history, as the state may be reset below
+        const answeredQuestion = currentConversation.question;
+        
         // 🐛 BUG FIX: Add comprehensive error handling and debugging
+        const rules = getUnlockRules(child);
         let evaluation;
         try {
           console.log('🔍 EVALUATION INPUT:', {
@@ -273,19 +386,26 @@ ipcMain.handle('process-message', async (event, data) => {
           
           console.log('Making AI call with:', {
             question: followUpQuestion || currentConversation.question,
-            childAge,
+            child: child.name,
+            childAge: child.age,
             isFirstResponse: false,
             conversationLength: conversation.length,
-            interests: childInterests.length,
+            interests: child.interests.length,
             historyLength: conversation.length
           });
 
-          evaluation = await ai.evaluateUnderstanding(
-            followUpQuestion || currentConversation.question, // Use the follow-up question if found
-            currentConversation.answer,
-            message,
-            conversation // Send full conversation history for context
-          );
+          if (currentConversation.offline || (budgetManager && budgetManager.isExhausted())) {
+            // Offline quiz or out of budget - judge the answer locally instead of paying for another call
+            evaluation = ai.getFallbackEvaluation(message, rules.strictness);
+          } else {
+            evaluation = await ai.evaluateUnderstanding(
+              followUpQuestion || redactPersonalInfo(currentConversation.question, privacy).text, // Use the follow-up question if found
+              currentConversation.answer,
+              upstreamMessage,
+              upstreamConversation, // Send full conversation history for context
+              { strictness: rules.strictness }
+            );
+          }
           
           console.log('✅ EVALUATION RESULT:', evaluation);
         } catch (error) {
@@ -295,27 +415,42 @@ ipcMain.handle('process-message', async (event, data) => {
           // Fallback: be generous and assume understanding on error
           evaluation = {
             understood: true,
+            confidence: 0,
             feedback: "Nice!",
-            suggestion: ""
+            suggestion: null,
+            misconceptions: [],
+            fallback: true
           };
           
-          // Reset conversation state to prevent further errors
-          currentConversation = {
-            question: null,
-            answer: null,
-            stage: 'question'
-          };
+          // The open question stays in place: 'lock' asks the child to try again, while 'unlock'
+          // and 'offline' end this conversation below and reset it themselves
         }
         
+        // No provider could judge the reply - the parent's policy decides instead of always unlocking
+        if (evaluation.fallback && rules.failurePolicy !== 'unlock') {
+          recordTurn({ stage: 'understanding', question: answeredQuestion, aiResponse: aiResponse, childFollowUp: message });
+          return getAIFailureReply(child, answeredQuestion, 'evaluation');
+        }
+        
+        recordTurn({
+          stage: evaluation.understood ? 'complete' : 'understanding',
+          question: answeredQuestion,
+          aiResponse: aiResponse,
+          childFollowUp: message,
+          evaluation,
+          provider: evaluation.provider
+        });
+        
         if (evaluation.understood) {
           // 🎉 CHILD UNDERSTOOD - UNLOCK IMMEDIATELY
           console.log('🎉 Child understood! Unlocking computer NOW!');
+          grantUnlock('unlocked');
           
           // Send unlock event to renderer
           event.reply('unlock-computer');
           
           // Simple, immediate unlock message based on age
-          const ageGroup = ai.getAgeGroup(childAge);
+          const ageGroup = ai.getAgeGroup(child.age);
           let unlockMessage;
           
           if (ageGroup === 'young') {
@@ -340,18 +475,38 @@ ipcMain.handle('process-message', async (event, data) => {
           };
         } else {
           // ❌ CHILD NEEDS MORE HELP
-          console.log('❌ Child needs more help, retrying...');
+          const failedAttempts = (currentConversation.failedAttempts || 0) + 1;
+          currentConversation.failedAttempts = failedAttempts;
+          console.log(`❌ Child needs more help (attempt ${failedAttempts})`);
+          
+          const { maxRetries, allowSkipAfter } = aiConfig.behavior;
+          const canSkip = allowSkipAfter > 0 && failedAttempts >= allowSkipAfter;
+          currentConversation.skipOffered = canSkip;
+          
+          // Out of tries - explain it once more, more simply, before anything else
+          if (maxRetries > 0 && failedAttempts >= maxRetries && !currentConversation.reexplained) {
+            const explanation = await getSimplerExplanation(child, event, data.streamId);
+            if (explanation) {
+              return { message: explanation, stage: 'understanding', retry: true, canSkip };
+            }
+          }
           
           // Provide appropriate hint based on complexity assessment
           let suggestion = evaluation.suggestion || "Try again?";
           if (nextLevel) {
             suggestion = nextLevel.nextQuestion || suggestion;
           }
+          if (canSkip) {
+            suggestion += " Or you can skip this one for now.";
+          } else if (maxRetries > 0 && failedAttempts >= maxRetries && !(allowSkipAfter > 0)) {
+            suggestion += " If you're stuck, ask a parent to help.";
+          }
           
           return {
             message: evaluation.feedback + " " + suggestion,
             stage: 'understanding',
-            retry: true
+            retry: true,
+            canSkip
           };
         }
       }
@@ -361,6 +516,8 @@ ipcMain.handle('process-message', async (event, data) => {
     console.error('Error stack:', error.stack);
     console.error('Failed input:', { message, stage, conversation });
     
+    recordTurn({ stage: 'question', question: stage === 'question' ? message : currentConversation.question, childFollowUp: stage === 'question' ? null : message });
+    
     // RESET state
     currentConversation = {
       question: null,
@@ -376,31 +533,8 @@ ipcMain.handle('process-message', async (event, data) => {
   }
 });
 
-app.whenReady().then(async () => {
-  // Initialize database and question generator
-  try {
-    db = new DatabaseService();
-    await db.initializeDatabase(); // Wait for async initialization
-    console.log('✓ Database initialized');
-    
-    questionGenerator = new QuestionGenerator();
-    console.log('✓ Question generator initialized');
-    
-    conversationTracker = new ConversationTracker(db);
-    console.log('✓ Conversation tracker initialized');
-    
-    // Load child profile from database
-    const profile = db.getChildProfile();
-    if (profile && profile.age) {
-      childAge = profile.age;
-      console.log(`Child age loaded from database: ${childAge}`);
-    }
-  } catch (error) {
-    console.error('✗ Database initialization failed:', error);
-  }
-
-  createWindow();
-
+// Keyboard shortcuts while the lock screen is up
+function registerLockShortcuts() {
   // Emergency exit shortcut
   const emergencyShortcut = process.platform === 'win32' ? 'Ctrl+Shift+Q' : 'CommandOrControl+Shift+Q';
   const success = globalShortcut.register(emergencyShortcut, () => {
@@ -431,9 +565,64 @@ app.whenReady().then(async () => {
       console.error(`Failed to register ${shortcut}:`, error);
     }
   });
+}
+
+app.whenReady().then(async () => {
+  // Initialize database and question generator
+  try {
+    db = new DatabaseService();
+    await db.initializeDatabase(); // Wait for async initialization
+    console.log('✓ Database initialized');
+    if (db.recoveredFrom) {
+      console.warn(`⚠️ Settings database was damaged and restored from ${db.recoveredFrom}`);
+    }
+    
+    questionGenerator = new QuestionGenerator();
+    console.log('✓ Question generator initialized');
+    
+    conversationTracker = new ConversationTracker(db);
+    console.log('✓ Conversation tracker initialized');
+    
+    budgetManager = new BudgetManager(db, aiConfig.costControls);
+    ai.onUsage((tokens, cost) => {
+      const status = budgetManager.recordUsage(tokens, cost);
+      if (status.state !== 'ok' && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('budget-status', status);
+      }
+    });
+    console.log('✓ Budget manager initialized');
+    
+    lockSchedule = new LockSchedule(db);
+    lockSchedule.getRules().filter(rule => rule.enabled).forEach(rule => {
+      console.log(`Lock schedule: ${LockSchedule.describeRule(rule)}`);
+    });
+    
+    const profiles = db.getChildProfiles();
+    console.log(`Child profiles loaded: ${profiles.map(profile => profile.name).join(', ')}`);
+  } catch (error) {
+    console.error('✗ Database initialization failed:', error);
+  }
+
+  if (db && !db.hasPin()) {
+    // First run - the parent chooses a PIN before anything locks, as on the lock screen it
+    // would be whoever is at the keyboard
+    isUnlocked = true;
+    console.log('No parent PIN yet - asking for one before the first lock');
+    openParentWindow('setup');
+    parentWindow.once('closed', startLockingAfterSetup);
+  } else if (getScheduleState().action === 'free') {
+    // Outside every scheduled window the app waits in the background until one starts
+    isUnlocked = true;
+    console.log('Nothing scheduled right now - waiting for the next lock window');
+  } else {
+    createWindow();
+    registerLockShortcuts();
+  }
+  createTray();
+  scheduleCheck = setInterval(checkSchedule, SCHEDULE_CHECK_INTERVAL);
 
   // Log AI service status
-  console.log('YesButFirst started with AI provider:', aiConfig.provider);
+  console.log('YesButFirst started with AI providers:', aiConfig.providers.join(' → '));
   console.log('Testing AI connection...');
   console.log('Emergency exit: Press Ctrl+Shift+Q to exit');
   
@@ -447,30 +636,138 @@ app.whenReady().then(async () => {
 });
 
 // Parent Settings IPC Handlers
-ipcMain.handle('verify-parent-pin', async (event, pin) => {
+handle('verify-parent-pin', async (event, pin) => {
   try {
-    return db ? db.verifyPin(pin) : false;
+    if (!db) return { success: false };
+    
+    const result = db.attemptPin(pin);
+    if (result.success) parentVerifiedAt = Date.now();
+    if (!result.success && result.lockedUntil) {
+      console.warn(`Parent PIN locked for ${Math.ceil(result.retryAfterMs / 1000)}s after ${result.failedAttempts} failed attempts`);
+    }
+    return result;
   } catch (error) {
     console.error('Error verifying PIN:', error);
+    return { success: false };
+  }
+});
+
+handle('get-pin-status', async (event) => {
+  try {
+    return db ? db.getPinStatus() : { setupRequired: false, lockedUntil: null };
+  } catch (error) {
+    console.error('Error getting PIN status:', error);
+    return { setupRequired: false, lockedUntil: null };
+  }
+});
+
+// First run only, from the parent window - once a PIN exists it can only be changed from Parent Settings
+handle('set-initial-pin', async (event, newPin) => {
+  try {
+    if (!db || db.hasPin()) return false;
+    
+    const result = db.updatePin(newPin);
+    if (result) parentVerifiedAt = Date.now();
+    console.log('Initial parent PIN set');
+    return result;
+  } catch (error) {
+    console.error('Error setting initial PIN:', error);
     return false;
   }
 });
 
-ipcMain.handle('get-child-profile', async (event) => {
+// Lock screen "who's using the computer?" picker
+handle('get-child-profiles', async (event) => {
   try {
-    return db ? db.getChildProfile() : { age: null, gender: null };
+    const profiles = db ? db.getChildProfiles() : [];
+    return { profiles, activeChildId: getActiveChild().id };
+  } catch (error) {
+    console.error('Error getting child profiles:', error);
+    return { profiles: [], activeChildId: null };
+  }
+});
+
+handle('select-child', async (event, childId) => {
+  try {
+    const id = db ? db.resolveChildId(childId) : null;
+    if (id === null) return false;
+    
+    if (id !== activeChildId) {
+      // Each profile has its own unlock rules, so a child can't move to a sibling's once they have
+      // picked or started talking - only a parent can switch then
+      if ((childPicked || currentSessionId) && !isParentVerified()) {
+        console.warn('Profile switch refused - the parent PIN was not entered');
+        return false;
+      }
+      
+      // A different child starts their own conversation
+      finishSession('abandoned');
+      currentConversation = { question: null, answer: null, stage: 'question' };
+      activeChildId = id;
+    }
+    childPicked = true;
+    console.log(`Active child: ${getActiveChild().name}`);
+    return true;
+  } catch (error) {
+    console.error('Error selecting child:', error);
+    return false;
+  }
+});
+
+handle('get-child-profile', async (event, childId = null) => {
+  try {
+    if (!db) return { id: null, name: null, age: null, gender: null };
+    const profile = db.getChildProfile(childId);
+    const strictnessLevels = {};
+    Object.entries(AIService.STRICTNESS_LEVELS).forEach(([level, { label }]) => { strictnessLevels[level] = label; });
+    
+    return {
+      ...profile,
+      maxConversationLength: getConversationLimit(profile),
+      ...getUnlockRules(profile),
+      strictnessLevels,
+      failurePolicies: AI_FAILURE_POLICIES,
+      privacyLevel: getPrivacyOptions(profile).level,
+      privacyLevels: PRIVACY_LEVELS
+    };
   } catch (error) {
     console.error('Error getting child profile:', error);
-    return { age: null, gender: null };
+    return { id: null, name: null, age: null, gender: null };
   }
 });
 
-ipcMain.handle('update-child-profile', async (event, profile) => {
+handle('add-child-profile', async (event, profile = {}) => {
+  try {
+    const childId = db ? db.addChildProfile(profile.name, profile.age, profile.gender) : null;
+    if (childId) console.log('Child profile added:', profile.name);
+    return childId;
+  } catch (error) {
+    console.error('Error adding child profile:', error);
+    return null;
+  }
+});
+
+handle('update-child-profile', async (event, profile = {}) => {
   try {
     if (db) {
-      const result = db.updateChildProfile(profile.age, profile.gender);
-      // Update childAge for AI interactions
-      childAge = profile.age;
+      const result = db.updateChildProfile(profile.age, profile.gender, profile.id, profile.name);
+      if (result && profile.maxConversationLength !== undefined) {
+        const limit = parseInt(profile.maxConversationLength, 10);
+        if (limit > 0) db.setChildSetting(profile.id, 'max_conversation_length', limit);
+      }
+      if (result && AIService.STRICTNESS_LEVELS[profile.strictness]) {
+        db.setChildSetting(profile.id, 'evaluation_strictness', profile.strictness);
+      }
+      if (result && AI_FAILURE_POLICIES[profile.failurePolicy]) {
+        db.setChildSetting(profile.id, 'ai_failure_policy', profile.failurePolicy);
+      }
+      if (result && PRIVACY_LEVELS[profile.privacyLevel]) {
+        db.setChildSetting(profile.id, 'privacy_level', profile.privacyLevel);
+      }
+      if (result && profile.unlockedMinutes !== undefined) {
+        const minutes = parseInt(profile.unlockedMinutes, 10);
+        if (minutes >= 0) db.setChildSetting(profile.id, 'unlocked_minutes', minutes);
+      }
       console.log('Child profile updated:', profile);
       return result;
     }
@@ -481,20 +778,38 @@ ipcMain.handle('update-child-profile', async (event, profile) => {
   }
 });
 
-ipcMain.handle('get-all-interests', async (event) => {
+handle('delete-child-profile', async (event, childId) => {
+  try {
+    if (!db) return false;
+    
+    const result = db.deleteChildProfile(childId);
+    if (result && Number(childId) === activeChildId) {
+      finishSession('abandoned');
+      currentConversation = { question: null, answer: null, stage: 'question' };
+      activeChildId = null;
+      childPicked = false;
+    }
+    return result;
+  } catch (error) {
+    console.error('Error deleting child profile:', error);
+    return false;
+  }
+});
+
+handle('get-all-interests', async (event, childId = null) => {
   try {
-    return db ? db.getAllInterests() : [];
+    return db ? db.getAllInterests(childId) : [];
   } catch (error) {
     console.error('Error getting interests:', error);
     return [];
   }
 });
 
-ipcMain.handle('update-interests', async (event, interests) => {
+handle('update-interests', async (event, interests, childId = null) => {
   try {
     if (db) {
       interests.forEach(interest => {
-        db.updateInterest(interest.id, interest.selected);
+        db.updateInterest(interest.id, interest.selected, childId);
       });
       console.log('Interests updated');
       return true;
@@ -506,7 +821,7 @@ ipcMain.handle('update-interests', async (event, interests) => {
   }
 });
 
-ipcMain.handle('update-parent-pin', async (event, newPin) => {
+handle('update-parent-pin', async (event, newPin) => {
   try {
     if (db) {
       const result = db.updatePin(newPin);
@@ -520,7 +835,7 @@ ipcMain.handle('update-parent-pin', async (event, newPin) => {
   }
 });
 
-ipcMain.handle('get-emergency-unlock-count', async (event) => {
+handle('get-emergency-unlock-count', async (event) => {
   try {
     return db ? db.getEmergencyUnlockCount() : 0;
   } catch (error) {
@@ -529,20 +844,109 @@ ipcMain.handle('get-emergency-unlock-count', async (event) => {
   }
 });
 
+handle('get-budget-status', async (event) => {
+  try {
+    if (!budgetManager) return null;
+    return { ...budgetManager.getStatus(), policies: BudgetManager.POLICIES };
+  } catch (error) {
+    console.error('Error getting budget status:', error);
+    return null;
+  }
+});
+
+handle('update-budget-settings', async (event, settings) => {
+  try {
+    return budgetManager ? budgetManager.updateSettings(settings) : false;
+  } catch (error) {
+    console.error('Error updating budget settings:', error);
+    return false;
+  }
+});
+
+handle('get-lock-schedule', async (event) => {
+  try {
+    return {
+      rules: lockSchedule ? lockSchedule.getRules() : [],
+      actions: LockSchedule.ACTIONS,
+      days: LockSchedule.DAY_NAMES
+    };
+  } catch (error) {
+    console.error('Error getting lock schedule:', error);
+    return { rules: [], actions: LockSchedule.ACTIONS, days: LockSchedule.DAY_NAMES };
+  }
+});
+
+handle('update-lock-schedule', async (event, rules) => {
+  try {
+    const saved = lockSchedule ? lockSchedule.saveRules(rules) : false;
+    if (saved) {
+      console.log('Lock schedule updated:', lockSchedule.getRules().map(LockSchedule.describeRule));
+      updateTray();
+    }
+    return saved;
+  } catch (error) {
+    console.error('Error updating lock schedule:', error);
+    return false;
+  }
+});
+
+handle('get-learning-history', async (event, filter = {}) => {
+  try {
+    return db ? db.getLearningHistory(filter.topic || null, filter.limit || 50, filter.childId || null) : [];
+  } catch (error) {
+    console.error('Error getting learning history:', error);
+    return [];
+  }
+});
+
+handle('get-blocked-questions', async (event, filter = {}) => {
+  try {
+    return db ? db.getBlockedQuestions(filter.childId || null) : [];
+  } catch (error) {
+    console.error('Error getting blocked questions:', error);
+    return [];
+  }
+});
+
+handle('get-wellbeing-alerts', async (event) => {
+  try {
+    return db ? db.getUnseenWellbeingAlerts() : [];
+  } catch (error) {
+    console.error('Error getting wellbeing alerts:', error);
+    return [];
+  }
+});
+
+handle('mark-wellbeing-alerts-seen', async (event) => {
+  try {
+    return db ? db.markWellbeingAlertsSeen() : false;
+  } catch (error) {
+    console.error('Error marking wellbeing alerts seen:', error);
+    return false;
+  }
+});
+
+handle('get-history-topics', async (event) => {
+  try {
+    return conversationTracker ? conversationTracker.getTopicCategories() : [];
+  } catch (error) {
+    console.error('Error getting history topics:', error);
+    return [];
+  }
+});
+
 // Generate personalized example questions
-ipcMain.handle('get-example-questions', async (event) => {
+handle('get-example-questions', async (event) => {
   try {
     if (!db || !questionGenerator) {
       return getDefaultExampleQuestions();
     }
 
-    const profile = db.getChildProfile();
-    const selectedInterests = db.getSelectedInterests();
-    
+    const child = getActiveChild();
     const childProfile = {
-      age: profile.age,
-      gender: profile.gender,
-      interests: selectedInterests
+      age: child.age,
+      gender: child.gender,
+      interests: child.interests
     };
 
     const questions = questionGenerator.generateExampleQuestions(childProfile, 3);
@@ -553,6 +957,262 @@ ipcMain.handle('get-example-questions', async (event) => {
   }
 });
 
+// A caring reply for a worrying message, logged as an alert for the parent; null if none is needed
+function getWellbeingReply(child, message, stage) {
+  const concern = checkWellbeing(message);
+  if (!concern) return null;
+  
+  console.log(`Wellbeing concern (${concern.concern}) - alerting the parent`);
+  if (db) db.logWellbeingAlert(child.id, message, concern.concern, concern.priority);
+  notifyParentOfConcern(child);
+  return { message: getSupportMessage(concern.concern, ai.getAgeGroup(child.age)), stage, wellbeing: true };
+}
+
+// Optional desktop notification - it doesn't repeat the message, as the child may be the one to see it
+function notifyParentOfConcern(child) {
+  if (!aiConfig.safety.notifyParent || !Notification.isSupported()) return;
+  
+  new Notification({
+    title: 'YesButFirst',
+    body: `${child.name || 'Your child'} wrote something that may need your attention. Open Parent Settings to read it.`
+  }).show();
+}
+
+// Redirect a question on a blocked topic and log it for the parent; null if it may be answered.
+// The model check gets the redacted question, and is skipped once the budget is spent.
+async function getSafetyRedirect(child, message, stage, modelQuestion) {
+  const verdict = await contentSafety.check(message, {
+    useModel: !(budgetManager && budgetManager.isExhausted()),
+    modelQuestion
+  });
+  if (!verdict.blocked) return null;
+  
+  console.log(`Question blocked by the ${verdict.layer} check (${verdict.topic})`);
+  if (db) db.logBlockedQuestion(child.id, message, verdict.topic, verdict.layer);
+  return { message: contentSafety.redirectMessage, stage, blocked: true };
+}
+
+// Once today's AI budget is spent, answer according to the parent's policy instead of calling the AI
+function getBudgetExhaustedReply(message) {
+  if (!budgetManager || !budgetManager.isExhausted()) return null;
+  
+  const policy = budgetManager.getPolicy();
+  console.log(`Daily AI budget exhausted - applying '${policy}' policy`);
+  
+  if (policy === 'unlock') {
+    const reply = "You've done lots of exploring today! 🎉 Computer unlocked!";
+    recordTurn({ stage: 'complete', question: message, aiResponse: reply });
+    grantUnlock('budget');
+    currentConversation = { question: null, answer: null, stage: 'question' };
+    return { message: reply, stage: 'complete', unlock: true };
+  }
+  
+  if (policy === 'lock') {
+    const reply = "You've done lots of exploring today! Ask a parent to unlock the computer. 🔒";
+    recordTurn({ stage: 'question', question: message, aiResponse: reply });
+    return { message: reply, stage: 'question' };
+  }
+  
+  // 'offline' - answer from the built-in question bank
+  const quiz = startOfflineQuiz(message, { matched: '', unmatched: OFFLINE_SWAP_INTRO });
+  recordTurn({ stage: 'understanding', question: message, aiResponse: quiz.message });
+  return quiz;
+}
+
+// Answer from the built-in question bank and ask its follow-up - the child's reply is then judged locally
+function startOfflineQuiz(question, intro) {
+  const offline = OfflineQuestionBank.answerOffline(question);
+  const reply = `${offline.matched ? intro.matched : intro.unmatched}${offline.answer}\n\n${offline.followUp}`;
+  
+  currentConversation = {
+    question: offline.matched ? question : offline.question,
+    answer: reply,
+    stage: 'understanding',
+    offline: true
+  };
+  return { message: reply, stage: 'understanding' };
+}
+
+// Re-explain the current answer more simply; null if that isn't possible right now
+async function getSimplerExplanation(child, event, streamId) {
+  if (currentConversation.offline || (budgetManager && budgetManager.isExhausted())) return null;
+  
+  try {
+    const response = await ai.reexplainAnswer(
+      redactPersonalInfo(currentConversation.question, getPrivacyOptions(child)).text,
+      currentConversation.answer,
+      child.age,
+      child.interests,
+      streamTo(event, streamId)
+    );
+    if (response.moderated) return null; // The fallback is no explanation - give a hint instead
+    
+    currentConversation.answer = response.answer;
+    currentConversation.reexplained = true;
+    recordTurn({ stage: 'understanding', question: currentConversation.question, aiResponse: response.answer, usage: response.usage, provider: response.provider });
+    return response.answer;
+  } catch (error) {
+    console.error('Could not re-explain:', error.message);
+    return null;
+  }
+}
+
+// Replies that aren't an answer or a new question are steered back to the follow-up question
+// without an evaluation; null for anything that should be handled as usual
+async function getIntentReply(child, intent, followUpQuestion, message, event, streamId) {
+  const question = followUpQuestion || 'What did you learn from my answer?';
+  let reply;
+  
+  if (intent === 'clarification_request') {
+    // One simpler explanation per question - after that the question is repeated
+    const explanation = currentConversation.reexplained ? null : await getSimplerExplanation(child, event, streamId);
+    if (explanation) return { message: explanation, stage: 'understanding' };
+    reply = `No problem! Here's my question again: ${question}`;
+  } else if (intent === 'off_topic') {
+    reply = `Let's finish this one first! ${question}`;
+  } else if (intent === 'nonsense') {
+    reply = `Hmm, I didn't understand that. 🤔 ${question}`;
+  } else {
+    return null;
+  }
+  
+  recordTurn({ stage: 'understanding', question: currentConversation.question, aiResponse: reply, childFollowUp: message });
+  return { message: reply, stage: 'understanding' };
+}
+
+// When no AI provider can answer a question (step 'answer') or check the child's reply
+// (step 'evaluation'), follow the parent's policy for this child
+function getAIFailureReply(child, question, step) {
+  const { failurePolicy } = getUnlockRules(child);
+  console.log(`AI ${step} failed - applying '${failurePolicy}' policy`);
+  
+  if (failurePolicy === 'unlock') {
+    const reply = "I can't reach the AI right now, so you're free to go! 🎉 Computer unlocked!";
+    if (step === 'answer') recordTurn({ stage: 'complete', question, aiResponse: reply });
+    grantUnlock('unlocked');
+    currentConversation = { question: null, answer: null, stage: 'question' };
+    return { message: reply, stage: 'complete', unlock: true };
+  }
+  
+  if (failurePolicy === 'lock') {
+    if (step === 'evaluation') {
+      return {
+        message: "I can't check your answer right now. Try again in a moment, or ask a parent to unlock the computer. 🔒",
+        stage: 'understanding',
+        error: true
+      };
+    }
+    const reply = "Sorry, I'm having trouble connecting right now. Try again in a moment, or ask a parent to unlock the computer. 📡";
+    recordTurn({ stage: 'question', question, aiResponse: reply });
+    return { message: reply, stage: 'question', error: true };
+  }
+  
+  // 'offline'
+  if (step === 'evaluation') {
+    const checkIntro = "I can't check your answer right now, so here's a quick quiz instead! ";
+    return startOfflineQuiz(question, { matched: checkIntro, unmatched: checkIntro });
+  }
+  const quiz = startOfflineQuiz(question, { matched: '', unmatched: OFFLINE_SWAP_INTRO });
+  recordTurn({ stage: 'understanding', question, aiResponse: quiz.message });
+  return quiz;
+}
+
+// Profile, interests and age of the child using the computer
+function getActiveChild() {
+  const fallback = { id: activeChildId, name: null, age: defaultChildAge, gender: null, interests: [] };
+  if (!db) return fallback;
+  
+  try {
+    const profile = db.getChildProfile(activeChildId);
+    return {
+      id: profile.id,
+      name: profile.name,
+      age: profile.age || defaultChildAge,
+      gender: profile.gender,
+      interests: db.getSelectedInterests(profile.id)
+    };
+  } catch (error) {
+    console.error('Error getting active child profile:', error);
+    return fallback;
+  }
+}
+
+// Per-child rule, falling back to ai-config costControls
+function getConversationLimit(child) {
+  const limit = aiConfig.costControls.maxConversationLength;
+  return db && child.id ? db.getChildSetting(child.id, 'max_conversation_length', limit) : limit;
+}
+
+// Per-child unlock strictness, AI failure policy and unlocked time, falling back to ai-config behavior
+function getUnlockRules(child) {
+  const { strictness, aiFailurePolicy, sessionTimeout } = aiConfig.behavior;
+  const defaultMinutes = sessionTimeout / 60;
+  const useDb = db && child.id;
+  const rules = {
+    strictness: useDb ? db.getChildSetting(child.id, 'evaluation_strictness', strictness) : strictness,
+    failurePolicy: useDb ? db.getChildSetting(child.id, 'ai_failure_policy', aiFailurePolicy) : aiFailurePolicy,
+    unlockedMinutes: useDb ? db.getChildSetting(child.id, 'unlocked_minutes', defaultMinutes) : defaultMinutes
+  };
+  
+  return {
+    strictness: AIService.STRICTNESS_LEVELS[rules.strictness] ? rules.strictness : 'balanced',
+    failurePolicy: AI_FAILURE_POLICIES[rules.failurePolicy] ? rules.failurePolicy : 'offline',
+    unlockedMinutes: rules.unlockedMinutes >= 0 ? rules.unlockedMinutes : defaultMinutes // 0 = until restart
+  };
+}
+
+// How much of a child's personal details to hide from providers, and every child's name to hide
+function getPrivacyOptions(child) {
+  const { privacyLevel } = aiConfig.safety;
+  const level = db && child.id ? db.getChildSetting(child.id, 'privacy_level', privacyLevel) : privacyLevel;
+  const names = db ? db.getChildProfiles().map(profile => profile.name) : [child.name];
+  return { level: PRIVACY_LEVELS[level] ? level : DEFAULT_PRIVACY_LEVEL, names };
+}
+
+// Conversation history helpers - failures here must never block the child
+function ensureSession() {
+  if (!currentSessionId && conversationTracker) {
+    const child = getActiveChild();
+    currentSessionId = conversationTracker.startSession({
+      childId: child.id,
+      childAge: child.age,
+      ageGroup: ai.getAgeGroup(child.age)
+    });
+  }
+  return currentSessionId;
+}
+
+function recordTurn(turn) {
+  if (!conversationTracker) return;
+  
+  try {
+    conversationTracker.trackConversation({
+      sessionId: ensureSession(),
+      childAge: getActiveChild().age,
+      ...turn
+    });
+  } catch (error) {
+    console.error('Error recording conversation turn:', error);
+  }
+}
+
+// The child may leave - the renderer's next 'unlock-app' is honoured
+function grantUnlock(outcome) {
+  unlockGranted = true;
+  finishSession(outcome);
+}
+
+function finishSession(outcome) {
+  if (!currentSessionId || !conversationTracker) return;
+  
+  try {
+    conversationTracker.endSession(currentSessionId, outcome);
+  } catch (error) {
+    console.error('Error ending conversation session:', error);
+  }
+  currentSessionId = null;
+}
+
 // Helper function for default questions
 function getDefaultExampleQuestions() {
   return [
@@ -590,7 +1250,7 @@ function extractFollowUpQuestion(aiResponse) {
   }
 }
 
-ipcMain.handle('emergency-unlock', async (event) => {
+handle('emergency-unlock', async (event) => {
   try {
     console.log('Emergency unlock triggered from parent menu');
     
@@ -598,35 +1258,10 @@ ipcMain.handle('emergency-unlock', async (event) => {
     if (db) {
       db.logEmergencyUnlock();
     }
+    finishSession('emergency');
     
-    isUnlocked = true;
-    
-    // Unregister shortcuts
-    try {
-      globalShortcut.unregisterAll();
-      console.log('Shortcuts unregistered');
-    } catch (error) {
-      console.error('Error unregistering shortcuts:', error);
-    }
-    
-    // Force destroy window
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      console.log('Destroying window...');
-      mainWindow.destroy();
-    }
-    
-    // Log final usage stats
-    try {
-      const stats = ai.getUsageStats();
-      console.log('Session stats:', stats);
-    } catch (error) {
-      console.error('Error getting stats:', error);
-    }
-    
-    // Quit app
-    console.log('Emergency quit triggered...');
-    app.quit();
-    
+    // A parent's override pauses locking rather than quitting
+    pauseLocking();
     return true;
   } catch (error) {
     console.error('Emergency unlock error:', error);
@@ -635,9 +1270,61 @@ ipcMain.handle('emergency-unlock', async (event) => {
 });
 
 // Handle unlock
-ipcMain.on('unlock-app', () => {
+ipcMain.on('unlock-app', (event, ...args) => {
+  const problem = getIpcProblem('unlock-app', event, args);
+  if (problem) {
+    console.warn(`Rejected 'unlock-app': ${problem}`);
+    return;
+  }
+  // Only an earned unlock or a skip the main process offered can close the lock screen
+  if (!unlockGranted && !currentConversation.skipOffered) {
+    console.warn('Ignoring unlock request - the child has not unlocked or been offered a skip');
+    return;
+  }
+  if (getScheduleState().action === 'block') {
+    console.warn('Ignoring unlock request - it is quiet time');
+    return;
+  }
   console.log('Unlock triggered!');
   
+  // Sessions are closed when the unlock is granted, so one still open here was skipped
+  finishSession('skipped');
+  
+  // Lock again once the unlocked time is up, or when the next scheduled window starts
+  const unlockedMinutes = getUnlockedMinutes();
+  if (sessionTimer.start(unlockedMinutes * 60, aiConfig.behavior.relockWarning)) {
+    console.log(`Unlocked for ${unlockedMinutes} minutes`);
+  } else {
+    console.log('Unlocked with no time limit');
+  }
+  hideLockScreen();
+});
+
+// Tray menu actions a parent confirms with the PIN in the parent window
+handle('pause-locking', async (event) => {
+  pauseLocking();
+  return true;
+});
+
+handle('quit-app', async (event) => {
+  console.log('Quit from the tray');
+  isUnlocked = true;
+  app.quit();
+  return true;
+});
+
+// Parent Settings closed in the lock screen
+ipcMain.on('end-parent-session', (event, ...args) => {
+  const problem = getIpcProblem('end-parent-session', event, args);
+  if (problem) {
+    console.warn(`Rejected 'end-parent-session': ${problem}`);
+    return;
+  }
+  endParentSession();
+});
+
+// Put the lock screen away - the app keeps running in the tray until the next lock
+function hideLockScreen() {
   isUnlocked = true;
   
   // Unregister shortcuts first
@@ -648,13 +1335,14 @@ ipcMain.on('unlock-app', () => {
     console.error('Error unregistering shortcuts:', error);
   }
   
-  // Force destroy window to bypass close event
+  // Force destroy window to bypass close event - any Parent Settings open in it close too
+  endParentSession();
   if (mainWindow && !mainWindow.isDestroyed()) {
     console.log('Destroying window...');
     mainWindow.destroy();
   }
   
-  // Log final usage stats after cleanup
+  // Log usage stats after cleanup
   try {
     const stats = ai.getUsageStats();
     console.log('Session stats:', stats);
@@ -662,14 +1350,180 @@ ipcMain.on('unlock-app', () => {
     console.error('Error getting stats:', error);
   }
   
-  // Quit app
-  console.log('Quitting app...');
-  app.quit();
-});
+  updateTray();
+}
+
+// The first-run parent window was closed - lock as usual if a PIN was chosen
+function startLockingAfterSetup() {
+  if (!db.hasPin()) {
+    console.warn('No parent PIN was set - quitting until the next start');
+    app.quit();
+    return;
+  }
+  relock();
+}
+
+// Stop locking for a while, whatever the schedule says
+function pauseLocking() {
+  paused = true;
+  sessionTimer.start(PAUSE_MINUTES * 60, aiConfig.behavior.relockWarning);
+  console.log(`Locking paused for ${PAUSE_MINUTES} minutes`);
+  hideLockScreen();
+}
+
+// The PIN was entered recently - set by verify-parent-pin and set-initial-pin
+function isParentVerified() {
+  return Date.now() - parentVerifiedAt < PARENT_VERIFIED_FOR;
+}
+
+// The parent is done - parent-only calls need the PIN again
+function endParentSession() {
+  parentVerifiedAt = 0;
+}
+
+// Remind the child shortly before the lock screen comes back
+function warnBeforeRelock(secondsLeft) {
+  const minutes = Math.ceil(secondsLeft / 60);
+  console.log(`Locking again in ${minutes} minutes`);
+  if (!Notification.isSupported()) return;
+  
+  new Notification({
+    title: 'YesButFirst',
+    body: `The computer locks again in ${minutes} minute${minutes === 1 ? '' : 's'} - time to finish up!`
+  }).show();
+}
+
+// The unlocked time or a pause is up, or a scheduled window starts - lock unless nothing is scheduled now
+function relock() {
+  paused = false;
+  if (getScheduleState().action === 'free') {
+    console.log('Unlocked time is up, but no lock is scheduled now');
+    updateTray();
+    return;
+  }
+  showLockScreen();
+}
+
+// Bring the lock screen back with a fresh conversation
+function showLockScreen() {
+  endParentSession();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.focus();
+    return;
+  }
+  console.log('Locking again');
+  isUnlocked = false;
+  unlockGranted = false;
+  paused = false;
+  childPicked = false; // Whoever is at the computer now picks their profile
+  currentConversation = { question: null, answer: null, stage: 'question' };
+  
+  registerLockShortcuts();
+  createWindow();
+  updateTray();
+}
+
+// What the parent's schedule asks for right now - with no schedule the lock screen shows every time
+function getScheduleState() {
+  return lockSchedule ? lockSchedule.getState() : { action: 'question', rule: null, unlockedMinutes: null };
+}
+
+// How long this unlock lasts: the active schedule rule's interval, else the child's own allowance
+function getUnlockedMinutes() {
+  const { action, unlockedMinutes } = getScheduleState();
+  if (action === 'free') return 0; // Nothing to lock for until the next window starts
+  return unlockedMinutes !== null ? unlockedMinutes : getUnlockRules(getActiveChild()).unlockedMinutes;
+}
+
+// Lock when a scheduled window starts - quiet time locks straight away, a question rule
+// once any unlocked time already earned has run out
+function checkSchedule() {
+  updateTray(); // Keeps the time remaining current
+  if (!isUnlocked || paused || !lockSchedule || !lockSchedule.hasRules()) return;
+  
+  const { action, rule } = getScheduleState();
+  if (action === 'block' || (action === 'question' && !sessionTimer.isRunning())) {
+    console.log(`Scheduled lock: ${LockSchedule.describeRule(rule)}`);
+    sessionTimer.stop();
+    relock();
+  }
+}
+
+// Tray icon that keeps YesButFirst running between locks
+function createTray() {
+  tray = new Tray(path.join(__dirname, 'tray-icon.png'));
+  updateTray();
+}
+
+// Rebuilt on every lock change and schedule check, as menu labels can't update themselves
+function updateTray() {
+  if (!tray || tray.isDestroyed()) return;
+  
+  const status = getLockStatus();
+  tray.setToolTip(`YesButFirst - ${status}`);
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: status, enabled: false },
+    { type: 'separator' },
+    { label: 'Lock now', enabled: isUnlocked, click: lockNow },
+    { label: `Pause for ${PAUSE_MINUTES / 60} hour`, click: () => openParentWindow('pause') },
+    { label: 'Parent settings...', click: () => openParentWindow('settings') },
+    { type: 'separator' },
+    { label: 'Quit YesButFirst', click: () => openParentWindow('quit') }
+  ]));
+}
+
+// The "time remaining" line of the tray menu
+function getLockStatus() {
+  if (!isUnlocked) return 'Locked';
+  
+  const remaining = sessionTimer.getRemaining();
+  if (remaining !== null) {
+    const minutes = Math.ceil(remaining / 60);
+    return paused ? `Paused - ${minutes} min remaining` : `Time remaining: ${minutes} min`;
+  }
+  return lockSchedule && lockSchedule.hasRules() ? 'Unlocked until the next scheduled lock' : 'Unlocked - no time limit';
+}
+
+// Tray "Lock now" - lock straight away, whatever the schedule or a pause says
+function lockNow() {
+  console.log('Locked from the tray');
+  sessionTimer.stop();
+  showLockScreen();
+}
+
+// A small window with just the parent PIN and the action picked from the tray. While locked
+// the lock screen's own parent button is used instead, as nothing can be shown above it.
+function openParentWindow(action) {
+  if (!isUnlocked && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.focus();
+    return;
+  }
+  if (parentWindow && !parentWindow.isDestroyed()) {
+    parentWindow.focus();
+    return;
+  }
+  
+  parentWindow = new BrowserWindow({
+    width: 900,
+    height: 800,
+    title: 'YesButFirst - Parent',
+    autoHideMenuBar: true,
+    webPreferences: SECURE_WEB_PREFERENCES
+  });
+  parentWindow.loadFile('chat.html', { query: { parent: action } });
+  parentWindow.on('closed', () => {
+    parentWindow = null;
+    endParentSession();
+  });
+}
 
 // Cleanup
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  sessionTimer.stop();
+  clearInterval(scheduleCheck);
+  
+  finishSession('abandoned');
   
   // Close database connection
   if (db) {
@@ -682,11 +1536,8 @@ app.on('will-quit', () => {
   }
 });
 
-app.on('window-all-closed', () => {
-  if (isUnlocked || process.platform === 'darwin') {
-    app.quit();
-  }
-});
+// Unlocking closes the last window, but the app keeps running in the tray
+app.on('window-all-closed', () => {});
 
 // Prevent multiple instances
 const gotTheLock = app.requestSingleInstanceLock();
@@ -694,7 +1545,7 @@ if (!gotTheLock) {
   app.quit();
 } else {
   app.on('second-instance', () => {
-    if (mainWindow) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
       if (mainWindow.isMinimized()) mainWindow.restore();
       mainWindow.focus();
     }
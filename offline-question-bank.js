@@ -0,0 +1,64 @@
+// offline-question-bank.js - Canned answers used when the AI can't (or shouldn't) be called
+
+const OfflineQuestionBank = {
+  // Keyed by a phrase to look for in the child's question
+  answers: {
+    'what is 2+2': {
+      answer: "That's a great math question! 2+2 equals 4. Think of it like having 2 apples and getting 2 more apples - now you have 4 apples total!"
+    },
+    'why is the sky blue': {
+      answer: "Great question! The sky is blue because of something called scattering. Sunlight has all the colors of the rainbow, but blue light bounces around in the air more than other colors, making the sky look blue!",
+      followUp: "Why do you think sunsets look orange and red instead of blue?"
+    },
+    'how do airplanes fly': {
+      answer: "Airplanes fly because of lift! The wings are shaped so that air moves faster over the top than the bottom, creating lift that pushes the plane up into the sky.",
+      followUp: "What do you think would happen if a plane's wings were flat like a piece of paper?"
+    },
+    'what makes rainbows': {
+      answer: "Rainbows happen when sunlight hits raindrops! The light bends and splits into all the colors of the rainbow - red, orange, yellow, green, blue, indigo, and violet!",
+      followUp: "Where else have you seen light split into colors like a rainbow?"
+    },
+    'why do we dream': {
+      answer: "Scientists think we dream to help our brains process what we learned during the day. It's like our brain is organizing and practicing while we sleep!",
+      followUp: "What's the strangest thing you remember dreaming about, and what might your brain have been practicing?"
+    },
+    'how do magnets work': {
+      answer: "Magnets work because of invisible forces! They have a north and south pole, and opposite poles attract while same poles repel. It's like magic, but it's science!",
+      followUp: "What do you think would happen if you cut a magnet in half?"
+    }
+  },
+
+  /**
+   * Find a canned answer for the child's question
+   * @param {string} question - The child's question
+   * @returns {Object|null} { question, answer, followUp } or null if nothing matches
+   */
+  findAnswer(question) {
+    const questionLower = (question || '').toLowerCase();
+    for (const [key, entry] of Object.entries(this.answers)) {
+      if (questionLower.includes(key)) {
+        return { question: key, ...entry };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Answer from the bank, swapping in a random topic when the question isn't covered
+   * @param {string} question - The child's question
+   * @returns {Object} { question, answer, followUp, matched }
+   */
+  answerOffline(question) {
+    const match = this.findAnswer(question);
+    if (match && match.followUp) {
+      return { ...match, matched: true };
+    }
+
+    // Only entries with a follow-up can lead to an unlock
+    const topics = Object.keys(this.answers).filter(key => this.answers[key].followUp);
+    const key = topics[Math.floor(Math.random() * topics.length)];
+    return { question: key, ...this.answers[key], matched: false };
+  }
+};
+
+module.exports = OfflineQuestionBank;
@@ -0,0 +1,129 @@
+// pii-redaction.js - Replace a child's personal details with placeholders before their messages
+// go to an AI provider. The original text stays on this computer, in the history.
+
+// What each level hides - chosen per child in Parent Settings
+const PRIVACY_LEVELS = {
+  standard: "Hide names, emails, phone numbers, street addresses and school names",
+  strict: 'Also hide names of friends and family, where they live and birthdays',
+  off: 'Send messages as typed'
+};
+
+const DEFAULT_PRIVACY_LEVEL = 'standard';
+
+const SCHOOL_TYPES = '(?:primary|elementary|middle|high|junior|infant|secondary|grammar|school|academy)';
+const STREET_TYPES = '(?:street|st|road|rd|avenue|ave|lane|ln|drive|dr|close|court|ct|way|boulevard|blvd|place|pl|crescent|terrace|grove|gardens)';
+// School types and words that start sentences can't be part of a school's name, so "What is High
+// School like?" and "I'm going to high school" are left alone
+const NOT_SCHOOL_NAME_WORDS = ('primary elementary middle high junior infant secondary grammar school academy ' +
+  'what why how when where who which is are was were do does did can could will would should has have ' +
+  'i in at the a an my our your their his her like after before').split(' ');
+const NOT_A_SCHOOL_NAME = `(?!(?:${NOT_SCHOOL_NAME_WORDS.join('|')})\\b)`;
+const NOT_A_CAPITALISED_SCHOOL_NAME = `(?!(?:${NOT_SCHOOL_NAME_WORDS.map(word => word[0].toUpperCase() + word.slice(1)).join('|')})\\b)`;
+const NOT_A_NAME = '(?!(?:my|the|a|an|our|his|her|their|your|down|up|along|across|of|to)\\b)';
+const END_OF_PHRASE = '(?=\\s+(?:and|but|so|because)\\b|[.,!?\\n]|$)';
+
+// Names that are everyday words too - "Will the sun burn out?", "rose bushes", "max speed". These are
+// only caught after an introduction like "my name is", never on their own.
+const COMMON_WORD_NAMES = new Set(('will bill mark max rose lily daisy violet ivy holly iris jade ruby amber pearl ' +
+  'hope joy faith grace may april june summer autumn dawn sky river rain storm sunny ray art frank drew ' +
+  'guy rich jack pat sue hunter chase miles gene').split(' '));
+
+// Checked in order. A rule with a prefix group keeps the words that led up to the detail,
+// e.g. "my name is [name]"; otherwise the whole match is replaced.
+const RULES = [
+  { type: 'email', level: 'standard', pattern: /[\w.+-]+@[\w-]+\.[\w.]+\w/g },
+  { type: 'phone', level: 'standard', pattern: /(?:\+|\(|\b)\d[\d\s().-]{5,}\d\b/g, accept: isPhoneNumber },
+  { type: 'address', level: 'standard', pattern: new RegExp(`\\b\\d{1,5}[a-z]?\\s+(?:${NOT_A_NAME}[a-z'-]+\\s+){1,3}${STREET_TYPES}\\b\\.?`, 'gi') },
+  { type: 'address', level: 'standard', pattern: /\b[a-z]{1,2}\d[a-z\d]?\s+\d[a-z]{2}\b/gi }, // UK postcode
+  { type: 'school', level: 'standard', pattern: new RegExp(`\\b(?:St\\.?\\s+)?(?:${NOT_A_CAPITALISED_SCHOOL_NAME}[A-Z][\\w'-]*\\s+){1,3}(?:(?:Primary|Elementary|Middle|High|Junior|Infant|Secondary|Grammar)(?:\\s+School)?|School|Academy)\\b`, 'g') },
+  { type: 'school', level: 'standard', pattern: new RegExp(`(\\b(?:go to|goes to|going to|attend|attends|from)\\s+)((?:${NOT_A_SCHOOL_NAME}[a-z'-]+\\s+){1,3}${SCHOOL_TYPES}(?:\\s+school)?)\\b`, 'gi') },
+  { type: 'name', level: 'standard', pattern: /(\b(?:[Mm]y name is|[Mm]y name's|I'm called|I am called)\s+)([A-Za-z][\w'-]*(?:\s+[A-Z][\w'-]*)?)/g },
+  { type: 'name', level: 'strict', pattern: /(\b(?:[Mm]y|[Oo]ur)\s+(?:best\s+)?(?:friend|brother|sister|teacher|mom|mum|dad|cousin|neighbou?r|classmate|grandma|grandpa|nan|aunt|uncle)(?:'s name is|\s+is called|\s+called)?\s+)((?:(?:Mr|Mrs|Ms|Miss|Dr)\.?\s+)?[A-Z][\w'-]*)/g },
+  { type: 'place', level: 'strict', pattern: new RegExp(`(\\b[Ii] live (?:in|on|at|near)\\s+)([^.,!?\\n]{1,40}?)${END_OF_PHRASE}`, 'g') },
+  { type: 'birthday', level: 'strict', pattern: new RegExp(`(\\b(?:[Mm]y birthday is|I was born on|I was born in)\\s+)([^.,!?\\n]{1,30}?)${END_OF_PHRASE}`, 'g') }
+];
+
+// Words just before a number that say it is a phone number - "my number is", "call 555 1234"
+const PHONE_CUE = /\b(?:number|phone|mobile|cell|call|ring|text|whatsapp)\b[^\d]{0,20}$/i;
+
+// 7 to 15 digits, written the way phone numbers are - plain numbers like 1234567 or 3.14159265
+// belong to sums, not phones. Neither do year ranges ("1914-1918") or big numbers grouped in
+// thousands with a unit ("299 792 458 m/s"), and digits split only by spaces need a leading
+// +, 0 or ( or a cue like "my number is" before them.
+function isPhoneNumber(text, before = '', after = '') {
+  const digits = text.replace(/\D/g, '');
+  const number = text.trim();
+  if (digits.length < 7 || digits.length > 15 || /^\d+\.\d+$/.test(number)) return false;
+  if (!/^[+(0]|[\s().-]/.test(number)) return false;
+
+  const groups = number.split(/[\s().-]+/).filter(Boolean);
+  if (groups.length === 2 && groups.every(group => /^\d{4}$/.test(group) && Number(group) >= 1000 && Number(group) <= 2100)) return false;
+  if (/^\d{1,3}(?:\s\d{3})+$/.test(number) && /^\s*[a-z\u00b0\u00b5/%]/i.test(after)) return false;
+
+  const spacedOnly = !/[().-]/.test(number);
+  return !spacedOnly || /^[+(0]/.test(number) || PHONE_CUE.test(before);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {string} text - A child's message
+ * @param {Object} options - { level, names } where names are the children's names from their profiles
+ * @returns {Object} { text, found } - found lists { type, value } for each detail replaced, and stays on-device
+ */
+function redactPersonalInfo(text, options = {}) {
+  const level = PRIVACY_LEVELS[options.level] ? options.level : DEFAULT_PRIVACY_LEVEL;
+  const found = [];
+  if (typeof text !== 'string' || level === 'off') return { text, found };
+
+  let redacted = text;
+  const applies = rule => rule.level === 'standard' || level === 'strict';
+
+  RULES.filter(applies).forEach(rule => {
+    redacted = redacted.replace(rule.pattern, (match, ...groups) => {
+      const [prefix, value] = typeof groups[0] === 'string' ? groups : ['', match];
+      const [offset, whole] = groups.slice(-2);
+      if (/^\[\w+\]$/.test(value)) return match; // Already redacted
+      if (rule.accept && !rule.accept(value, whole.slice(0, offset), whole.slice(offset + match.length))) return match;
+      found.push({ type: rule.type, value });
+      return `${prefix}[${rule.type}]`;
+    });
+  });
+
+  // The children's own names wherever they are written as a name, with a capital letter
+  (options.names || []).map(name => (name || '').trim())
+    .filter(name => name.length > 1 && !COMMON_WORD_NAMES.has(name.toLowerCase()))
+    .forEach(name => {
+      const capitalised = name[0].toUpperCase() + name.slice(1);
+      const pattern = new RegExp(`\\b${escapeRegExp(capitalised)}\\b`, 'g');
+      redacted = redacted.replace(pattern, value => {
+        found.push({ type: 'name', value });
+        return '[name]';
+      });
+    });
+
+  return { text: redacted, found };
+}
+
+/**
+ * Redact both sides of a conversation history - the AI's turns can quote the child
+ * @param {Array<{user: string, ai: string}>} conversation
+ * @param {Object} options - As for redactPersonalInfo
+ * @returns {Array} A copy with personal details replaced
+ */
+function redactConversation(conversation = [], options = {}) {
+  return conversation.map(turn => ({
+    ...turn,
+    user: redactPersonalInfo(turn.user, options).text,
+    ai: redactPersonalInfo(turn.ai, options).text
+  }));
+}
+
+module.exports = {
+  PRIVACY_LEVELS,
+  DEFAULT_PRIVACY_LEVEL,
+  redactPersonalInfo,
+  redactConversation
+};
@@ -0,0 +1,95 @@
+// preload.js - The lock screen's only way into the main process. chat.html runs sandboxed with
+// context isolation, so it sees window.yesbut and nothing of Node or Electron.
+const { contextBridge, ipcRenderer } = require('electron');
+
+const invoke = channel => (...args) => ipcRenderer.invoke(channel, ...args);
+
+// Listeners get the message alone - never the IPC event, which would hand over ipcRenderer
+const subscribe = channel => callback => {
+  const listener = (event, payload) => callback(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
+/**
+ * @typedef {Object} YesButApi
+ *
+ * Conversation
+ * @property {(data: {message: string, stage: 'question'|'understanding', conversation: Array<{user: string, ai: string}>, streamId?: number}) => Promise<Object>} processMessage
+ * @property {(callback: (chunk: {streamId: number, text: string}) => void) => Function} onStream - Returns an unsubscribe function
+ * @property {() => void} unlock - Ignored by the main process unless the child earned the unlock or was offered a skip
+ * @property {() => Promise<string[]>} getExampleQuestions
+ *
+ * Children
+ * @property {() => Promise<{profiles: Array, activeChildId: number|null}>} getChildProfiles
+ * @property {(childId: number) => Promise<boolean>} selectChild
+ * @property {(childId?: number) => Promise<Object>} getChildProfile
+ * @property {(childId?: number) => Promise<Array>} getInterests
+ *
+ * Parent PIN
+ * @property {() => Promise<{setupRequired: boolean, lockedUntil: number|null}>} getPinStatus
+ * @property {(pin: string) => Promise<{success: boolean, mustChangePin?: boolean, lockedUntil?: number, retryAfterMs?: number}>} verifyPin
+ * @property {(pin: string) => Promise<boolean>} setInitialPin
+ * @property {(pin: string) => Promise<boolean>} updatePin
+ *
+ * Parent Settings - rejected by the main process until the PIN has been entered
+ * @property {(profile: {name: string}) => Promise<number|null>} addChildProfile
+ * @property {(profile: Object) => Promise<boolean>} updateChildProfile
+ * @property {(childId: number) => Promise<boolean>} deleteChildProfile
+ * @property {(interests: Array<{id: number, selected: boolean}>, childId?: number) => Promise<boolean>} updateInterests
+ * @property {() => Promise<Object>} getBudgetStatus
+ * @property {(settings: {dailyLimit: string|number, policy: string}) => Promise<boolean>} updateBudgetSettings
+ * @property {(callback: (budget: Object) => void) => Function} onBudgetStatus - Returns an unsubscribe function
+ * @property {() => Promise<{rules: Array, actions: Object, days: string[]}>} getLockSchedule
+ * @property {(rules: Array) => Promise<boolean>} updateLockSchedule
+ * @property {() => Promise<string[]>} getHistoryTopics
+ * @property {(filter: {topic?: string|null, childId?: number|null}) => Promise<Array>} getLearningHistory
+ * @property {(filter: {childId?: number|null}) => Promise<Array>} getBlockedQuestions
+ * @property {() => Promise<Array>} getWellbeingAlerts - Alerts not yet marked as seen
+ * @property {() => Promise<boolean>} markWellbeingAlertsSeen
+ * @property {() => Promise<number>} getEmergencyUnlockCount
+ * @property {() => Promise<boolean>} emergencyUnlock
+ * @property {() => Promise<boolean>} pauseLocking
+ * @property {() => Promise<boolean>} quitApp
+ * @property {() => void} endParentSession - Parent Settings closed; parent-only calls need the PIN again
+ */
+
+/** @type {YesButApi} */
+const api = {
+  processMessage: invoke('process-message'),
+  onStream: subscribe('ai-stream'),
+  unlock: () => ipcRenderer.send('unlock-app'),
+  getExampleQuestions: invoke('get-example-questions'),
+
+  getChildProfiles: invoke('get-child-profiles'),
+  selectChild: invoke('select-child'),
+  getChildProfile: invoke('get-child-profile'),
+  getInterests: invoke('get-all-interests'),
+
+  getPinStatus: invoke('get-pin-status'),
+  verifyPin: invoke('verify-parent-pin'),
+  setInitialPin: invoke('set-initial-pin'),
+  updatePin: invoke('update-parent-pin'),
+
+  addChildProfile: invoke('add-child-profile'),
+  updateChildProfile: invoke('update-child-profile'),
+  deleteChildProfile: invoke('delete-child-profile'),
+  updateInterests: invoke('update-interests'),
+  getBudgetStatus: invoke('get-budget-status'),
+  updateBudgetSettings: invoke('update-budget-settings'),
+  onBudgetStatus: subscribe('budget-status'),
+  getLockSchedule: invoke('get-lock-schedule'),
+  updateLockSchedule: invoke('update-lock-schedule'),
+  getHistoryTopics: invoke('get-history-topics'),
+  getLearningHistory: invoke('get-learning-history'),
+  getBlockedQuestions: invoke('get-blocked-questions'),
+  getWellbeingAlerts: invoke('get-wellbeing-alerts'),
+  markWellbeingAlertsSeen: invoke('mark-wellbeing-alerts-seen'),
+  getEmergencyUnlockCount: invoke('get-emergency-unlock-count'),
+  emergencyUnlock: invoke('emergency-unlock'),
+  pauseLocking: invoke('pause-locking'),
+  quitApp: invoke('quit-app'),
+  endParentSession: () => ipcRenderer.send('end-parent-session')
+};
+
+contextBridge.exposeInMainWorld('yesbut', api);
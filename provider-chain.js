@@ -0,0 +1,179 @@
+// provider-chain.js - Fail over between AI providers in the order given by ai-config
+
+// Circuit breaker states for each provider
+const CIRCUIT_CLOSED = 'closed'; // Healthy - requests go through
+const CIRCUIT_OPEN = 'open'; // Failing - skipped until the cooldown ends
+const CIRCUIT_HALF_OPEN = 'half-open'; // Cooldown over - the next request is a trial
+
+class ProviderChain {
+  /**
+   * @param {Array<AIService>} services - Providers in the order they should be tried
+   * @param {Object} options - { failureThreshold, cooldownMs, now }
+   */
+  constructor(services, options = {}) {
+    if (!services || services.length === 0) {
+      throw new Error('At least one AI provider is required');
+    }
+
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.now = options.now || Date.now; // Injectable clock for tests
+
+    this.providers = services.map(service => ({
+      name: service.providerName,
+      service,
+      failures: 0,
+      openedAt: null
+    }));
+    this.lastProvider = null;
+  }
+
+  // The first provider supplies the shared non-network helpers
+  get primary() {
+    return this.providers[0].service;
+  }
+
+  /**
+   * Answer with the first provider that succeeds
+   * @returns {Promise<Object>} The provider's answer plus the name of the provider that gave it
+   */
+  async answerQuestion(question, ...args) {
+    // Nonsense is caught locally, so don't spend a provider on it
+    if (this.primary.isNonsensicalQuestion(question)) {
+      return this.primary.answerQuestion(question, ...args);
+    }
+    return this.run('answer', service => service.answerQuestion(question, ...args));
+  }
+
+  // Safety-check a question with the first provider that succeeds
+  async classifyQuestion(...args) {
+    return this.run('safety check', service => service.classifyQuestion(...args));
+  }
+
+  // Classify a reply to the follow-up question with the first provider that succeeds
+  async classifyIntent(...args) {
+    return this.run('intent check', service => service.classifyIntent(...args));
+  }
+
+  // Re-explain with the first provider that succeeds
+  async reexplainAnswer(...args) {
+    return this.run('re-explanation', service => service.reexplainAnswer(...args));
+  }
+
+  /**
+   * Evaluate with the first provider that succeeds, returning the marked fallback only if every provider failed
+   * @returns {Promise<Object>} Evaluation plus the name of the provider that gave it
+   */
+  async evaluateUnderstanding(...args) {
+    try {
+      return await this.run('evaluation', service => service.requestEvaluation(...args));
+    } catch (error) {
+      console.error('Error evaluating understanding:', error.message);
+      return { ...this.primary.getEvaluationFallback(), provider: null };
+    }
+  }
+
+  // Try each provider whose circuit allows it until one succeeds
+  async run(label, request) {
+    const errors = [];
+
+    for (const provider of this.providers) {
+      const state = this.getState(provider);
+      if (state === CIRCUIT_OPEN) {
+        errors.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const result = await request(provider.service);
+        this.recordSuccess(provider);
+        this.lastProvider = provider.name;
+        console.log(`✓ AI ${label} from ${provider.name}`);
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        this.recordFailure(provider, state);
+        errors.push(`${provider.name}: ${error.message}`);
+        console.warn(`⚠️ ${provider.name} ${label} failed - trying the next provider`);
+      }
+    }
+
+    throw new Error(`All AI providers failed (${errors.join('; ')})`);
+  }
+
+  getState(provider) {
+    if (provider.openedAt === null) return CIRCUIT_CLOSED;
+    return this.now() - provider.openedAt >= this.cooldownMs ? CIRCUIT_HALF_OPEN : CIRCUIT_OPEN;
+  }
+
+  recordSuccess(provider) {
+    if (provider.openedAt !== null) {
+      console.log(`✓ ${provider.name} recovered`);
+    }
+    provider.failures = 0;
+    provider.openedAt = null;
+  }
+
+  // A failed trial re-opens the circuit straight away; otherwise it opens after repeated failures
+  recordFailure(provider, state) {
+    provider.failures++;
+    if (state === CIRCUIT_HALF_OPEN || provider.failures >= this.failureThreshold) {
+      provider.openedAt = this.now();
+      console.warn(`⚠️ ${provider.name} circuit opened for ${Math.round(this.cooldownMs / 1000)}s after ${provider.failures} failures`);
+    }
+  }
+
+  /**
+   * Circuit breaker state of every provider, in failover order
+   * @returns {Array<Object>} { name, state, failures, retryAt }
+   */
+  getCircuitStatus() {
+    return this.providers.map(provider => ({
+      name: provider.name,
+      state: this.getState(provider),
+      failures: provider.failures,
+      retryAt: provider.openedAt === null ? null : provider.openedAt + this.cooldownMs
+    }));
+  }
+
+  // Usage from every provider counts against the same budget
+  onUsage(listener) {
+    this.providers.forEach(provider => provider.service.onUsage(listener));
+  }
+
+  getUsageStats() {
+    const stats = this.providers.map(provider => provider.service.getUsageStats());
+    const totals = stats.reduce((sum, stat) => ({
+      totalTokens: sum.totalTokens + stat.totalTokens,
+      conversations: sum.conversations + stat.conversations,
+      estimatedCost: sum.estimatedCost + stat.estimatedCost
+    }), { totalTokens: 0, conversations: 0, estimatedCost: 0 });
+
+    return {
+      ...totals,
+      averageTokensPerConversation: totals.totalTokens / totals.conversations || 0,
+      costPerConversation: totals.estimatedCost / totals.conversations || 0,
+      byProvider: this.providers.reduce((byName, provider, i) => ({ ...byName, [provider.name]: stats[i] }), {})
+    };
+  }
+
+  getAgeGroup(childAge) {
+    return this.primary.getAgeGroup(childAge);
+  }
+
+  getFallbackEvaluation(...args) {
+    return this.primary.getFallbackEvaluation(...args);
+  }
+
+  async testConnection() {
+    try {
+      const response = await this.answerQuestion('What is 2+2?');
+      return { success: true, response };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+ProviderChain.STATES = { CLOSED: CIRCUIT_CLOSED, OPEN: CIRCUIT_OPEN, HALF_OPEN: CIRCUIT_HALF_OPEN };
+
+module.exports = ProviderChain;
@@ -0,0 +1,65 @@
+// session-timer.js - Count down the unlocked period and bring the lock screen back when it ends
+
+class SessionTimer {
+  /**
+   * @param {Object} handlers - { onWarning(secondsLeft), onExpire() }
+   * @param {Object} clock - Replaceable timer functions, so tests can run without waiting
+   */
+  constructor(handlers = {}, clock = {}) {
+    this.onWarning = handlers.onWarning || (() => {});
+    this.onExpire = handlers.onExpire || (() => {});
+    this.clock = {
+      now: clock.now || Date.now,
+      setTimeout: clock.setTimeout || setTimeout,
+      clearTimeout: clock.clearTimeout || clearTimeout
+    };
+    this.endsAt = null;
+    this.timers = [];
+  }
+
+  /**
+   * Start (or restart) the countdown
+   * @param {number} seconds - How long the computer stays unlocked
+   * @param {number} warningSeconds - How long before the end to warn, 0 for no warning
+   * @returns {boolean} Whether a countdown was started - 0 seconds means no limit
+   */
+  start(seconds, warningSeconds = 0) {
+    this.stop();
+    if (!(seconds > 0)) return false;
+
+    this.endsAt = this.clock.now() + seconds * 1000;
+    if (warningSeconds > 0 && warningSeconds < seconds) {
+      this.schedule((seconds - warningSeconds) * 1000, () => this.onWarning(warningSeconds));
+    }
+    this.schedule(seconds * 1000, () => {
+      this.stop();
+      this.onExpire();
+    });
+    return true;
+  }
+
+  // Cancel the countdown without locking
+  stop() {
+    this.timers.forEach(timer => this.clock.clearTimeout(timer));
+    this.timers = [];
+    this.endsAt = null;
+  }
+
+  isRunning() {
+    return this.endsAt !== null;
+  }
+
+  /**
+   * @returns {number|null} Whole seconds until the lock screen returns, null when not counting down
+   */
+  getRemaining() {
+    if (!this.isRunning()) return null;
+    return Math.max(0, Math.ceil((this.endsAt - this.clock.now()) / 1000));
+  }
+
+  schedule(delay, callback) {
+    this.timers.push(this.clock.setTimeout(callback, delay));
+  }
+}
+
+module.exports = SessionTimer;
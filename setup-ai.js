@@ -13,15 +13,16 @@ console.log('=== YesButFirst AI Setup ===\n');
 const questions = [
   {
     name: 'provider',
-    question: 'Which AI provider would you like to use?\n1. OpenAI (GPT-3.5) - $0.0016/interaction\n2. Claude (Haiku) - $0.0008/interaction\n3. Google Gemini - FREE tier available\n\nEnter 1, 2, or 3: ',
-    validate: (answer) => ['1', '2', '3'].includes(answer),
+    question: 'Which AI provider would you like to use?\n1. OpenAI (GPT-3.5) - $0.0016/interaction\n2. Claude (Haiku) - $0.0008/interaction\n3. Google Gemini - FREE tier available\n4. Local model (Ollama / llama.cpp) - FREE, works offline\n\nEnter 1, 2, 3, or 4: ',
+    validate: (answer) => ['1', '2', '3', '4'].includes(answer),
     transform: (answer) => {
-      const providers = { '1': 'openai', '2': 'claude', '3': 'gemini' };
+      const providers = { '1': 'openai', '2': 'claude', '3': 'gemini', '4': 'local' };
       return providers[answer];
     }
   },
   {
     name: 'apiKey',
+    when: (answers) => answers.provider !== 'local',
     question: (provider) => {
       const prompts = {
         openai: 'Enter your OpenAI API key (starts with sk-): ',
@@ -32,6 +33,19 @@ const questions = [
     },
     validate: (answer) => answer.length > 10
   },
+  {
+    name: 'localUrl',
+    when: (answers) => answers.provider === 'local',
+    question: 'Enter your local server URL (press Enter for Ollama at http://localhost:11434/v1): ',
+    validate: (answer) => !answer || /^https?:\/\//.test(answer),
+    transform: (answer) => answer || 'http://localhost:11434/v1'
+  },
+  {
+    name: 'localModel',
+    when: (answers) => answers.provider === 'local',
+    question: 'Enter the model name (press Enter for llama3.2): ',
+    transform: (answer) => answer || 'llama3.2'
+  },
   {
     name: 'childAge',
     question: 'Enter child age (6-17, or press Enter to skip): ',
@@ -59,6 +73,7 @@ async function setup() {
   const answers = {};
   
   for (const q of questions) {
+    if (q.when && !q.when(answers)) continue;
     answers[q.name] = await askQuestion(q, answers);
   }
   
@@ -68,12 +83,18 @@ async function setup() {
 
 # AI Provider
 AI_PROVIDER=${answers.provider}
+# Optional failover order, tried left to right when a provider fails
+# AI_PROVIDERS=${answers.provider},local
 
 # API Keys
 OPENAI_API_KEY=${answers.provider === 'openai' ? answers.apiKey : 'your-openai-key-here'}
 CLAUDE_API_KEY=${answers.provider === 'claude' ? answers.apiKey : 'your-claude-key-here'}
 GEMINI_API_KEY=${answers.provider === 'gemini' ? answers.apiKey : 'your-gemini-key-here'}
 
+# Local model (OpenAI-compatible server such as Ollama or llama.cpp)
+LOCAL_AI_URL=${answers.localUrl || 'http://localhost:11434/v1'}
+LOCAL_AI_MODEL=${answers.localModel || 'llama3.2'}
+
 # Child Settings
 CHILD_AGE=${answers.childAge}
 
@@ -103,7 +124,8 @@ MAX_DAILY_COST=5.00
   const costs = {
     openai: 0.0016,
     claude: 0.0008,
-    gemini: 0.00002
+    gemini: 0.00002,
+    local: 0
   };
   
   const cost = costs[answers.provider];
@@ -116,6 +138,11 @@ MAX_DAILY_COST=5.00
     console.log('   That\'s about 1,666 free interactions daily.');
   }
   
+  if (answers.provider === 'local') {
+    console.log('\n📌 Note: Make sure your local server is running before starting the app.');
+    console.log(`   For Ollama: ollama pull ${answers.localModel} && ollama serve`);
+  }
+  
   rl.close();
 }
 
@@ -1,6 +1,6 @@
 // test-ai.js - Test AI integration before running full app
 require('dotenv').config();
-const { AIService, ClaudeService, GeminiService } = require('./ai-service');
+const { AIService, ClaudeService, GeminiService, LocalService } = require('./ai-service');
 const aiConfig = require('./ai-config');
 
 console.log('=== Testing YesButFirst AI Integration ===\n');
@@ -21,6 +21,9 @@ async function test() {
     case 'gemini':
       ai = new GeminiService(apiKey, config);
       break;
+    case 'local':
+      ai = new LocalService(apiKey, config);
+      break;
     default:
       throw new Error(`Unsupported provider: ${aiConfig.provider}`);
   }
@@ -0,0 +1,100 @@
+// test-budget.js - The daily AI cost limit, the parent's policy and the offline fallback answers
+const assert = require('assert');
+const BudgetManager = require('./budget-manager');
+const OfflineQuestionBank = require('./offline-question-bank');
+const { runDatabaseTests } = require('./test-helpers');
+
+const COST_CONTROLS = { maxDailyCost: 1.0, warningThreshold: 0.8 };
+
+const tests = [
+  {
+    name: 'spending moves from ok to warning at the threshold and exhausted at the limit',
+    run(db) {
+      const budget = new BudgetManager(db, COST_CONTROLS);
+      assert.strictEqual(budget.getStatus().state, 'ok');
+
+      db.recordDailyUsage(1000, 0.79);
+      assert.strictEqual(budget.getStatus().state, 'ok', 'just under the warning threshold');
+
+      const warning = budget.recordUsage(100, 0.01);
+      assert.strictEqual(warning.state, 'warning');
+      assert.strictEqual(warning.requests, 2);
+      assert.strictEqual(warning.tokens, 1100);
+      assert.strictEqual(budget.isExhausted(), false);
+
+      const exhausted = budget.recordUsage(100, 0.2);
+      assert.strictEqual(exhausted.state, 'exhausted');
+      assert.ok(Math.abs(exhausted.ratio - 1) < 1e-9, `unexpected ratio ${exhausted.ratio}`);
+      assert.strictEqual(budget.isExhausted(), true);
+    }
+  },
+  {
+    name: 'the warning threshold comes from the cost controls',
+    run(db) {
+      const budget = new BudgetManager(db, { maxDailyCost: 1.0, warningThreshold: 0.5 });
+      db.recordDailyUsage(1000, 0.5);
+      assert.strictEqual(budget.getStatus().state, 'warning');
+    }
+  },
+  {
+    name: 'a limit of 0 means no limit',
+    run(db) {
+      const unlimited = new BudgetManager(db, { maxDailyCost: 0 });
+      db.recordDailyUsage(100000, 250);
+      assert.deepStrictEqual([unlimited.getStatus().state, unlimited.getStatus().ratio], ['ok', 0]);
+
+      const budget = new BudgetManager(db, COST_CONTROLS);
+      assert.strictEqual(budget.getStatus().state, 'exhausted');
+      assert.ok(budget.updateSettings({ dailyLimit: 0, policy: 'lock' }));
+      assert.strictEqual(budget.getDailyLimit(), 0, "the parent's 0 wins over ai-config");
+      assert.strictEqual(budget.getStatus().state, 'ok');
+    }
+  },
+  {
+    name: "the parent's settings are checked before they are saved",
+    run(db) {
+      const budget = new BudgetManager(db, COST_CONTROLS);
+      assert.strictEqual(budget.getPolicy(), 'offline', 'offline is the default policy');
+
+      assert.ok(budget.updateSettings({ dailyLimit: '2.5', policy: 'unlock' }));
+      assert.deepStrictEqual([budget.getDailyLimit(), budget.getPolicy()], [2.5, 'unlock']);
+
+      assert.strictEqual(budget.updateSettings({ dailyLimit: 1, policy: 'shutdown' }), false);
+      assert.strictEqual(budget.updateSettings({ dailyLimit: -1, policy: 'lock' }), false);
+      assert.strictEqual(budget.updateSettings({ dailyLimit: 'lots', policy: 'lock' }), false);
+      assert.deepStrictEqual([budget.getDailyLimit(), budget.getPolicy()], [2.5, 'unlock'], 'rejected settings change nothing');
+    }
+  },
+  {
+    name: 'an unknown stored policy falls back to offline',
+    run(db) {
+      db.setSetting('budget_policy', 'shutdown');
+      const budget = new BudgetManager(db, COST_CONTROLS);
+      assert.strictEqual(budget.getPolicy(), 'offline');
+      assert.strictEqual(budget.getStatus().policy, 'offline');
+    }
+  },
+  {
+    name: 'offline answers always come with a follow-up question',
+    run() {
+      const match = OfflineQuestionBank.answerOffline('Why is the sky blue?');
+      assert.strictEqual(match.question, 'why is the sky blue');
+      assert.strictEqual(match.matched, true);
+      assert.ok(match.followUp);
+
+      // The 2+2 entry has no follow-up, so it can't lead to an unlock
+      for (let i = 0; i < 20; i++) {
+        const fallback = OfflineQuestionBank.answerOffline('What is 2+2?');
+        assert.strictEqual(fallback.matched, false);
+        assert.notStrictEqual(fallback.question, 'what is 2+2');
+        assert.ok(fallback.answer && fallback.followUp, `${fallback.question} has no follow-up`);
+      }
+
+      const unknown = OfflineQuestionBank.answerOffline('How tall is a giraffe?');
+      assert.strictEqual(unknown.matched, false);
+      assert.ok(unknown.followUp);
+    }
+  }
+];
+
+runDatabaseTests('Testing the daily AI budget', 'budget', tests).then(ok => process.exit(ok ? 0 : 1));
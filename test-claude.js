@@ -0,0 +1,117 @@
+// test-claude.js - Test ClaudeService against a local mock of the Anthropic Messages API
+const assert = require('assert');
+const { ClaudeService } = require('./ai-service');
+const { startMockServer, stopMockServer, runTests } = require('./test-helpers');
+
+function messagesReply(text, usage = { input_tokens: 120, output_tokens: 40 }) {
+  return {
+    status: 200,
+    data: {
+      id: 'msg_test',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage
+    }
+  };
+}
+
+const tests = [
+  {
+    name: 'answerQuestion sends a Messages request and reads the text content',
+    async run(server, claude) {
+      server.handler = () => messagesReply('Light scatters off air molecules! What colour is the sunset?');
+
+      const result = await claude.answerQuestion('Why is the sky blue?', 10, true, 0, ['Space'], [
+        { user: 'Hi there, how do clouds float?', ai: 'They are tiny droplets!' }
+      ]);
+
+      const { headers, body } = server.requests[0];
+      assert.strictEqual(headers['x-api-key'], 'test-key');
+      assert.strictEqual(headers['anthropic-version'], '2023-06-01');
+      assert.strictEqual(headers.authorization, undefined);
+      assert.strictEqual(body.model, 'claude-3-haiku-20240307');
+      assert.ok(body.system.includes('Space'), 'system prompt should carry the interests');
+      assert.ok(!body.messages.some(m => m.role === 'system'), 'system prompt must be top-level');
+      assert.ok(body.messages[0].content.includes('how do clouds float'), 'history should be included');
+      assert.strictEqual(body.max_tokens, 100);
+      assert.strictEqual(result.answer, 'Light scatters off air molecules! What colour is the sunset?');
+    }
+  },
+  {
+    name: 'usage is mapped into calculateCost',
+    async run(server, claude) {
+      server.handler = () => messagesReply('Answer?', { input_tokens: 1000, output_tokens: 1000 });
+
+      const result = await claude.answerQuestion('How do magnets work?', 12);
+
+      assert.strictEqual(result.usage.promptTokens, 1000);
+      assert.strictEqual(result.usage.completionTokens, 1000);
+      assert.strictEqual(result.usage.totalTokens, 2000);
+      assert.ok(Math.abs(result.usage.estimatedCost - 0.0015) < 1e-9);
+      assert.strictEqual(claude.getUsageStats().totalTokens, 2000);
+    }
+  },
+  {
+    name: 'retries on 529 overloaded and 429 rate limit',
+    async run(server, claude) {
+      server.handler = (count) => {
+        if (count === 1) return { status: 529, data: { type: 'error', error: { type: 'overloaded_error' } } };
+        if (count === 2) return { status: 429, data: { type: 'error', error: { type: 'rate_limit_error' } } };
+        return messagesReply('Third time lucky?');
+      };
+
+      const result = await claude.answerQuestion('How do airplanes fly?', 8);
+
+      assert.strictEqual(server.requests.length, 3);
+      assert.strictEqual(result.answer, 'Third time lucky?');
+    }
+  },
+  {
+    name: 'does not retry on 401 and reports failure',
+    async run(server, claude) {
+      server.handler = () => ({ status: 401, data: { type: 'error', error: { type: 'authentication_error' } } });
+
+      await assert.rejects(() => claude.answerQuestion('How do volcanoes erupt?', 8), /Failed to get answer from AI/);
+      assert.strictEqual(server.requests.length, 1);
+    }
+  },
+  {
+    name: 'evaluateUnderstanding parses fenced JSON from the reply',
+    async run(server, claude) {
+      server.handler = () => messagesReply('```json\n{"understood": false, "feedback": "Almost!", "suggestion": "Think about light."}\n```');
+
+      const evaluation = await claude.evaluateUnderstanding('Why is the sky blue?', 'Scattering. What colour is the sunset?', 'orange');
+
+      const { body } = server.requests[0];
+      assert.strictEqual(body.temperature, 0.3);
+      assert.ok(body.system.includes('Respond only with valid JSON'));
+      assert.deepStrictEqual(evaluation, { understood: false, confidence: 0.5, feedback: 'Almost!', suggestion: 'Think about light.', misconceptions: [] });
+    }
+  },
+  {
+    name: 'nonsense questions never reach the API',
+    async run(server, claude) {
+      server.handler = () => messagesReply('should not be called');
+
+      const result = await claude.answerQuestion('asdfgh', 8);
+
+      assert.strictEqual(result.isNonsense, true);
+      assert.strictEqual(server.requests.length, 0);
+    }
+  }
+];
+
+runTests('Testing ClaudeService against mock Messages API', tests, {
+  async setup() {
+    const server = await startMockServer();
+    const { port } = server.address();
+    const claude = new ClaudeService('test-key', {
+      apiUrl: `http://127.0.0.1:${port}/v1/messages`,
+      retryDelay: 0
+    });
+    return [server, claude];
+  },
+  teardown: stopMockServer
+}).then(ok => process.exit(ok ? 0 : 1));
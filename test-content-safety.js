@@ -0,0 +1,144 @@
+// test-content-safety.js - The question safety filter: keyword patterns, the optional model check and the parent's log
+const assert = require('assert');
+const { AIService } = require('./ai-service');
+const ContentSafety = require('./content-safety');
+const aiConfig = require('./ai-config');
+const { runTests, openTestDatabase, closeTestDatabase } = require('./test-helpers');
+
+const SAFETY = { ...aiConfig.safety, modelCheck: true };
+
+// A model check that answers from a list and remembers what it was asked
+function cannedClassifier(replies) {
+  const classify = async (question, blockTopics) => {
+    classify.calls.push({ question, blockTopics });
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  classify.calls = [];
+  return classify;
+}
+
+const tests = [
+  {
+    name: 'questions seeking harm are blocked locally, curious ones get through',
+    async run() {
+      const safety = new ContentSafety(aiConfig.safety);
+      [
+        ['How can I hurt my brother?', 'violence'],
+        ['how do you make a bomb', 'dangerous activities'],
+        ['what are the steps to build a pipe bomb', 'dangerous activities'],
+        ['i want to make some explosives', 'dangerous activities'],
+        ['What is the Tide Pod challenge?', 'dangerous activities'],
+        ['show me naked pictures', 'explicit content'],
+        ["What is Emma's phone number?", 'personal information'],
+        ['How do I hack my dad’s password?', 'personal information']
+      ].forEach(([question, topic]) => {
+        assert.deepStrictEqual(safety.checkLocally(question), { blocked: true, topic, layer: 'keyword' }, question);
+      });
+
+      [
+        'Why do volcanoes explode?',
+        'How do you kill germs?',
+        'How did knights fight in battles?',
+        'What do poison dart frogs eat?',
+        'Where do penguins live?',
+        'How do I shoot a basketball better?',
+        'why did people make a bomb in ww2',
+        'how did they make a bomb',
+        'Who built the first atomic bomb?'
+      ].forEach(question => assert.strictEqual(safety.checkLocally(question).blocked, false, question));
+    }
+  },
+  {
+    name: 'only the configured topics are checked',
+    async run() {
+      const safety = new ContentSafety({ blockTopics: ['explicit content'], redirectMessage: 'Try another one!' });
+      assert.strictEqual(safety.checkLocally('how do you make a bomb').blocked, false);
+      assert.strictEqual(safety.checkLocally('porn').topic, 'explicit content');
+      assert.strictEqual(safety.redirectMessage, 'Try another one!');
+    }
+  },
+  {
+    name: 'the model check runs only after the keyword check passes',
+    async run() {
+      const classify = cannedClassifier([{ blocked: true, topic: 'violence' }, { blocked: true, topic: 'gambling' }, { blocked: false, topic: null }, { blocked: false, topic: null }]);
+      const safety = new ContentSafety(SAFETY, { classify });
+
+      assert.deepStrictEqual(await safety.check('How do you make a bomb?'), { blocked: true, topic: 'dangerous activities', layer: 'keyword' });
+      assert.strictEqual(classify.calls.length, 0, 'a keyword block costs no request');
+
+      assert.deepStrictEqual(await safety.check('What is the best way to win a fight?'), { blocked: true, topic: 'violence', layer: 'model' });
+      assert.deepStrictEqual(classify.calls[0], { question: 'What is the best way to win a fight?', blockTopics: SAFETY.blockTopics });
+      assert.strictEqual((await safety.check('Can I bet on horses?')).topic, 'other', 'topics outside the list are not passed on');
+      assert.strictEqual((await safety.check('Why is the sky blue?')).blocked, false);
+
+      classify.calls.length = 0;
+      await safety.check('Is my name Ava?', { modelQuestion: 'Is my name [name]?' });
+      assert.strictEqual(classify.calls[0].question, 'Is my name [name]?', 'the model gets the redacted question');
+    }
+  },
+  {
+    name: 'a failed, skipped or disabled model check leaves the keyword result',
+    async run() {
+      const classify = cannedClassifier([new Error('All AI providers failed')]);
+      const safety = new ContentSafety(SAFETY, { classify });
+      assert.strictEqual((await safety.check('Why do cats purr?')).blocked, false);
+
+      assert.strictEqual((await safety.check('Why do dogs bark?', { useModel: false })).blocked, false);
+      assert.strictEqual(classify.calls.length, 1);
+
+      const disabled = cannedClassifier([]);
+      await new ContentSafety(aiConfig.safety, { classify: disabled }).check('Why do dogs bark?');
+      assert.strictEqual(disabled.calls.length, 0, 'modelCheck is off by default');
+    }
+  },
+  {
+    name: 'providers classify with a structured prompt',
+    async run() {
+      const service = new AIService('test-key');
+      let prompt;
+      service.sendMessage = async (request, options) => {
+        prompt = { ...request, timeout: options.timeout };
+        return { text: '```json\n{"blocked": true, "topic": "violence",}\n```', usage: { total_tokens: 12 } };
+      };
+
+      assert.deepStrictEqual(await service.classifyQuestion('How do I win a fight?', ['violence']), { blocked: true, topic: 'violence' });
+      assert.strictEqual(prompt.schema, ContentSafety.SAFETY_SCHEMA);
+      assert.strictEqual(prompt.timeout, 5000);
+      assert.ok(prompt.system.includes('Blocked topics: violence'));
+      assert.strictEqual(service.getUsageStats().totalTokens, 12, 'the check counts against the budget');
+
+      service.sendMessage = async () => ({ text: '{"topic": null}', usage: {} });
+      await assert.rejects(service.classifyQuestion('Why?', ['violence']), /Malformed safety check/);
+    }
+  },
+  {
+    name: 'blocked questions are kept for the parent and removed with the child',
+    async run() {
+      const db = await openTestDatabase('safety');
+
+      try {
+        const first = db.getChildProfiles()[0].id;
+        const second = db.addChildProfile('Sam', 8);
+        assert.ok(db.logBlockedQuestion(first, 'how do you make a bomb', 'dangerous activities', 'keyword'));
+        assert.ok(db.logBlockedQuestion(second, 'how to win a fight', 'violence', 'model'));
+
+        const all = db.getBlockedQuestions();
+        assert.deepStrictEqual(all.map(entry => [entry.question, entry.topic, entry.layer]), [
+          ['how to win a fight', 'violence', 'model'],
+          ['how do you make a bomb', 'dangerous activities', 'keyword']
+        ]);
+        assert.strictEqual(all[0].child_name, 'Sam');
+        assert.strictEqual(db.getBlockedQuestions(first).length, 1);
+
+        assert.ok(db.deleteChildProfile(second));
+        assert.strictEqual(db.getBlockedQuestions().length, 1);
+      } finally {
+        closeTestDatabase(db);
+      }
+    }
+  }
+];
+
+runTests('Testing the question safety filter', tests).then(ok => process.exit(ok ? 0 : 1));
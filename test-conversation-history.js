@@ -0,0 +1,109 @@
+// test-conversation-history.js - Lock-screen sessions and their turns are written to the database
+const assert = require('assert');
+const ConversationTracker = require('./conversation-tracker');
+const { runDatabaseTests } = require('./test-helpers');
+
+function getSession(db, sessionId) {
+  return db.queryAll('SELECT * FROM sessions WHERE id = ?', [sessionId])[0];
+}
+
+const tests = [
+  {
+    name: 'a new session stores the age group and is still open',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const sessionId = tracker.startSession({ childAge: 9, ageGroup: 'young' });
+      assert.ok(sessionId, 'startSession should return an id');
+
+      const session = getSession(db, sessionId);
+      assert.strictEqual(session.child_age, 9);
+      assert.strictEqual(session.age_group, 'young');
+      assert.strictEqual(session.stage, 'question');
+      assert.ok(session.started_at, 'start time should be recorded');
+      assert.strictEqual(session.ended_at, null);
+      assert.strictEqual(session.outcome, null);
+      assert.strictEqual(session.child_id, db.getChildProfile().id, 'sessions belong to the active child by default');
+    }
+  },
+  {
+    name: 'each exchange is stored as a turn with its topics and evaluation',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const sessionId = tracker.startSession({ childAge: 9, ageGroup: 'young' });
+      tracker.trackConversation({
+        sessionId,
+        stage: 'understanding',
+        childAge: 9,
+        question: 'Why does the moon change shape?',
+        aiResponse: 'The sun lights up different parts of it as it goes around the Earth.',
+        childFollowUp: 'because the sun shines on it from different sides and wow that is cool',
+        evaluation: { understood: true, feedback: 'Spot on!' },
+        usage: { promptTokens: 120, completionTokens: 30, totalTokens: 150, estimatedCost: 0.002 },
+        provider: 'openai'
+      });
+
+      const [turn] = db.getSessionTurns(sessionId);
+      assert.strictEqual(turn.stage, 'understanding');
+      assert.strictEqual(turn.question, 'Why does the moon change shape?');
+      assert.strictEqual(turn.ai_answer, 'The sun lights up different parts of it as it goes around the Earth.');
+      assert.strictEqual(turn.child_reply, 'because the sun shines on it from different sides and wow that is cool');
+      assert.strictEqual(turn.understood, 1);
+      assert.strictEqual(turn.feedback, 'Spot on!');
+      assert.deepStrictEqual(turn.topics, tracker.analyzeQuestionTopics('Why does the moon change shape?'));
+      assert.ok(turn.topics.includes('space'));
+      assert.strictEqual(turn.engagement, tracker.assessEngagementLevel(turn.child_reply));
+      assert.strictEqual(turn.prompt_tokens, 120);
+      assert.strictEqual(turn.completion_tokens, 30);
+      assert.strictEqual(turn.total_tokens, 150);
+      assert.strictEqual(turn.provider, 'openai');
+    }
+  },
+  {
+    name: 'the session keeps the latest stage and running token totals',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const sessionId = tracker.startSession({ childAge: 12, ageGroup: 'middle' });
+      tracker.trackConversation({ sessionId, stage: 'answer', question: 'How do magnets work?', aiResponse: 'Tiny aligned atoms.', usage: { totalTokens: 100, estimatedCost: 0.001 } });
+      tracker.trackConversation({ sessionId, stage: 'understanding', childFollowUp: 'the atoms line up', evaluation: { understood: false, feedback: 'Nearly!' }, usage: { totalTokens: 40, estimatedCost: 0.0005 } });
+
+      const session = getSession(db, sessionId);
+      assert.strictEqual(session.stage, 'understanding');
+      assert.strictEqual(session.total_tokens, 140);
+      assert.ok(Math.abs(session.estimated_cost - 0.0015) < 1e-9, `unexpected cost ${session.estimated_cost}`);
+
+      const turns = db.getSessionTurns(sessionId);
+      assert.strictEqual(turns.length, 2);
+      assert.strictEqual(turns[1].understood, 0, 'a wrong answer is stored as not understood');
+    }
+  },
+  {
+    name: 'ending a session records its outcome once',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const sessionId = tracker.startSession({ childAge: 9, ageGroup: 'young' });
+      tracker.endSession(sessionId, 'unlocked');
+
+      const session = getSession(db, sessionId);
+      assert.strictEqual(session.outcome, 'unlocked');
+      assert.ok(session.ended_at, 'end time should be recorded');
+
+      tracker.endSession(sessionId, 'abandoned');
+      assert.strictEqual(getSession(db, sessionId).outcome, 'unlocked', 'a closed session keeps its first outcome');
+    }
+  },
+  {
+    name: 'tracking without a database or session stores nothing',
+    run(db) {
+      const offline = new ConversationTracker(null);
+      assert.strictEqual(offline.startSession({ childAge: 9, ageGroup: 'young' }), null);
+      const turn = offline.trackConversation({ stage: 'answer', question: 'Why is the sky blue?', aiResponse: 'Scattered light.' });
+      assert.strictEqual(turn.question, 'Why is the sky blue?');
+      offline.endSession(null, 'unlocked');
+
+      new ConversationTracker(db).trackConversation({ stage: 'answer', question: 'Why is the sky blue?' });
+      assert.strictEqual(db.queryAll('SELECT COUNT(*) AS count FROM turns')[0].count, 0);
+    }
+  }
+];
+
+runDatabaseTests('Testing conversation history', 'conversation-history', tests).then(ok => process.exit(ok ? 0 : 1));
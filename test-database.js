@@ -0,0 +1,156 @@
+// test-database.js - Injection regression tests for the IPC-facing DatabaseService methods
+const assert = require('assert');
+const { openTestDatabase, closeTestDatabase, runTests } = require('./test-helpers');
+
+// Values a renderer could send over IPC, aimed at breaking out of string and number literals
+const PAYLOADS = [
+  "'",
+  "''",
+  "O'Brien",
+  "'; DROP TABLE interests; --",
+  "1; DELETE FROM child_interests",
+  "1 OR 1=1",
+  "' OR '1'='1",
+  "boy', age = 99 --",
+  "\\'; UPDATE parent_settings SET pin = '' --",
+  "\"); DROP TABLE parent_settings; --",
+  "Robert'); DROP TABLE sessions;--",
+  "%' OR 1=1 --",
+  '"quoted"',
+  'line\n-- comment'
+];
+
+// Snapshot of everything an injection could damage
+function snapshot(db) {
+  const tables = db.queryAll("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").map(row => row.name);
+  const counts = {};
+  tables.filter(name => name !== 'sqlite_sequence').forEach(name => {
+    counts[name] = db.queryAll(`SELECT COUNT(*) AS count FROM ${name}`)[0].count;
+  });
+  return { tables, counts };
+}
+
+function assertIntact(db, before) {
+  const after = snapshot(db);
+  assert.deepStrictEqual(after.tables, before.tables, 'tables were dropped or added');
+  assert.strictEqual(after.counts.interests, before.counts.interests, 'interests were changed');
+  assert.strictEqual(after.counts.parent_settings, 1, 'parent_settings should keep one row');
+  assert.strictEqual(after.counts.child_profile, 1, 'child_profile should keep one row');
+  assert.ok(db.verifyPin('4321'), 'parent PIN should be unchanged');
+}
+
+const tests = [
+  {
+    name: 'verifyPin / attemptPin reject payloads without touching the PIN',
+    run(db) {
+      PAYLOADS.forEach(payload => {
+        assert.strictEqual(db.verifyPin(payload), false);
+        db.attemptPin(payload, 0);
+      });
+    }
+  },
+  {
+    name: 'updatePin refuses anything but four digits',
+    run(db) {
+      PAYLOADS.forEach(payload => assert.strictEqual(db.updatePin(payload), false));
+    }
+  },
+  {
+    name: 'updateChildProfile stores gender payloads literally',
+    run(db) {
+      PAYLOADS.forEach(payload => {
+        assert.strictEqual(db.updateChildProfile(10, payload), true);
+        const profile = db.getChildProfile();
+        assert.strictEqual(profile.gender, payload);
+        assert.strictEqual(profile.age, 10);
+      });
+    }
+  },
+  {
+    name: 'updateChildProfile rejects non-numeric ages',
+    run(db) {
+      db.updateChildProfile(12, 'boy');
+      PAYLOADS.forEach(payload => assert.strictEqual(db.updateChildProfile(payload, 'girl'), false));
+      assert.deepStrictEqual([db.getChildProfile().age, db.getChildProfile().gender], [12, 'boy']);
+    }
+  },
+  {
+    name: 'child profile names are stored literally and ids must be numeric',
+    run(db) {
+      const ids = PAYLOADS.map(payload => db.addChildProfile(payload, 8, 'girl'));
+      assert.ok(ids.every(Number.isInteger));
+      assert.deepStrictEqual(ids.map(id => db.getChildProfile(id).name), PAYLOADS.map(payload => payload.trim().slice(0, 40)));
+
+      PAYLOADS.forEach(payload => {
+        assert.strictEqual(db.deleteChildProfile(payload), false);
+        assert.strictEqual(db.updateInterest(1, true, payload), false);
+        assert.strictEqual(db.setChildSetting(payload, 'max_conversation_length', 5), false);
+      });
+      ids.forEach(id => assert.strictEqual(db.deleteChildProfile(id), true));
+    }
+  },
+  {
+    name: 'updateInterest rejects non-numeric ids and only changes the named interest',
+    run(db) {
+      PAYLOADS.forEach(payload => assert.strictEqual(db.updateInterest(payload, true), false));
+      assert.deepStrictEqual(db.getSelectedInterests(), []);
+
+      const space = db.getAllInterests().find(interest => interest.name === 'Space Travel');
+      assert.strictEqual(db.updateInterest(space.id, true), true);
+      assert.deepStrictEqual(db.getSelectedInterests(), ['Space Travel']);
+    }
+  },
+  {
+    name: 'settings keys and values are bound, not interpolated',
+    run(db) {
+      PAYLOADS.forEach(payload => {
+        assert.strictEqual(db.setSetting(payload, payload), true);
+        assert.strictEqual(db.getSetting(payload), payload);
+      });
+    }
+  },
+  {
+    name: 'conversation turns store child text literally',
+    run(db) {
+      const sessionId = db.startSession(9, 'middle');
+      PAYLOADS.forEach(payload => {
+        assert.strictEqual(db.addTurn(sessionId, { stage: 'understanding', question: payload, childReply: payload, topics: [payload] }), true);
+      });
+      const turns = db.getSessionTurns(sessionId);
+      assert.deepStrictEqual(turns.map(turn => turn.question), PAYLOADS);
+      assert.strictEqual(db.endSession(sessionId, "unlocked'; --"), true);
+    }
+  },
+  {
+    name: 'history topic filter treats payloads as plain text',
+    run(db) {
+      const sessionId = db.startSession(9, 'middle');
+      db.addTurn(sessionId, { stage: 'understanding', question: 'Why is the moon round?', topics: ['space'] });
+
+      assert.strictEqual(db.getLearningHistory('space').length, 1);
+      PAYLOADS.filter(payload => !payload.includes('%')).forEach(payload => {
+        const history = db.getLearningHistory(payload);
+        assert.ok(history.every(session => session.topics.includes(payload)), `filter leaked for ${payload}`);
+      });
+    }
+  }
+];
+
+// Every test must also leave each table as it found it
+const intactTests = tests.map(test => ({
+  ...test,
+  run(db) {
+    const before = snapshot(db);
+    test.run(db);
+    assertIntact(db, before);
+  }
+}));
+
+runTests('Testing DatabaseService against injection payloads', intactTests, {
+  async setup() {
+    const db = await openTestDatabase('database');
+    db.updatePin('4321');
+    return [db];
+  },
+  teardown: closeTestDatabase
+}).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,182 @@
+// test-evaluation.js - Structured evaluation parsing, repair and re-asking against canned model replies
+const assert = require('assert');
+const { AIService, ClaudeService } = require('./ai-service');
+const { EVALUATION_SCHEMA, parseEvaluationText, validateEvaluation } = require('./evaluation-schema');
+const { runTests } = require('./test-helpers');
+
+// A service whose replies come from a list instead of the network
+function cannedService(replies, config = {}) {
+  const service = new AIService('test-key', config);
+  service.prompts = [];
+  service.sendMessage = async prompt => {
+    service.prompts.push(prompt);
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    return { text: reply, usage: {} };
+  };
+  return service;
+}
+
+const evaluate = (service, options) => service.requestEvaluation('What would you ask a plant?', 'Plants drink sunlight! What would you ask a plant?', 'do you get thirsty', [], options);
+
+const verdict = (understood, confidence) => JSON.stringify({ understood, confidence, feedback: 'Yes!', suggestion: null, misconceptions: [] });
+
+const tests = [
+  {
+    name: 'a well-formed reply is returned as is',
+    async run() {
+      const evaluation = await evaluate(cannedService([
+        '{"understood": false, "confidence": 0.9, "feedback": "Almost!", "suggestion": "Think about roots.", "misconceptions": ["Plants drink through leaves"]}'
+      ]));
+      assert.deepStrictEqual(evaluation, {
+        understood: false,
+        confidence: 0.9,
+        feedback: 'Almost!',
+        suggestion: 'Think about roots.',
+        misconceptions: ['Plants drink through leaves']
+      });
+    }
+  },
+  {
+    name: 'fences, chatter, smart quotes, trailing commas and Python literals are repaired',
+    async run() {
+      const replies = [
+        '```json\n{"understood": true, "confidence": 0.8, "feedback": "Yes!", "suggestion": null, "misconceptions": []}\n```',
+        'Sure! Here is the evaluation: {"understood": true, "feedback": "Nice"} Let me know if you need more.',
+        '{“understood”: true, “feedback”: “Great”}',
+        '{"understood": true, "feedback": "Good", "misconceptions": [],}',
+        "{'understood': True, 'feedback': 'Cool', 'suggestion': None}",
+        '{understood: false, feedback: "Hmm"}'
+      ];
+      const parsed = replies.map(parseEvaluationText);
+      assert.deepStrictEqual(parsed.map(value => value.understood), [true, true, true, true, true, false]);
+      assert.deepStrictEqual(parsed.map(value => value.feedback), ['Yes!', 'Nice', 'Great', 'Good', 'Cool', 'Hmm']);
+      assert.strictEqual(parsed[4].suggestion, null);
+    }
+  },
+  {
+    name: 'loosely typed fields are normalised to the schema',
+    async run() {
+      const { valid, evaluation } = validateEvaluation({
+        understood: 'yes',
+        confidence: '85%',
+        feedback: '  Great!  ',
+        suggestion: '',
+        misconceptions: 'Sunlight is food',
+        extra: 'ignored'
+      });
+      assert.strictEqual(valid, true);
+      assert.deepStrictEqual(evaluation, {
+        understood: true,
+        confidence: 0.85,
+        feedback: 'Great!',
+        suggestion: null,
+        misconceptions: ['Sunlight is food']
+      });
+
+      const defaults = validateEvaluation({ understood: false }).evaluation;
+      assert.deepStrictEqual(defaults, { understood: false, confidence: 0.5, feedback: 'Nice try!', suggestion: null, misconceptions: [] });
+      assert.strictEqual(validateEvaluation({ understood: true, confidence: 7 }).evaluation.confidence, 0.07);
+    }
+  },
+  {
+    name: 'a reply without a usable verdict is invalid',
+    async run() {
+      ['{"feedback": "Nice"}', '{"understood": "maybe"}', '[true]', 'null'].forEach(reply => {
+        const value = reply.startsWith('{') ? parseEvaluationText(reply) : JSON.parse(reply);
+        assert.strictEqual(validateEvaluation(value).valid, false, reply);
+      });
+      assert.throws(() => parseEvaluationText('I think they understood.'), /No JSON object/);
+      assert.throws(() => parseEvaluationText('{"understood": true, "feedback": "unterminated}'));
+    }
+  },
+  {
+    name: 'a malformed reply is re-asked once with the errors',
+    async run() {
+      const service = cannedService([
+        'The child clearly understood!',
+        '{"understood": true, "confidence": 0.7, "feedback": "Yes!", "suggestion": null, "misconceptions": []}'
+      ]);
+      const evaluation = await evaluate(service);
+
+      assert.strictEqual(evaluation.understood, true);
+      assert.strictEqual(service.prompts.length, 2);
+      assert.strictEqual(service.prompts[0].schema, EVALUATION_SCHEMA);
+      assert.ok(service.prompts[1].user.includes('No JSON object in AI reply'));
+      assert.ok(service.prompts[1].user.includes('The child clearly understood!'));
+    }
+  },
+  {
+    name: 'still malformed after re-asking is an error, and evaluateUnderstanding falls back',
+    async run() {
+      await assert.rejects(() => evaluate(cannedService(['{"understood": "maybe"}', 'nope'])), /Malformed evaluation/);
+
+      const service = cannedService(['{"understood": "maybe"}', 'nope']);
+      const evaluation = await service.evaluateUnderstanding('Why?', 'Because! Why?', 'because');
+      assert.deepStrictEqual(evaluation, service.getEvaluationFallback());
+      assert.strictEqual(evaluation.fallback, true, 'callers must be able to tell a fallback from a verdict');
+      assert.deepStrictEqual(Object.keys(evaluation).filter(key => key !== 'fallback').sort(), Object.keys(EVALUATION_SCHEMA.properties).sort());
+
+      const noRepairs = cannedService(['nope', '{"understood": true}'], { evaluationRepairs: 0 });
+      await assert.rejects(() => evaluate(noRepairs), /Malformed evaluation/);
+      assert.strictEqual(noRepairs.prompts.length, 1);
+    }
+  },
+  {
+    name: 'strictness changes the evaluation rules and the confidence needed to unlock',
+    async run() {
+      const lenient = cannedService([verdict(true, 0.2)]);
+      assert.strictEqual((await evaluate(lenient, { strictness: 'lenient' })).understood, true);
+      assert.ok(lenient.prompts[0].system.startsWith('ALWAYS say understood:true'));
+      assert.ok(lenient.prompts[0].user.includes('ALWAYS be generous'));
+
+      const balanced = cannedService([verdict(true, 0.4), verdict(true, 0.6)]);
+      const unsure = await evaluate(balanced, { strictness: 'balanced' });
+      assert.strictEqual(unsure.understood, false, 'an unsure yes should not unlock');
+      assert.ok(unsure.suggestion);
+      assert.strictEqual((await evaluate(balanced, { strictness: 'balanced' })).understood, true);
+      assert.ok(balanced.prompts[0].user.includes('"idk"'));
+      assert.ok(!balanced.prompts[0].system.includes('ALWAYS say understood:true'));
+
+      const rigorous = cannedService([verdict(true, 0.6), verdict(true, 0.8), verdict(false, 0.9)]);
+      assert.strictEqual((await evaluate(rigorous, { strictness: 'rigorous' })).understood, false);
+      assert.strictEqual((await evaluate(rigorous, { strictness: 'rigorous' })).understood, true);
+      assert.strictEqual((await evaluate(rigorous, { strictness: 'rigorous' })).understood, false);
+      assert.ok(rigorous.prompts[0].system.includes('one-word replies'));
+
+      const unknown = cannedService([verdict(true, 0.1)]);
+      assert.strictEqual((await evaluate(unknown, { strictness: 'bogus' })).understood, false, 'unknown levels act like balanced');
+    }
+  },
+  {
+    name: 'offline judging rejects filler replies at stricter levels',
+    async run() {
+      const service = new AIService('test-key');
+      const judge = (reply, strictness) => service.getFallbackEvaluation(reply, strictness).understood;
+
+      assert.strictEqual(judge('idk lol haha', 'lenient'), true);
+      assert.strictEqual(judge('idk lol haha', 'balanced'), false);
+      assert.strictEqual(judge('whatever ok no idea', 'balanced'), false);
+      assert.strictEqual(judge('it would grow really tall', 'balanced'), true);
+      assert.strictEqual(judge('it would grow really tall', 'rigorous'), false);
+      assert.strictEqual(judge('blue light bounces around more', 'rigorous'), true);
+      assert.strictEqual(judge('light lol', 'rigorous'), false);
+    }
+  },
+  {
+    name: "Claude's forced tool call is read as the evaluation",
+    async run() {
+      const service = new ClaudeService('test-key');
+      const request = service.buildRequest({ system: 'Judge', user: 'Reply', maxTokens: 150, temperature: 0.3, schema: EVALUATION_SCHEMA });
+      assert.deepStrictEqual(request.body.tool_choice, { type: 'tool', name: 'structured_reply' });
+
+      const { text } = service.parseResponse({
+        content: [{ type: 'tool_use', name: 'structured_reply', input: { understood: true, confidence: 1, feedback: 'Yes!', suggestion: null, misconceptions: [] } }],
+        usage: { input_tokens: 80, output_tokens: 20 }
+      });
+      assert.strictEqual(service.readEvaluation(text).evaluation.feedback, 'Yes!');
+    }
+  }
+];
+
+runTests('Testing structured evaluation', tests).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,166 @@
+// test-failover.js - ProviderChain failover and circuit breaker against mock provider servers
+const assert = require('assert');
+const { AIService, GeminiService, LocalService } = require('./ai-service');
+const ProviderChain = require('./provider-chain');
+const { startMockServer, stopMockServer, runTests } = require('./test-helpers');
+
+const openaiReply = text => ({ status: 200, data: { choices: [{ message: { content: text } }], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } } });
+const geminiReply = text => ({ status: 200, data: { candidates: [{ content: { parts: [{ text }] } }] } });
+const failure = status => () => ({ status, data: { error: 'unavailable' } });
+
+// Gemini first, then OpenAI, then a local model - the order from the request
+async function createChain(clock) {
+  const servers = {
+    gemini: await startMockServer(),
+    openai: await startMockServer(),
+    local: await startMockServer()
+  };
+  const url = name => `http://127.0.0.1:${servers[name].address().port}`;
+  const config = { retryDelay: 0, maxRetries: 1, timeout: 300 };
+
+  const chain = new ProviderChain([
+    new GeminiService('gemini-key', { ...config, apiUrl: `${url('gemini')}/v1/models/gemini-1.5-flash:generateContent` }),
+    new AIService('openai-key', { ...config, apiUrl: `${url('openai')}/v1/chat/completions` }),
+    new LocalService(null, { ...config, baseUrl: `${url('local')}/v1` })
+  ], { failureThreshold: 2, cooldownMs: 60000, now: () => clock.now });
+
+  servers.gemini.handler = () => geminiReply('Gemini says hi! What do you think?');
+  servers.openai.handler = () => openaiReply('OpenAI says hi! What do you think?');
+  servers.local.handler = () => openaiReply('Local says hi! What do you think?');
+  return { chain, servers };
+}
+
+const states = chain => chain.getCircuitStatus().map(provider => provider.state);
+
+const tests = [
+  {
+    name: 'the first healthy provider answers and is reported',
+    async run({ chain, servers }) {
+      const result = await chain.answerQuestion('Why is the sky blue?', 9);
+      assert.strictEqual(result.provider, 'Gemini');
+      assert.strictEqual(result.answer, 'Gemini says hi! What do you think?');
+      assert.strictEqual(servers.openai.requests.length, 0);
+    }
+  },
+  {
+    name: '5xx, 429 and timeouts fall through to the next provider',
+    async run({ chain, servers }) {
+      servers.gemini.handler = failure(503);
+      assert.strictEqual((await chain.answerQuestion('Why is the sky blue?', 9)).provider, 'OpenAI');
+
+      servers.openai.handler = failure(429);
+      assert.strictEqual((await chain.answerQuestion('How do bees fly?', 9)).provider, 'Local model');
+
+      servers.gemini.handler = () => ({ ...geminiReply('Too late'), delay: 1000 });
+      servers.openai.handler = () => openaiReply('OpenAI again?');
+      assert.strictEqual((await chain.answerQuestion('How do fish breathe?', 9)).provider, 'OpenAI');
+    }
+  },
+  {
+    name: 'repeated failures open the circuit and the provider is skipped',
+    async run({ chain, servers }) {
+      servers.gemini.handler = failure(500);
+      await chain.answerQuestion('Why is the sky blue?', 9);
+      await chain.answerQuestion('How do bees fly?', 9);
+      assert.deepStrictEqual(states(chain), ['open', 'closed', 'closed']);
+      assert.strictEqual(servers.gemini.requests.length, 2);
+
+      const result = await chain.answerQuestion('How do fish breathe?', 9);
+      assert.strictEqual(result.provider, 'OpenAI');
+      assert.strictEqual(servers.gemini.requests.length, 2, 'open circuit should not be called');
+    }
+  },
+  {
+    name: 'after the cooldown one trial request closes or re-opens the circuit',
+    async run({ chain, servers }, clock) {
+      servers.gemini.handler = failure(500);
+      await chain.answerQuestion('Why is the sky blue?', 9);
+      await chain.answerQuestion('How do bees fly?', 9);
+
+      clock.now += 60000;
+      assert.deepStrictEqual(states(chain), ['half-open', 'closed', 'closed']);
+      await chain.answerQuestion('How do fish breathe?', 9);
+      assert.deepStrictEqual(states(chain), ['open', 'closed', 'closed'], 'a failed trial re-opens immediately');
+      assert.strictEqual(chain.getCircuitStatus()[0].retryAt, clock.now + 60000);
+
+      clock.now += 60000;
+      servers.gemini.handler = () => geminiReply('Back online?');
+      const result = await chain.answerQuestion('How do plants grow?', 9);
+      assert.strictEqual(result.provider, 'Gemini');
+      assert.deepStrictEqual(chain.getCircuitStatus()[0], { name: 'Gemini', state: 'closed', failures: 0, retryAt: null });
+    }
+  },
+  {
+    name: 'evaluation falls through and only unlocks by default when every provider fails',
+    async run({ chain, servers }) {
+      servers.gemini.handler = failure(503);
+      servers.openai.handler = () => openaiReply('{"understood": false, "feedback": "Almost!", "suggestion": "Try again"}');
+      const evaluation = await chain.evaluateUnderstanding('Why is the sky blue?', 'Scattering?', 'dunno');
+      assert.deepStrictEqual(evaluation, { understood: false, confidence: 0.5, feedback: 'Almost!', suggestion: 'Try again', misconceptions: [], provider: 'OpenAI' });
+
+      servers.openai.handler = failure(500);
+      servers.local.handler = () => openaiReply('not json at all');
+      const fallback = await chain.evaluateUnderstanding('Why is the sky blue?', 'Scattering?', 'dunno');
+      assert.strictEqual(fallback.understood, true);
+      assert.strictEqual(fallback.provider, null);
+    }
+  },
+  {
+    name: 'a simpler re-explanation fails over like an answer',
+    async run({ chain, servers }) {
+      servers.gemini.handler = failure(503);
+      servers.openai.handler = () => openaiReply('Think of a slide for light! Which colour slides most?');
+
+      const result = await chain.reexplainAnswer('Why is the sky blue?', 'Rayleigh scattering of shorter wavelengths...', 14, ['Space']);
+      assert.strictEqual(result.provider, 'OpenAI');
+      assert.strictEqual(result.answer, 'Think of a slide for light! Which colour slides most?');
+
+      const { messages, max_tokens: maxTokens } = servers.openai.requests[0].body;
+      assert.ok(messages[0].content.includes('helping a middle child'), 'a teen gets a younger explanation');
+      assert.ok(messages[1].content.includes('Rayleigh scattering'), 'the explanation they struggled with is included');
+      assert.strictEqual(maxTokens, 150);
+    }
+  },
+  {
+    name: "the offline judgement uses the child's strictness",
+    async run({ chain, servers }) {
+      const reply = 'idk lol whatever ok';
+      assert.strictEqual(chain.getFallbackEvaluation(reply, 'lenient').understood, true);
+      assert.strictEqual(chain.getFallbackEvaluation(reply, 'rigorous').understood, false);
+      assert.strictEqual(chain.getFallbackEvaluation(reply).understood, false, 'the default is balanced');
+      assert.strictEqual(servers.gemini.requests.length, 0, 'no provider is asked');
+    }
+  },
+  {
+    name: 'when every provider fails the answer is an error',
+    async run({ chain, servers }) {
+      servers.gemini.handler = failure(500);
+      servers.openai.handler = failure(502);
+      servers.local.handler = failure(503);
+      await assert.rejects(() => chain.answerQuestion('Why is the sky blue?', 9), /All AI providers failed/);
+    }
+  },
+  {
+    name: 'nonsense never reaches a provider and usage is combined',
+    async run({ chain, servers }) {
+      const nonsense = await chain.answerQuestion('asdfgh', 9);
+      assert.strictEqual(nonsense.isNonsense, true);
+      assert.strictEqual(servers.gemini.requests.length, 0);
+
+      let billed = 0;
+      chain.onUsage(tokens => { billed += tokens; });
+      servers.gemini.handler = failure(500);
+      await chain.answerQuestion('Why is the sky blue?', 9);
+      assert.strictEqual(billed, 15);
+      assert.strictEqual(chain.getUsageStats().byProvider.OpenAI.totalTokens, 15);
+    }
+  }
+];
+
+runTests('Testing provider failover', tests, {
+  async setup() {
+    const clock = { now: 1000000 };
+    return [await createChain(clock), clock];
+  },
+  teardown: ({ servers }) => Object.values(servers).forEach(stopMockServer)
+}).then(ok => process.exit(ok ? 0 : 1));
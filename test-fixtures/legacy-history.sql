@@ -0,0 +1,79 @@
+-- Settings database from a build with history and budget tables but before schema versioning
+CREATE TABLE parent_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pin TEXT NOT NULL DEFAULT '0000',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE child_profile (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    age INTEGER,
+    gender TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE interests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL
+);
+CREATE TABLE child_interests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    interest_id INTEGER,
+    selected BOOLEAN DEFAULT FALSE,
+    FOREIGN KEY (interest_id) REFERENCES interests (id)
+);
+CREATE TABLE emergency_unlocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ended_at DATETIME,
+    child_age INTEGER,
+    age_group TEXT,
+    stage TEXT DEFAULT 'question',
+    outcome TEXT,
+    total_tokens INTEGER DEFAULT 0,
+    estimated_cost REAL DEFAULT 0
+);
+CREATE TABLE turns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    stage TEXT,
+    question TEXT,
+    ai_answer TEXT,
+    child_reply TEXT,
+    understood BOOLEAN,
+    feedback TEXT,
+    topics TEXT,
+    engagement TEXT,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    total_tokens INTEGER DEFAULT 0,
+    estimated_cost REAL DEFAULT 0,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+);
+CREATE TABLE daily_usage (
+    day TEXT PRIMARY KEY,
+    total_tokens INTEGER DEFAULT 0,
+    estimated_cost REAL DEFAULT 0,
+    requests INTEGER DEFAULT 0
+);
+CREATE TABLE app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO parent_settings (pin) VALUES ('2468');
+INSERT INTO child_profile (age, gender) VALUES (12, 'boy');
+INSERT INTO interests (name) VALUES ('Space Travel'), ('Robotics');
+INSERT INTO child_interests (interest_id, selected) VALUES (1, 1), (2, 1);
+INSERT INTO sessions (started_at, ended_at, child_age, age_group, stage, outcome, total_tokens)
+    VALUES ('2025-04-01 15:00:00', '2025-04-01 15:03:00', 12, 'middle', 'complete', 'unlocked', 210);
+INSERT INTO turns (session_id, stage, question, ai_answer, topics, total_tokens)
+    VALUES (1, 'understanding', 'How do rockets work?', 'They push gas out the back! What pushes you forward on a swing?', '["space"]', 210);
+INSERT INTO daily_usage (day, total_tokens, estimated_cost, requests) VALUES ('2025-04-01', 210, 0.0003, 2);
+INSERT INTO app_settings (key, value) VALUES ('budget_policy', '"lock"');
@@ -0,0 +1,34 @@
+-- Settings database as created by the first release (no schema_version, plaintext default PIN)
+CREATE TABLE parent_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pin TEXT NOT NULL DEFAULT '0000',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE child_profile (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    age INTEGER,
+    gender TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE interests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL
+);
+CREATE TABLE child_interests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    interest_id INTEGER,
+    selected BOOLEAN DEFAULT FALSE,
+    FOREIGN KEY (interest_id) REFERENCES interests (id)
+);
+CREATE TABLE emergency_unlocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO parent_settings (pin) VALUES ('0000');
+INSERT INTO child_profile (age, gender) VALUES (8, 'girl');
+INSERT INTO interests (name) VALUES ('Science'), ('Art'), ('Dinosaurs');
+INSERT INTO child_interests (interest_id, selected) VALUES (1, 0), (2, 0), (3, 1);
+INSERT INTO emergency_unlocks (timestamp) VALUES ('2025-03-01 08:00:00'), ('2025-03-02 08:00:00');
@@ -0,0 +1,68 @@
+-- Settings database at schema v2 (history tables, no usage or settings tables, plaintext PIN)
+CREATE TABLE schema_version (
+    version INTEGER NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE parent_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pin TEXT NOT NULL DEFAULT '0000',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE child_profile (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    age INTEGER,
+    gender TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE interests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL
+);
+CREATE TABLE child_interests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    interest_id INTEGER,
+    selected BOOLEAN DEFAULT FALSE,
+    FOREIGN KEY (interest_id) REFERENCES interests (id)
+);
+CREATE TABLE emergency_unlocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ended_at DATETIME,
+    child_age INTEGER,
+    age_group TEXT,
+    stage TEXT DEFAULT 'question',
+    outcome TEXT,
+    total_tokens INTEGER DEFAULT 0,
+    estimated_cost REAL DEFAULT 0
+);
+CREATE TABLE turns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    stage TEXT,
+    question TEXT,
+    ai_answer TEXT,
+    child_reply TEXT,
+    understood BOOLEAN,
+    feedback TEXT,
+    topics TEXT,
+    engagement TEXT,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    total_tokens INTEGER DEFAULT 0,
+    estimated_cost REAL DEFAULT 0,
+    FOREIGN KEY (session_id) REFERENCES sessions (id)
+);
+
+INSERT INTO schema_version (version) VALUES (1), (2);
+INSERT INTO parent_settings (pin) VALUES ('1357');
+INSERT INTO child_profile (age, gender) VALUES (15, NULL);
+INSERT INTO interests (name) VALUES ('Chess');
+INSERT INTO child_interests (interest_id, selected) VALUES (1, 1);
+INSERT INTO sessions (child_age, age_group, outcome) VALUES (15, 'teen', 'skipped');
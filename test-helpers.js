@@ -0,0 +1,145 @@
+// test-helpers.js - What the test-*.js scripts share: a throwaway settings database, a mock AI
+// provider API and the runner that prints each result
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./database');
+
+let databaseCount = 0;
+
+/**
+ * Path for a throwaway database in the temp directory
+ * @param {string} name - Tells the test scripts' files apart, e.g. 'profiles'
+ * @returns {string} A path no other test in this run uses
+ */
+function tempDatabasePath(name) {
+  return path.join(os.tmpdir(), `yesbut-${name}-${process.pid}-${Date.now()}-${++databaseCount}.db`);
+}
+
+// Delete a database file with the temp and backup copies saving leaves beside it
+function removeDatabaseFiles(dbPath) {
+  const dir = path.dirname(dbPath);
+  const base = path.basename(dbPath);
+  fs.readdirSync(dir)
+    .filter(file => file.startsWith(base))
+    .forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+}
+
+/**
+ * A fresh settings database with every migration applied - close it with closeTestDatabase
+ * @param {string} name - As for tempDatabasePath
+ * @returns {Promise<DatabaseService>}
+ */
+async function openTestDatabase(name) {
+  const db = new DatabaseService(tempDatabasePath(name));
+  await db.initializeDatabase();
+  return db;
+}
+
+function closeTestDatabase(db) {
+  db.close();
+  removeDatabaseFiles(db.dbPath);
+}
+
+/**
+ * Stand-in for a provider's HTTP API. Each request is kept in server.requests as { url, headers, body }
+ * and answered by server.handler(requestNumber), which returns { status, data, delay } for JSON or
+ * { events, cutAfter } for a server-sent event stream that drops the connection after cutAfter events.
+ * @returns {Promise<http.Server>} Listening on a free local port
+ */
+function startMockServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      const { status, data, delay = 0, events, cutAfter } = server.handler(server.requests.length);
+
+      // Server-sent events, optionally dropping the connection part way through
+      if (events) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        events.slice(0, cutAfter).forEach(event => {
+          res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+        });
+        if (cutAfter !== undefined) {
+          setTimeout(() => res.destroy(), 20);
+        } else {
+          res.end();
+        }
+        return;
+      }
+
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      }, delay);
+    });
+  });
+  server.requests = [];
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function stopMockServer(server) {
+  server.closeAllConnections();
+  server.close();
+}
+
+/**
+ * Run the tests one at a time, printing ✅ or ❌ for each and the tally at the end
+ * @param {string} title - Printed above the results
+ * @param {Array<{name: string, run: Function}>} tests
+ * @param {Object} hooks - { setup(test) } returns the arguments for test.run,
+ *   { teardown(...args) } gets the same arguments once the test has passed or failed
+ * @returns {Promise<boolean>} Whether every test passed
+ */
+async function runTests(title, tests, { setup = () => [], teardown = () => {} } = {}) {
+  console.log(`=== ${title} ===\n`);
+  let passed = 0;
+
+  for (const test of tests) {
+    const args = await setup(test);
+
+    try {
+      await test.run(...args);
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${test.name}`);
+      console.log(`   ${error.message}`);
+    } finally {
+      await teardown(...args);
+    }
+  }
+
+  console.log(`\n${passed}/${tests.length} tests passed`);
+  return passed === tests.length;
+}
+
+/**
+ * runTests with a fresh database for each test, passed to test.run
+ * @param {string} title - Printed above the results
+ * @param {string} name - As for tempDatabasePath
+ * @param {Array<{name: string, run: Function}>} tests
+ * @returns {Promise<boolean>} Whether every test passed
+ */
+function runDatabaseTests(title, name, tests) {
+  return runTests(title, tests, {
+    setup: async () => [await openTestDatabase(name)],
+    teardown: closeTestDatabase
+  });
+}
+
+module.exports = {
+  tempDatabasePath,
+  removeDatabaseFiles,
+  openTestDatabase,
+  closeTestDatabase,
+  startMockServer,
+  stopMockServer,
+  runTests,
+  runDatabaseTests
+};
@@ -0,0 +1,103 @@
+// test-intent.js - Sorting replies to the follow-up question, against labelled child utterances
+const assert = require('assert');
+const { AIService } = require('./ai-service');
+const IntentClassifier = require('./intent-classifier');
+const { utterances } = require('./test-fixtures/child-utterances.json');
+const { runTests } = require('./test-helpers');
+
+// A model check that always gives the same verdict (or error) and counts what it was sent
+function modelCheck(verdict) {
+  const check = { calls: [] };
+  check.classify = async (message, followUpQuestion) => {
+    check.calls.push([message, followUpQuestion]);
+    if (verdict instanceof Error) throw verdict;
+    return verdict;
+  };
+  return check;
+}
+
+const DOGS = { followUpQuestion: 'Why do you think dogs sniff everything?' };
+
+const tests = [
+  {
+    name: 'every labelled utterance is classified correctly by the heuristics',
+    async run() {
+      const classifier = new IntentClassifier();
+      utterances.forEach(({ followUp, answer, message, intent }) => {
+        assert.strictEqual(classifier.classifyLocally(message, { followUpQuestion: followUp, answer }).intent, intent, message);
+      });
+      assert.deepStrictEqual(IntentClassifier.INTENTS.filter(intent => !utterances.some(entry => entry.intent === intent)), [], 'every intent is covered');
+    }
+  },
+  {
+    name: 'questions without a question word or mark are no longer missed',
+    async run() {
+      const classifier = new IntentClassifier();
+      ['Can dogs see colors?', 'is the moon hollow', 'Are volcanoes hot inside'].forEach(message => {
+        assert.strictEqual(classifier.classifyLocally(message, { followUpQuestion: 'Why do you think bees need nectar?' }).intent, 'new_question', message);
+      });
+    }
+  },
+  {
+    name: 'only a question on the same subject is unsure',
+    async run() {
+      const classifier = new IntentClassifier();
+      assert.deepStrictEqual(classifier.classifyLocally('Why is the sea salty?', DOGS), { intent: 'new_question', confident: true, layer: 'heuristic' });
+      assert.deepStrictEqual(classifier.classifyLocally('Can dogs see colors?', DOGS), { intent: 'new_question', confident: false, layer: 'heuristic' });
+      assert.deepStrictEqual(classifier.classifyLocally('do dogs sniff everything?', DOGS), { intent: 'answer_to_followup', confident: false, layer: 'heuristic' });
+      assert.strictEqual(classifier.classifyLocally('what is a predator', { followUpQuestion: 'What do lions eat?' }).intent, 'new_question',
+        'a word the child was not told about is a new question');
+    }
+  },
+  {
+    name: 'the model settles unsure replies only',
+    async run() {
+      const model = modelCheck({ intent: 'answer_to_followup' });
+      const classifier = new IntentClassifier({ modelCheck: true }, model);
+      const light = { followUpQuestion: 'Do you think the moon makes its own light?' };
+
+      assert.strictEqual((await classifier.classify('Why is the sea salty?', light)).layer, 'heuristic');
+      assert.strictEqual(model.calls.length, 0, 'a confident heuristic costs no request');
+
+      assert.deepStrictEqual(await classifier.classify('does the moon reflect the sun?', light, { modelFollowUp: 'Does the [name] moon shine?' }),
+        { intent: 'answer_to_followup', confident: true, layer: 'model' });
+      assert.deepStrictEqual(model.calls, [['does the moon reflect the sun?', 'Does the [name] moon shine?']]);
+    }
+  },
+  {
+    name: 'a failed, skipped or disabled model check leaves the heuristic result',
+    async run() {
+      const failing = modelCheck(new Error('All AI providers failed'));
+      const classifier = new IntentClassifier({ modelCheck: true }, failing);
+      assert.strictEqual((await classifier.classify('Can dogs see colors?', DOGS)).layer, 'heuristic');
+      assert.strictEqual((await classifier.classify('Can dogs see colors?', DOGS, { useModel: false })).intent, 'new_question');
+      assert.strictEqual(failing.calls.length, 1);
+
+      const disabled = modelCheck({ intent: 'off_topic' });
+      await new IntentClassifier({}, disabled).classify('Can dogs see colors?', DOGS);
+      assert.strictEqual(disabled.calls.length, 0, 'the model check is off unless configured');
+    }
+  },
+  {
+    name: 'providers classify with a structured prompt',
+    async run() {
+      const service = new AIService('test-key');
+      let prompt;
+      service.sendMessage = async (request, options) => {
+        prompt = { ...request, timeout: options.timeout };
+        return { text: '```json\n{"intent": "new_question",}\n```', usage: { total_tokens: 9 } };
+      };
+
+      assert.deepStrictEqual(await service.classifyIntent('Can dogs see colors?', DOGS.followUpQuestion), { intent: 'new_question' });
+      assert.strictEqual(prompt.schema, IntentClassifier.INTENT_SCHEMA);
+      assert.strictEqual(prompt.timeout, 5000);
+      assert.ok(prompt.user.includes(DOGS.followUpQuestion));
+      assert.strictEqual(service.getUsageStats().totalTokens, 9, 'the check counts against the budget');
+
+      service.sendMessage = async () => ({ text: '{"intent": "question"}', usage: {} });
+      await assert.rejects(service.classifyIntent('Why?', null), /Malformed intent check/);
+    }
+  }
+];
+
+runTests('Testing reply intent classification', tests).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,76 @@
+// test-ipc-validation.js - What the renderer may send over each IPC channel
+const assert = require('assert');
+const { PARENT_CHANNELS, validateIpcArgs } = require('./ipc-validation');
+const { runTests } = require('./test-helpers');
+
+const question = (overrides = {}) => [{ message: 'Why is the sky blue?', stage: 'question', conversation: [], streamId: 1, ...overrides }];
+
+const tests = [
+  {
+    name: 'messages from the chat window are checked',
+    run() {
+      assert.strictEqual(validateIpcArgs('process-message', question()), true);
+      assert.strictEqual(validateIpcArgs('process-message', question({ streamId: undefined, stage: 'understanding' })), true);
+      assert.strictEqual(validateIpcArgs('process-message', question({ conversation: [{ user: 'Hi', ai: 'Hello! Why?' }] })), true);
+
+      assert.strictEqual(validateIpcArgs('process-message', question({ message: '   ' })), false);
+      assert.strictEqual(validateIpcArgs('process-message', question({ message: 'x'.repeat(1001) })), false);
+      assert.strictEqual(validateIpcArgs('process-message', question({ stage: 'complete' })), false);
+      assert.strictEqual(validateIpcArgs('process-message', question({ conversation: 'lots' })), false);
+      assert.strictEqual(validateIpcArgs('process-message', question({ conversation: [{ user: 42 }] })), false);
+      assert.strictEqual(validateIpcArgs('process-message', []), false);
+    }
+  },
+  {
+    name: 'settings from Parent Settings are checked',
+    run() {
+      const profile = { id: 2, name: 'Ava', age: '7', gender: null, maxConversationLength: undefined, strictness: 'balanced', failurePolicy: 'offline', privacyLevel: 'strict', unlockedMinutes: '45' };
+      assert.strictEqual(validateIpcArgs('update-child-profile', [profile]), true);
+      assert.strictEqual(validateIpcArgs('update-child-profile', [{ ...profile, id: '2; DROP TABLE' }]), false);
+      assert.strictEqual(validateIpcArgs('update-child-profile', [{ ...profile, name: 'A'.repeat(41) }]), false);
+      assert.strictEqual(validateIpcArgs('add-child-profile', [{ name: 'Sam' }]), true);
+      assert.strictEqual(validateIpcArgs('add-child-profile', [{}]), false);
+
+      assert.strictEqual(validateIpcArgs('update-interests', [[{ id: 3, selected: true }], 2]), true);
+      assert.strictEqual(validateIpcArgs('update-interests', [[{ id: 3, selected: 'yes' }], 2]), false);
+      assert.strictEqual(validateIpcArgs('update-budget-settings', [{ dailyLimit: '1.5', policy: 'offline' }]), true);
+      assert.strictEqual(validateIpcArgs('update-budget-settings', [{ dailyLimit: '-1', policy: 'offline' }]), false);
+
+      const rule = { days: [1, 2], start: '15:00', end: '18:00', action: 'question', every: '60', enabled: true };
+      assert.strictEqual(validateIpcArgs('update-lock-schedule', [[rule]]), true);
+      assert.strictEqual(validateIpcArgs('update-lock-schedule', [[{ ...rule, days: 'weekdays' }]]), false);
+      assert.strictEqual(validateIpcArgs('update-lock-schedule', [Array(51).fill(rule)]), false);
+    }
+  },
+  {
+    name: 'PINs, ids and argument counts',
+    run() {
+      assert.strictEqual(validateIpcArgs('verify-parent-pin', ['1234']), true);
+      assert.strictEqual(validateIpcArgs('verify-parent-pin', ['12a4']), true, 'a wrong PIN still counts as an attempt');
+      assert.strictEqual(validateIpcArgs('verify-parent-pin', ['12345']), false);
+      assert.strictEqual(validateIpcArgs('update-parent-pin', ['12a4']), false);
+      assert.strictEqual(validateIpcArgs('set-initial-pin', [1234]), false);
+
+      assert.strictEqual(validateIpcArgs('select-child', [2]), true);
+      assert.strictEqual(validateIpcArgs('select-child', [null]), false);
+      assert.strictEqual(validateIpcArgs('get-child-profile', [null]), true);
+      assert.strictEqual(validateIpcArgs('get-child-profile', [NaN]), false);
+
+      assert.strictEqual(validateIpcArgs('emergency-unlock', []), true);
+      assert.strictEqual(validateIpcArgs('emergency-unlock', [{ force: true }]), false);
+      assert.strictEqual(validateIpcArgs('end-parent-session', []), true);
+      assert.strictEqual(validateIpcArgs('run-shell-command', []), false, 'unknown channels are rejected');
+    }
+  },
+  {
+    name: 'anything that changes settings or unlocks needs the parent PIN',
+    run() {
+      ['update-child-profile', 'update-parent-pin', 'update-lock-schedule', 'get-blocked-questions', 'get-wellbeing-alerts', 'mark-wellbeing-alerts-seen', 'emergency-unlock', 'pause-locking', 'quit-app']
+        .forEach(channel => assert.ok(PARENT_CHANNELS.includes(channel), channel));
+      ['process-message', 'verify-parent-pin', 'get-example-questions', 'select-child', 'end-parent-session']
+        .forEach(channel => assert.ok(!PARENT_CHANNELS.includes(channel), channel));
+    }
+  }
+];
+
+runTests('Testing IPC input validation', tests).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,101 @@
+// test-learning-history.js - The parent's learning history timeline, newest first and filterable by topic
+const assert = require('assert');
+const ConversationTracker = require('./conversation-tracker');
+const { runDatabaseTests } = require('./test-helpers');
+
+// One finished session: the question and answer, then the child's reply to the follow-up
+function recordSession(tracker, question, reply, understood = true) {
+  const sessionId = tracker.startSession({ childAge: 9, ageGroup: 'young' });
+  tracker.trackConversation({ sessionId, stage: 'answer', question, aiResponse: `An answer about: ${question}` });
+  tracker.trackConversation({ sessionId, stage: 'understanding', childFollowUp: reply, evaluation: { understood, feedback: 'Thanks!' } });
+  tracker.endSession(sessionId, understood ? 'unlocked' : 'abandoned');
+  return sessionId;
+}
+
+function backdate(db, sessionId, startedAt) {
+  db.db.run('UPDATE sessions SET started_at = ? WHERE id = ?', [startedAt, sessionId]);
+}
+
+const tests = [
+  {
+    name: 'sessions come newest first with their day, question, answer and reply',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const older = recordSession(tracker, 'Why do birds sing?', 'to find a friend');
+      const newer = recordSession(tracker, 'How far away is the moon?', 'really far');
+      backdate(db, older, '2026-03-01 10:00:00');
+      backdate(db, newer, '2026-03-02 10:00:00');
+
+      const history = db.getLearningHistory();
+      assert.deepStrictEqual(history.map(session => session.id), [newer, older]);
+      assert.ok(/^\d{4}-\d{2}-\d{2}$/.test(history[0].day), `unexpected day ${history[0].day}`);
+      assert.ok(/^\d{2}:\d{2}:\d{2}$/.test(history[0].start_time), `unexpected start time ${history[0].start_time}`);
+      assert.strictEqual(history[0].outcome, 'unlocked');
+
+      const [asked, replied] = history[1].turns;
+      assert.strictEqual(asked.question, 'Why do birds sing?');
+      assert.strictEqual(asked.ai_answer, 'An answer about: Why do birds sing?');
+      assert.strictEqual(replied.child_reply, 'to find a friend');
+    }
+  },
+  {
+    name: 'sessions with no turns are left out',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      tracker.endSession(tracker.startSession({ childAge: 9, ageGroup: 'young' }), 'skipped');
+      recordSession(tracker, 'Why do birds sing?', 'to find a friend');
+
+      assert.strictEqual(db.getLearningHistory().length, 1);
+    }
+  },
+  {
+    name: 'the topic filter only returns sessions that touched the topic',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const space = recordSession(tracker, 'How do rockets reach space?', 'lots of fuel');
+      recordSession(tracker, 'Who built the first castle?', 'a king');
+
+      const history = db.getLearningHistory('space');
+      assert.deepStrictEqual(history.map(session => session.id), [space]);
+      assert.ok(history[0].topics.includes('space'));
+      assert.strictEqual(db.getLearningHistory('art').length, 0);
+    }
+  },
+  {
+    name: 'wrong answers are counted as failed attempts',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const sessionId = recordSession(tracker, 'Why is the sea salty?', 'fish cry', false);
+      tracker.trackConversation({ sessionId, stage: 'understanding', childFollowUp: 'rain washes salt in', evaluation: { understood: true } });
+
+      const [session] = db.getLearningHistory();
+      assert.strictEqual(session.failed_attempts, 1);
+      assert.strictEqual(session.turns.length, 3);
+    }
+  },
+  {
+    name: 'the limit keeps only the most recent sessions',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const ids = ['Why do cats purr?', 'Why do dogs bark?', 'Why do cows moo?']
+        .map(question => recordSession(tracker, question, 'to talk'));
+      ids.forEach((id, day) => backdate(db, id, `2026-03-0${day + 1} 10:00:00`));
+
+      assert.deepStrictEqual(db.getLearningHistory(null, 2).map(session => session.id), [ids[2], ids[1]]);
+    }
+  },
+  {
+    name: 'the topic list covers every topic a question can be filed under',
+    run() {
+      const tracker = new ConversationTracker(null);
+      const categories = tracker.getTopicCategories();
+      assert.ok(categories.includes('general'), 'the fallback topic should be offered');
+      ['How do magnets work?', 'Why do birds sing?', 'Who built the pyramids?', 'Can we live on mars?', 'hmm']
+        .flatMap(question => tracker.analyzeQuestionTopics(question))
+        .forEach(topic => assert.ok(categories.includes(topic), `${topic} is missing from the filter`));
+      assert.strictEqual(new Set(categories).size, categories.length, 'no duplicate topics');
+    }
+  }
+];
+
+runDatabaseTests('Testing learning history', 'learning-history', tests).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,120 @@
+// test-lock-schedule.js - Weekly lock rules stored in the database and evaluated against a fake clock
+const assert = require('assert');
+const LockSchedule = require('./lock-schedule');
+const { runDatabaseTests } = require('./test-helpers');
+
+// Monday 19 October 2026 at the given time, plus whole days
+function at(time, days = 0) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2026, 9, 19 + days, hours, minutes);
+}
+
+const SCHOOL_NIGHTS = { days: [1, 2, 3, 4, 5], start: '15:00', end: '18:00', action: 'question', every: 60 };
+const WEEKENDS = { days: [0, 6], start: '00:00', end: '00:00', action: 'question', every: 120 };
+const QUIET_HOURS = { days: [0, 1, 2, 3, 4, 5, 6], start: '21:00', end: '07:00', action: 'block' };
+
+const tests = [
+  {
+    name: 'with no rules the lock screen shows every time',
+    run(db) {
+      const schedule = new LockSchedule(db);
+      assert.deepStrictEqual(schedule.getState(at('10:00')), { action: 'question', rule: null, unlockedMinutes: null });
+      assert.strictEqual(schedule.hasRules(), false);
+    }
+  },
+  {
+    name: 'rules are saved to the database and read back',
+    run(db) {
+      const schedule = new LockSchedule(db);
+      assert.ok(schedule.saveRules([SCHOOL_NIGHTS, { ...QUIET_HOURS, enabled: false }]));
+
+      const rules = new LockSchedule(db).getRules();
+      assert.deepStrictEqual(rules.map(({ id, ...rule }) => rule), [
+        { ...SCHOOL_NIGHTS, enabled: true },
+        { ...QUIET_HOURS, every: null, enabled: false }
+      ]);
+      assert.ok(schedule.saveRules([WEEKENDS]));
+      assert.strictEqual(schedule.getRules().length, 1, 'saving replaces the whole list');
+    }
+  },
+  {
+    name: 'weekday afternoons, weekends and quiet hours',
+    run(db) {
+      const clock = { time: at('15:30') };
+      const schedule = new LockSchedule(db, { now: () => clock.time });
+      schedule.saveRules([SCHOOL_NIGHTS, WEEKENDS, QUIET_HOURS]);
+      const action = () => schedule.getState().action;
+
+      assert.strictEqual(action(), 'question');
+      assert.strictEqual(schedule.getState().unlockedMinutes, 60);
+      clock.time = at('14:59');
+      assert.strictEqual(action(), 'free');
+      clock.time = at('18:00');
+      assert.strictEqual(action(), 'free', 'the end time is not part of the window');
+      clock.time = at('21:00');
+      assert.strictEqual(action(), 'block');
+      clock.time = at('06:59', 1);
+      assert.strictEqual(action(), 'block', 'quiet hours run past midnight');
+      clock.time = at('07:00', 1);
+      assert.strictEqual(action(), 'free');
+
+      clock.time = at('11:00', 5);
+      assert.deepStrictEqual([action(), schedule.getState().unlockedMinutes], ['question', 120], 'Saturday');
+      clock.time = at('22:00', 6);
+      assert.strictEqual(action(), 'block', 'quiet time beats the weekend rule');
+    }
+  },
+  {
+    name: 'overnight windows belong to the day they start',
+    run(db) {
+      const schedule = new LockSchedule(db);
+      schedule.saveRules([{ days: [0, 1, 2, 3, 4], start: '21:00', end: '07:00', action: 'block' }]);
+
+      assert.strictEqual(schedule.getState(at('06:00', 4)).action, 'block', 'Friday morning follows Thursday night');
+      assert.strictEqual(schedule.getState(at('22:00', 4)).action, 'free', 'Friday night is not a school night');
+      assert.strictEqual(schedule.getState(at('06:00', 5)).action, 'free', 'so Saturday morning is free');
+      assert.strictEqual(schedule.getState(at('06:00', 7)).action, 'block', 'Monday morning follows Sunday night');
+    }
+  },
+  {
+    name: 'the rule asking most often wins',
+    run(db) {
+      const schedule = new LockSchedule(db);
+      schedule.saveRules([
+        { days: [1], start: '08:00', end: '20:00', action: 'question', every: 90 },
+        { days: [1], start: '15:00', end: '17:00', action: 'question', every: 30 }
+      ]);
+
+      assert.strictEqual(schedule.getState(at('16:00')).unlockedMinutes, 30);
+      assert.strictEqual(schedule.getState(at('18:00')).unlockedMinutes, 90);
+    }
+  },
+  {
+    name: 'invalid rules are rejected without touching the saved schedule',
+    run(db) {
+      const schedule = new LockSchedule(db);
+      schedule.saveRules([SCHOOL_NIGHTS]);
+
+      [
+        { ...SCHOOL_NIGHTS, days: [] },
+        { ...SCHOOL_NIGHTS, start: '25:00' },
+        { ...SCHOOL_NIGHTS, end: '6pm' },
+        { ...SCHOOL_NIGHTS, every: '' },
+        { ...SCHOOL_NIGHTS, action: 'party' }
+      ].forEach(rule => assert.strictEqual(schedule.saveRules([SCHOOL_NIGHTS, rule]), false, JSON.stringify(rule)));
+
+      assert.strictEqual(schedule.getRules().length, 1);
+      assert.deepStrictEqual(LockSchedule.normalizeRule({ ...QUIET_HOURS, days: ['6', 6, 0, 9] }).days, [0, 6]);
+    }
+  },
+  {
+    name: 'rules are described for parents',
+    run() {
+      assert.strictEqual(LockSchedule.describeRule(SCHOOL_NIGHTS), 'Mon-Fri 15:00-18:00: a question every 60 min');
+      assert.strictEqual(LockSchedule.describeRule(WEEKENDS), 'Sun, Sat 00:00-00:00: a question every 120 min');
+      assert.strictEqual(LockSchedule.describeRule(QUIET_HOURS), 'Every day 21:00-07:00: stay locked');
+    }
+  }
+];
+
+runDatabaseTests('Testing the lock schedule', 'schedule', tests).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,188 @@
+// test-migrations.js - Upgrade settings databases from older releases through DatabaseService migrations
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const DatabaseService = require('./database');
+const { tempDatabasePath, removeDatabaseFiles, runTests } = require('./test-helpers');
+
+const FIXTURES_DIR = path.join(__dirname, 'test-fixtures');
+const LATEST_VERSION = DatabaseService.MIGRATIONS[DatabaseService.MIGRATIONS.length - 1].version;
+
+let SQL = null;
+
+// Build a database file from a fixture script, as an older release would have left it on disk
+function writeFixture(name) {
+  const dbPath = tempDatabasePath(`migration-${name}`);
+  const fixture = new SQL.Database();
+  fixture.exec(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.sql`), 'utf8'));
+  fs.writeFileSync(dbPath, Buffer.from(fixture.export()));
+  fixture.close();
+  return dbPath;
+}
+
+async function openDatabase(dbPath) {
+  const db = new DatabaseService(dbPath);
+  await db.initializeDatabase();
+  return db;
+}
+
+function tableNames(db) {
+  return db.queryAll("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'sqlite_sequence' ORDER BY name")
+    .map(row => row.name);
+}
+
+const tests = [
+  {
+    name: 'fresh install is created at the latest version without a backup',
+    async run(dbPath) {
+      fs.rmSync(dbPath, { force: true });
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.getSchemaVersion(), LATEST_VERSION);
+      assert.strictEqual(db.hasPin(), false, 'a fresh install should ask the parent for a PIN');
+      assert.ok(db.getAllInterests().length > 0, 'interests should be seeded');
+      assert.ok(!fs.existsSync(`${dbPath}.v0.bak`), 'nothing to back up on a fresh install');
+      return db;
+    }
+  },
+  {
+    name: 'first-release database keeps its data and the default PIN must be changed',
+    fixture: 'legacy-original',
+    async run(dbPath) {
+      const original = fs.readFileSync(dbPath);
+      const db = await openDatabase(dbPath);
+
+      assert.strictEqual(db.getSchemaVersion(), LATEST_VERSION);
+      assert.deepStrictEqual(db.getAllInterests().map(interest => interest.name), ['Art', 'Dinosaurs', 'Science']);
+      assert.deepStrictEqual(db.getSelectedInterests(), ['Dinosaurs']);
+      assert.deepStrictEqual([db.getChildProfile().age, db.getChildProfile().gender], [8, 'girl']);
+      assert.strictEqual(db.getEmergencyUnlockCount(), 2);
+
+      assert.ok(db.getStoredPin().startsWith('scrypt$'), 'PIN should be hashed');
+      assert.ok(db.verifyPin('0000'));
+      assert.strictEqual(db.getPinStatus().mustChangePin, true);
+
+      assert.ok(fs.readFileSync(`${dbPath}.v0.bak`).equals(original), 'backup should match the pre-migration file');
+      return db;
+    }
+  },
+  {
+    name: 'pre-versioning database with history keeps sessions, usage and settings',
+    fixture: 'legacy-history',
+    async run(dbPath) {
+      const db = await openDatabase(dbPath);
+
+      assert.strictEqual(db.getSchemaVersion(), LATEST_VERSION);
+      assert.deepStrictEqual(db.getSelectedInterests().sort(), ['Robotics', 'Space Travel']);
+      assert.strictEqual(db.getSessionTurns(1)[0].question, 'How do rockets work?');
+      assert.strictEqual(db.getLearningHistory('space').length, 1);
+      assert.strictEqual(db.queryAll("SELECT requests FROM daily_usage WHERE day = '2025-04-01'")[0].requests, 2);
+      assert.strictEqual(db.getSetting('budget_policy'), 'lock');
+      assert.strictEqual(db.getLearningHistory(null, 50, db.getChildProfile().id).length, 1, 'history should belong to the first child');
+      assert.strictEqual(db.getChildProfile().name, 'Child');
+
+      assert.ok(db.verifyPin('2468'));
+      assert.strictEqual(db.getPinStatus().mustChangePin, false, 'only the well-known default PIN must be changed');
+      assert.ok(fs.existsSync(`${dbPath}.v0.bak`));
+      return db;
+    }
+  },
+  {
+    name: 'versioned database only runs the missing steps',
+    fixture: 'schema-v2',
+    async run(dbPath) {
+      const db = await openDatabase(dbPath);
+
+      const applied = db.queryAll('SELECT version FROM schema_version ORDER BY version').map(row => row.version);
+      assert.deepStrictEqual(applied, DatabaseService.MIGRATIONS.map(migration => migration.version));
+      assert.ok(tableNames(db).includes('app_settings'));
+      assert.deepStrictEqual(db.getSelectedInterests(), ['Chess']);
+      assert.strictEqual(db.queryAll('SELECT outcome FROM sessions')[0].outcome, 'skipped');
+      assert.ok(db.verifyPin('1357'));
+      assert.ok(fs.existsSync(`${dbPath}.v2.bak`));
+      assert.ok(!fs.existsSync(`${dbPath}.v0.bak`));
+      return db;
+    }
+  },
+  {
+    name: 'reopening an up-to-date database is a no-op',
+    fixture: 'legacy-original',
+    async run(dbPath) {
+      const first = await openDatabase(dbPath);
+      first.close();
+      fs.rmSync(`${dbPath}.v0.bak`);
+
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.queryAll('SELECT COUNT(*) AS count FROM schema_version')[0].count, LATEST_VERSION);
+      assert.ok(db.verifyPin('0000'), 'an already hashed PIN should not be re-hashed');
+      assert.ok(!fs.readdirSync(path.dirname(dbPath)).some(file => file.startsWith(`${path.basename(dbPath)}.v`)),
+        'no backup when nothing is migrated');
+      return db;
+    }
+  },
+  {
+    name: 'a failing step is rolled back and leaves the file untouched',
+    fixture: 'legacy-original',
+    async run(dbPath) {
+      const first = await openDatabase(dbPath);
+      first.close();
+      const migrated = fs.readFileSync(dbPath);
+
+      DatabaseService.MIGRATIONS.push({
+        version: LATEST_VERSION + 1,
+        description: 'Broken step',
+        up(db) {
+          db.exec('CREATE TABLE half_done (id INTEGER)');
+          db.exec('INSERT INTO missing_table VALUES (1)');
+        }
+      });
+
+      try {
+        await assert.rejects(openDatabase(dbPath));
+      } finally {
+        DatabaseService.MIGRATIONS.pop();
+      }
+      assert.ok(fs.readFileSync(dbPath).equals(migrated), 'failed migration must not be saved');
+
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.getSchemaVersion(), LATEST_VERSION);
+      assert.ok(!tableNames(db).includes('half_done'), 'partial changes should be rolled back');
+      assert.deepStrictEqual(db.getSelectedInterests(), ['Dinosaurs']);
+      return db;
+    }
+  },
+  {
+    name: 'database from a newer app version is left alone',
+    fixture: 'legacy-original',
+    async run(dbPath) {
+      const first = await openDatabase(dbPath);
+      first.db.run('INSERT INTO schema_version (version) VALUES (?)', [LATEST_VERSION + 10]);
+      first.saveDatabase();
+      first.close();
+
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.getSchemaVersion(), LATEST_VERSION + 10);
+      assert.ok(db.verifyPin('0000'));
+      return db;
+    }
+  }
+];
+
+// Each test hands back the database it left open
+const closingTests = tests.map(test => ({
+  ...test,
+  async run(dbPath) {
+    const db = await test.run(dbPath);
+    db.close();
+  }
+}));
+
+initSqlJs()
+  .then(sql => {
+    SQL = sql;
+    return runTests('Testing settings database migrations', closingTests, {
+      setup: test => [test.fixture ? writeFixture(test.fixture) : tempDatabasePath('migration-fresh')],
+      teardown: removeDatabaseFiles
+    });
+  })
+  .then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,103 @@
+// test-moderation.js - Checking AI answers before the child sees them, against a corpus of bad outputs
+const assert = require('assert');
+const { AIService } = require('./ai-service');
+const { MODERATION_FALLBACK, moderateAnswer } = require('./answer-moderation');
+const corpus = require('./test-fixtures/answer-corpus.json');
+const { runTests } = require('./test-helpers');
+
+const SAFE_ANSWER = 'Bees make honey from flower nectar! 🐝 Why do you think they need so much of it?';
+const UNSAFE_ANSWER = 'Bees are amazing - read more at www.bees.com! What is your full name?';
+
+// A service whose replies come from a list, streamed a few characters at a time
+function cannedService(replies, config = {}) {
+  const service = new AIService('test-key', { moderationRetries: 1, ...config });
+  service.prompts = [];
+  service.sendMessage = async (prompt, options = {}) => {
+    service.prompts.push(prompt);
+    const text = replies.shift();
+    if (options.onToken) {
+      for (let end = 4; end < text.length + 4; end += 4) {
+        options.onToken(text.slice(end - 4, end), text.slice(0, end));
+      }
+    }
+    return { text, usage: { total_tokens: 30, prompt_tokens: 20, completion_tokens: 10 } };
+  };
+  return service;
+}
+
+const tests = [
+  {
+    name: 'every bad answer in the corpus is caught for the right reason',
+    run() {
+      corpus.unsafe.forEach(({ ageGroup, kind, text }) => {
+        const review = moderateAnswer(text, ageGroup);
+        assert.strictEqual(review.safe, false, text);
+        assert.ok(review.problems.some(problem => problem.kind === kind), `${kind}: ${text}`);
+      });
+    }
+  },
+  {
+    name: 'ordinary answers in the corpus get through',
+    run() {
+      corpus.safe.forEach(({ ageGroup, text }) => {
+        assert.deepStrictEqual(moderateAnswer(text, ageGroup), { safe: true, problems: [] }, text);
+      });
+    }
+  },
+  {
+    name: 'younger children get a stricter word list',
+    run() {
+      const answer = "Don't worry, it's not a stupid question! Why do you think cats purr?";
+      assert.strictEqual(moderateAnswer(answer, 'teen').safe, true);
+      assert.strictEqual(moderateAnswer(answer, 'young').safe, false);
+      assert.strictEqual(moderateAnswer(answer, undefined).safe, false, 'an unknown age group gets the strictest list');
+    }
+  },
+  {
+    name: 'a flagged answer is regenerated with the problems named',
+    async run() {
+      const service = cannedService([UNSAFE_ANSWER, SAFE_ANSWER]);
+      const result = await service.answerQuestion('How do bees make honey?', 7);
+
+      assert.strictEqual(result.answer, SAFE_ANSWER);
+      assert.strictEqual(result.moderated, undefined);
+      assert.strictEqual(service.prompts.length, 2);
+      assert.ok(service.prompts[1].user.includes('link (www.bees.com)'), service.prompts[1].user);
+      assert.ok(service.prompts[1].user.includes('personal data request'));
+      assert.strictEqual(result.usage.totalTokens, 60, 'both requests are counted');
+    }
+  },
+  {
+    name: 'an answer still flagged after the retries is replaced',
+    async run() {
+      const service = cannedService([UNSAFE_ANSWER, UNSAFE_ANSWER]);
+      const result = await service.reexplainAnswer('How do bees make honey?', SAFE_ANSWER, 7);
+      assert.deepStrictEqual([result.answer, result.moderated], [MODERATION_FALLBACK, true]);
+      assert.strictEqual(service.prompts.length, 2);
+
+      const noRetries = cannedService([UNSAFE_ANSWER], { moderationRetries: 0 });
+      assert.strictEqual((await noRetries.answerQuestion('How do bees make honey?', 7)).answer, MODERATION_FALLBACK);
+    }
+  },
+  {
+    name: 'streamed answers are shown a checked word at a time and hidden once flagged',
+    async run() {
+      const streamed = [];
+      const service = cannedService([UNSAFE_ANSWER, SAFE_ANSWER]);
+      await service.answerQuestion('How do bees make honey?', 7, true, 0, [], [], {
+        onToken: (delta, text) => streamed.push(text)
+      });
+
+      const shownBeforeRetry = streamed.slice(0, streamed.indexOf(''));
+      assert.ok(shownBeforeRetry.length > 0);
+      shownBeforeRetry.forEach(text => {
+        assert.ok(/\s$/.test(text), `only whole words are shown: "${text}"`);
+        assert.ok(!text.includes('www'), 'the link is never shown');
+      });
+      assert.ok(streamed.includes('Bees make honey from flower nectar! 🐝 Why do you think they need so much of '));
+      assert.strictEqual(streamed[streamed.length - 1], SAFE_ANSWER, 'the last word follows once the answer has passed');
+    }
+  }
+];
+
+runTests('Testing answer moderation', tests).then(ok => process.exit(ok ? 0 : 1));
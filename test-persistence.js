@@ -0,0 +1,151 @@
+// test-persistence.js - Crash-safety tests for DatabaseService saving and recovery
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const DatabaseService = require('./database');
+const { tempDatabasePath, removeDatabaseFiles, runTests } = require('./test-helpers');
+
+async function openDatabase(dbPath) {
+  const db = new DatabaseService(dbPath);
+  await db.initializeDatabase();
+  return db;
+}
+
+// A database with some parent data worth protecting
+async function createDatabase(dbPath) {
+  const db = await openDatabase(dbPath);
+  db.updatePin('4321');
+  db.updateChildProfile(9, 'girl');
+  db.close();
+}
+
+function filesFor(dbPath) {
+  const base = path.basename(dbPath);
+  return fs.readdirSync(path.dirname(dbPath)).filter(file => file.startsWith(base)).map(file => file.slice(base.length));
+}
+
+const tests = [
+  {
+    name: 'saving writes through a temp file and leaves only the database behind',
+    async run(dbPath) {
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.saveDatabase(), true);
+      assert.deepStrictEqual(filesFor(dbPath), ['']);
+      return db;
+    }
+  },
+  {
+    name: 'a burst of interest updates is written once',
+    async run(dbPath) {
+      const db = await openDatabase(dbPath);
+      let saves = 0;
+      const save = db.saveDatabase.bind(db);
+      db.saveDatabase = () => { saves++; return save(); };
+
+      db.getAllInterests().slice(0, 20).forEach(interest => db.updateInterest(interest.id, true));
+      assert.strictEqual(saves, 0, 'updates should be batched');
+
+      db.flush();
+      assert.strictEqual(saves, 1);
+      db.flush();
+      assert.strictEqual(saves, 1, 'nothing left to write');
+      return db;
+    }
+  },
+  {
+    name: 'batched changes reach the disk on close',
+    async run(dbPath) {
+      const db = await openDatabase(dbPath);
+      db.updateChildProfile(11, 'boy');
+      db.close();
+
+      const reopened = await openDatabase(dbPath);
+      assert.strictEqual(reopened.getChildProfile().age, 11);
+      return reopened;
+    }
+  },
+  {
+    name: 'PIN lockout is written immediately',
+    async run(dbPath) {
+      await createDatabase(dbPath);
+      const db = await openDatabase(dbPath);
+      ['1111', '2222', '3333'].forEach(pin => db.attemptPin(pin, 0));
+      db.db.close(); // Simulate the app being killed without a clean shutdown
+
+      const reopened = await openDatabase(dbPath);
+      assert.strictEqual(reopened.getPinStatus(0).failedAttempts, 3);
+      assert.ok(reopened.getPinStatus(0).lockedUntil > 0);
+      return reopened;
+    }
+  },
+  {
+    name: 'an interrupted save leaves the previous file intact',
+    async run(dbPath) {
+      await createDatabase(dbPath);
+      fs.writeFileSync(`${dbPath}.tmp`, 'half-written');
+
+      const db = await openDatabase(dbPath);
+      assert.ok(db.verifyPin('4321'));
+      assert.strictEqual(db.recoveredFrom, null);
+      assert.ok(!fs.existsSync(`${dbPath}.tmp`), 'stale temp file should be removed');
+      return db;
+    }
+  },
+  {
+    name: 'a corrupted file is set aside and the last good copy restored',
+    async run(dbPath) {
+      await createDatabase(dbPath);
+      (await openDatabase(dbPath)).close(); // Opening cleanly refreshes the .bak copy
+
+      const data = fs.readFileSync(dbPath);
+      fs.writeFileSync(dbPath, data.subarray(0, 100));
+
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.recoveredFrom, `${dbPath}.bak`);
+      assert.ok(db.verifyPin('4321'));
+      assert.strictEqual(db.getChildProfile().age, 9);
+      assert.ok(filesFor(dbPath).some(file => file.startsWith('.corrupt-')), 'damaged file should be kept');
+      return db;
+    }
+  },
+  {
+    name: 'an empty or garbage file falls back to a migration backup',
+    async run(dbPath) {
+      await createDatabase(dbPath);
+      fs.copyFileSync(dbPath, `${dbPath}.v3.bak`);
+      fs.writeFileSync(`${dbPath}.bak`, 'not a database at all, just some text that is long enough to look like a header');
+      fs.writeFileSync(dbPath, '');
+
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.recoveredFrom, `${dbPath}.v3.bak`);
+      assert.ok(db.verifyPin('4321'));
+      return db;
+    }
+  },
+  {
+    name: 'with no usable backup a fresh database is created',
+    async run(dbPath) {
+      fs.writeFileSync(dbPath, Buffer.alloc(4096, 7));
+
+      const db = await openDatabase(dbPath);
+      assert.strictEqual(db.recoveredFrom, null);
+      assert.strictEqual(db.hasPin(), false, 'parent should be asked to set up a PIN again');
+      assert.ok(db.getAllInterests().length > 0);
+      return db;
+    }
+  }
+];
+
+// Each test hands back the database it left open
+const closingTests = tests.map(test => ({
+  ...test,
+  async run(dbPath) {
+    const db = await test.run(dbPath);
+    db.close();
+  }
+}));
+
+runTests('Testing DatabaseService persistence', closingTests, {
+  setup: () => [tempDatabasePath('persist')],
+  teardown: removeDatabaseFiles
+}).then(ok => process.exit(ok ? 0 : 1));
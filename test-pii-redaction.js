@@ -0,0 +1,108 @@
+// test-pii-redaction.js - Personal details replaced before a child's message goes to an AI provider
+const assert = require('assert');
+const { PRIVACY_LEVELS, redactPersonalInfo, redactConversation } = require('./pii-redaction');
+const { runTests } = require('./test-helpers');
+
+const STANDARD = { level: 'standard', names: ['Ava', 'Sam'] };
+const STRICT = { level: 'strict', names: ['Ava', 'Sam'] };
+
+const redact = (text, options = STANDARD) => redactPersonalInfo(text, options).text;
+
+const tests = [
+  {
+    name: 'contact details, addresses and schools are replaced',
+    run() {
+      assert.strictEqual(redact('my email is ava.smith+home@gmail.com'), 'my email is [email]');
+      assert.strictEqual(redact('call 07700 900123 or +1 (555) 123-4567'), 'call [phone] or [phone]');
+      assert.strictEqual(redact('I live at 12 Maple Road, SW1A 1AA'), 'I live at [address], [address]');
+      assert.strictEqual(redact('I go to Oakwood Primary School'), 'I go to [school]');
+      assert.strictEqual(redact('i go to oakwood primary and it is fun'), 'i go to [school] and it is fun');
+      assert.strictEqual(redact('We went to St Mary\'s Academy today'), 'We went to [school] today');
+      assert.strictEqual(redact('What is High School like in America?'), 'What is High School like in America?', 'a school type alone is not a school');
+      assert.strictEqual(redact("I'm going to high school next year"), "I'm going to high school next year");
+      assert.strictEqual(redact('Is Middle School harder?'), 'Is Middle School harder?');
+    }
+  },
+  {
+    name: "the children's names and introduced names are replaced",
+    run() {
+      assert.strictEqual(redact('Hi, my name is Ava Smith'), 'Hi, my name is [name]');
+      assert.strictEqual(redact('my name is jordan'), 'my name is [name]');
+      assert.strictEqual(redact('Is Jupiter bigger than Saturn? Sam wants to know'), 'Is Jupiter bigger than Saturn? [name] wants to know');
+      assert.strictEqual(redact('Why do lava lamps glow?'), 'Why do lava lamps glow?', 'names only match whole words');
+    }
+  },
+  {
+    name: 'names that are everyday words are only caught when introduced',
+    run() {
+      const wordNames = { level: 'standard', names: ['Will', 'Rose', 'Max', 'Ava'] };
+      [
+        'Will the sun burn out?',
+        'Why do rose bushes have thorns',
+        'Why do Rose bushes have thorns?',
+        'What is the max speed of a cheetah',
+        'Where does ava go?'
+      ].forEach(question => assert.strictEqual(redact(question, wordNames), question, question));
+      assert.strictEqual(redact('My name is Will', wordNames), 'My name is [name]');
+      assert.strictEqual(redact('Ava wants to know', wordNames), '[name] wants to know', 'other names still match when capitalised');
+    }
+  },
+  {
+    name: 'strict also hides friends, family, places and birthdays',
+    run() {
+      const text = 'My best friend Tom and my teacher Mrs Jones say I live in Springfield and my birthday is 3rd May.';
+      assert.strictEqual(redact(text), text, 'standard leaves these alone');
+      assert.strictEqual(redact(text, STRICT), 'My best friend [name] and my teacher [name] say I live in [place] and my birthday is [birthday].');
+      assert.strictEqual(redact('I live at 12 Maple Road', STRICT), 'I live at [address]', 'a detail is only replaced once');
+    }
+  },
+  {
+    name: 'ordinary questions and numbers are left alone',
+    run() {
+      [
+        'Why is the sky blue?',
+        'What is 1234567 times 2?',
+        'Is pi 3.14159265 forever?',
+        'What happened in 1969 on the moon?',
+        'I walked 2 miles down the road to see the river',
+        'How far away is the sun? 93,000,000 miles?',
+        'Why do we go to school?',
+        'What happened in 1914-1918 war?',
+        'Why was there a war between 1939 - 1945?',
+        'Is light really 299 792 458 m/s fast?',
+        'The sun is 149 600 000 km away right?'
+      ].forEach(question => assert.deepStrictEqual(redactPersonalInfo(question, STRICT), { text: question, found: [] }, question));
+    }
+  },
+  {
+    name: 'numbers split only by spaces need a leading +, 0 or ( or a phone cue',
+    run() {
+      assert.strictEqual(redact('Is 555 1234 a big number?'), 'Is 555 1234 a big number?');
+      assert.strictEqual(redact('my number is 555 1234'), 'my number is [phone]');
+      assert.strictEqual(redact('you can call 555 123 4567'), 'you can call [phone]');
+      assert.strictEqual(redact('ring me on 0161 496 0000'), 'ring me on [phone]');
+      assert.strictEqual(redact('my dad is on 555-123-4567'), 'my dad is on [phone]', 'dashes are written like a phone number');
+    }
+  },
+  {
+    name: 'what was found is reported, and off sends messages as typed',
+    run() {
+      const result = redactPersonalInfo('My name is Ava, email me at ava@example.com', STANDARD);
+      assert.deepStrictEqual(result.found, [{ type: 'email', value: 'ava@example.com' }, { type: 'name', value: 'Ava' }]);
+
+      assert.strictEqual(redact('My name is Ava', { level: 'off', names: ['Ava'] }), 'My name is Ava');
+      assert.strictEqual(redact('My name is Ava', { level: 'nonsense' }), 'My name is [name]', 'an unknown level falls back to standard');
+      assert.deepStrictEqual(Object.keys(PRIVACY_LEVELS), ['standard', 'strict', 'off']);
+    }
+  },
+  {
+    name: 'both sides of the history are redacted without changing the original',
+    run() {
+      const conversation = [{ user: 'My name is Ava', ai: 'Hi Ava! What do you want to know?' }];
+      assert.deepStrictEqual(redactConversation(conversation, STANDARD), [{ user: 'My name is [name]', ai: 'Hi [name]! What do you want to know?' }]);
+      assert.strictEqual(conversation[0].user, 'My name is Ava');
+    }
+  }
+];
+
+runTests('Testing personal detail redaction', tests).then(ok => process.exit(ok ? 0 : 1));
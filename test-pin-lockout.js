@@ -0,0 +1,109 @@
+// test-pin-lockout.js - Wrong parent PIN guesses lock the settings out for longer each time
+const assert = require('assert');
+const DatabaseService = require('./database');
+const { openTestDatabase, closeTestDatabase, runTests } = require('./test-helpers');
+
+const { FREE_PIN_ATTEMPTS, PIN_LOCKOUT_BASE_MS, PIN_LOCKOUT_MAX_MS } = DatabaseService;
+const PIN = '4321';
+const WRONG_PIN = '1111';
+
+// Use up the free guesses, returning the result of the one that starts the first lockout
+function guessUntilLocked(db, now) {
+  let result = null;
+  for (let i = 0; i < FREE_PIN_ATTEMPTS; i++) {
+    result = db.attemptPin(WRONG_PIN, now);
+  }
+  return result;
+}
+
+const tests = [
+  {
+    name: 'the free guesses are allowed before the first lockout',
+    run(db) {
+      for (let i = 1; i < FREE_PIN_ATTEMPTS; i++) {
+        const result = db.attemptPin(WRONG_PIN, 0);
+        assert.deepStrictEqual([result.success, result.failedAttempts, result.lockedUntil], [false, i, null]);
+      }
+
+      const locked = db.attemptPin(WRONG_PIN, 0);
+      assert.strictEqual(locked.lockedUntil, PIN_LOCKOUT_BASE_MS);
+      assert.strictEqual(locked.retryAfterMs, PIN_LOCKOUT_BASE_MS);
+    }
+  },
+  {
+    name: 'each further wrong guess doubles the lockout',
+    run(db) {
+      let now = guessUntilLocked(db, 0).lockedUntil;
+
+      [2, 4, 8].forEach(factor => {
+        const result = db.attemptPin(WRONG_PIN, now);
+        assert.strictEqual(result.retryAfterMs, PIN_LOCKOUT_BASE_MS * factor);
+        assert.strictEqual(result.lockedUntil, now + PIN_LOCKOUT_BASE_MS * factor);
+        now = result.lockedUntil;
+      });
+    }
+  },
+  {
+    name: 'the lockout never grows past PIN_LOCKOUT_MAX_MS',
+    run(db) {
+      let now = guessUntilLocked(db, 0).lockedUntil;
+      let result = null;
+
+      for (let i = 0; i < 20; i++) {
+        result = db.attemptPin(WRONG_PIN, now);
+        assert.ok(result.retryAfterMs <= PIN_LOCKOUT_MAX_MS, `locked out for ${result.retryAfterMs}ms`);
+        now = result.lockedUntil;
+      }
+      assert.strictEqual(result.retryAfterMs, PIN_LOCKOUT_MAX_MS);
+      assert.strictEqual(result.failedAttempts, FREE_PIN_ATTEMPTS + 20);
+    }
+  },
+  {
+    name: 'while locked even the right PIN is refused and nothing is counted',
+    run(db) {
+      const locked = guessUntilLocked(db, 0);
+
+      const right = db.attemptPin(PIN, locked.lockedUntil - 1);
+      assert.strictEqual(right.success, false);
+      assert.deepStrictEqual([right.failedAttempts, right.lockedUntil], [FREE_PIN_ATTEMPTS, locked.lockedUntil]);
+
+      const wrong = db.attemptPin(WRONG_PIN, locked.lockedUntil - 1);
+      assert.deepStrictEqual([wrong.failedAttempts, wrong.lockedUntil], [FREE_PIN_ATTEMPTS, locked.lockedUntil],
+        'guesses during a lockout must not extend it');
+    }
+  },
+  {
+    name: 'the right PIN after the lockout resets the count',
+    run(db) {
+      const locked = guessUntilLocked(db, 0);
+
+      const result = db.attemptPin(PIN, locked.lockedUntil);
+      assert.deepStrictEqual([result.success, result.failedAttempts, result.lockedUntil], [true, 0, null]);
+
+      const next = db.attemptPin(WRONG_PIN, locked.lockedUntil);
+      assert.deepStrictEqual([next.failedAttempts, next.lockedUntil], [1, null], 'the free guesses start over');
+    }
+  },
+  {
+    name: 'nothing is accepted before a PIN has been set up',
+    async run() {
+      const db = await openTestDatabase('pin-lockout');
+
+      try {
+        const result = db.attemptPin('0000', 0);
+        assert.deepStrictEqual([result.success, result.setupRequired, result.failedAttempts], [false, true, 0]);
+      } finally {
+        closeTestDatabase(db);
+      }
+    }
+  }
+];
+
+runTests('Testing parent PIN lockout', tests, {
+  async setup() {
+    const db = await openTestDatabase('pin-lockout');
+    db.updatePin(PIN);
+    return [db];
+  },
+  teardown: closeTestDatabase
+}).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,113 @@
+// test-profiles.js - Multiple child profiles keep their own interests, rules and history
+const assert = require('assert');
+const ConversationTracker = require('./conversation-tracker');
+const { runDatabaseTests } = require('./test-helpers');
+
+function interestId(db, name) {
+  return db.getAllInterests().find(interest => interest.name === name).id;
+}
+
+const tests = [
+  {
+    name: 'a fresh install has one default profile',
+    run(db) {
+      const profiles = db.getChildProfiles();
+      assert.strictEqual(profiles.length, 1);
+      assert.strictEqual(profiles[0].name, 'Child');
+      assert.strictEqual(db.getChildProfile().id, profiles[0].id);
+      assert.strictEqual(db.queryAll('SELECT COUNT(*) AS count FROM child_interests WHERE child_id IS NULL')[0].count, 0,
+        'no interest rows without a child');
+    }
+  },
+  {
+    name: 'profiles keep their own age and gender',
+    run(db) {
+      const first = db.getChildProfile().id;
+      const second = db.addChildProfile('Sam', 12, 'boy');
+      assert.ok(db.updateChildProfile(7, 'girl', first, 'Ava'));
+
+      assert.deepStrictEqual(db.getChildProfiles().map(child => [child.name, child.age]), [['Ava', 7], ['Sam', 12]]);
+      assert.ok(db.updateChildProfile(13, 'boy', second), 'a null name keeps the current one');
+      assert.strictEqual(db.getChildProfile(second).name, 'Sam');
+      assert.strictEqual(db.addChildProfile('   ', 9), null, 'a profile needs a name');
+      assert.strictEqual(db.updateChildProfile(9, null, 999), false, 'unknown child');
+    }
+  },
+  {
+    name: 'interests are selected per child',
+    run(db) {
+      const first = db.getChildProfile().id;
+      const second = db.addChildProfile('Sam', 12);
+      db.updateInterest(interestId(db, 'Dinosaurs'), true, first);
+      db.updateInterest(interestId(db, 'Robotics'), true, second);
+      db.updateInterest(interestId(db, 'Space Travel'), true, second);
+
+      assert.deepStrictEqual(db.getSelectedInterests(first), ['Dinosaurs']);
+      assert.deepStrictEqual(db.getSelectedInterests(second), ['Robotics', 'Space Travel']);
+      assert.deepStrictEqual(db.getSelectedInterests(), ['Dinosaurs'], 'no id means the first child');
+      assert.ok(db.getAllInterests(second).find(interest => interest.name === 'Robotics').selected);
+      assert.ok(!db.getAllInterests(first).find(interest => interest.name === 'Robotics').selected);
+      assert.strictEqual(db.getAllInterests(second).length, db.getAllInterests(first).length);
+    }
+  },
+  {
+    name: 'rules are stored per child',
+    run(db) {
+      const first = db.getChildProfile().id;
+      const second = db.addChildProfile('Sam', 12);
+      assert.ok(db.setChildSetting(second, 'max_conversation_length', 12));
+
+      assert.strictEqual(db.getChildSetting(second, 'max_conversation_length', 8), 12);
+      assert.strictEqual(db.getChildSetting(first, 'max_conversation_length', 8), 8);
+      assert.strictEqual(db.setChildSetting(999, 'max_conversation_length', 3), false);
+    }
+  },
+  {
+    name: 'history is recorded and filtered per child',
+    run(db) {
+      const tracker = new ConversationTracker(db);
+      const first = db.getChildProfile().id;
+      const second = db.addChildProfile('Sam', 12);
+
+      const firstSession = tracker.startSession({ childId: first, childAge: 7, ageGroup: 'young' });
+      tracker.trackConversation({ sessionId: firstSession, stage: 'understanding', childAge: 7, question: 'Why do cats purr?', aiResponse: 'Purring!' });
+      const secondSession = tracker.startSession({ childId: second, childAge: 12, ageGroup: 'middle' });
+      tracker.trackConversation({ sessionId: secondSession, stage: 'understanding', childAge: 12, question: 'How do rockets fly?', aiResponse: 'Thrust!' });
+
+      assert.deepStrictEqual(db.getLearningHistory(null, 50, second).map(session => session.id), [secondSession]);
+      assert.strictEqual(db.getLearningHistory(null, 50, second)[0].child_name, 'Sam');
+      assert.strictEqual(db.getLearningHistory().length, 2, 'no child filter shows everyone');
+
+      // Replies that weren't understood show up as retries, however the session ended
+      [false, false, null].forEach(understood => {
+        tracker.trackConversation({ sessionId: firstSession, stage: 'understanding', childAge: 7, question: 'Why do cats purr?', childFollowUp: 'idk', evaluation: understood === null ? null : { understood } });
+      });
+      tracker.endSession(firstSession, 'skipped');
+      const [session] = db.getLearningHistory(null, 50, first);
+      assert.deepStrictEqual([session.outcome, session.failed_attempts], ['skipped', 2]);
+      assert.strictEqual(db.getLearningHistory(null, 50, second)[0].failed_attempts, 0);
+    }
+  },
+  {
+    name: 'removing a child removes their data but never the last profile',
+    run(db) {
+      const first = db.getChildProfile().id;
+      const second = db.addChildProfile('Sam', 12);
+      db.updateInterest(interestId(db, 'Robotics'), true, second);
+      db.setChildSetting(second, 'max_conversation_length', 12);
+      const sessionId = db.startSession(12, 'middle', second);
+      db.addTurn(sessionId, { stage: 'understanding', question: 'How do rockets fly?' });
+
+      assert.ok(db.deleteChildProfile(second));
+      assert.deepStrictEqual(db.getChildProfiles().map(child => child.id), [first]);
+      assert.strictEqual(db.queryAll('SELECT COUNT(*) AS count FROM child_interests WHERE child_id = ?', [second])[0].count, 0);
+      assert.strictEqual(db.queryAll('SELECT COUNT(*) AS count FROM child_settings WHERE child_id = ?', [second])[0].count, 0);
+      assert.strictEqual(db.getSessionTurns(sessionId).length, 0);
+
+      assert.strictEqual(db.deleteChildProfile(first), false);
+      assert.strictEqual(db.getChildProfiles().length, 1);
+    }
+  }
+];
+
+runDatabaseTests('Testing child profiles', 'profiles', tests).then(ok => process.exit(ok ? 0 : 1));
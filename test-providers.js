@@ -0,0 +1,205 @@
+// test-providers.js - Every provider adapter gets the same prompts, retries, timeouts and parsing
+const assert = require('assert');
+const { AIService, ClaudeService, GeminiService, LocalService } = require('./ai-service');
+const { startMockServer, stopMockServer, runTests } = require('./test-helpers');
+
+// Split a reply into the small pieces a streaming API sends
+const pieces = text => text.match(/\S+\s*/g);
+
+// Each provider's wire format, so the same test can run against all of them
+const PROVIDERS = [
+  {
+    name: 'openai',
+    create: (url, config) => new AIService('test-key', { apiUrl: `${url}/v1/chat/completions`, ...config }),
+    reply: text => ({ choices: [{ message: { role: 'assistant', content: text } }], usage: { prompt_tokens: 50, completion_tokens: 10, total_tokens: 60 } }),
+    stream: text => [
+      ...pieces(text).map(piece => ({ choices: [{ delta: { content: piece } }] })),
+      { choices: [], usage: { prompt_tokens: 50, completion_tokens: 10, total_tokens: 60 } },
+      '[DONE]'
+    ],
+    isStreamRequest: request => request.body.stream === true,
+    promptText: body => body.messages.map(message => message.content).join('\n'),
+    maxTokens: body => body.max_tokens,
+    jsonMode: body => body.response_format.type === 'json_object'
+  },
+  {
+    name: 'claude',
+    create: (url, config) => new ClaudeService('test-key', { apiUrl: `${url}/v1/messages`, ...config }),
+    reply: text => ({ content: [{ type: 'text', text }], usage: { input_tokens: 50, output_tokens: 10 } }),
+    stream: text => [
+      { type: 'message_start', message: { usage: { input_tokens: 50, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      ...pieces(text).map(piece => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: piece } })),
+      { type: 'message_delta', usage: { output_tokens: 10 } },
+      { type: 'message_stop' }
+    ],
+    isStreamRequest: request => request.body.stream === true,
+    promptText: body => `${body.system}\n${body.messages.map(message => message.content).join('\n')}`,
+    maxTokens: body => body.max_tokens,
+    jsonMode: body => body.tool_choice.name === body.tools[0].name && body.tools[0].input_schema.required.includes('understood')
+  },
+  {
+    name: 'gemini',
+    create: (url, config) => new GeminiService('test-key', { apiUrl: `${url}/v1/models/gemini-1.5-flash:generateContent`, ...config }),
+    reply: text => ({ candidates: [{ content: { parts: [{ text }] } }], usageMetadata: { promptTokenCount: 50, candidatesTokenCount: 10, totalTokenCount: 60 } }),
+    stream: text => pieces(text).map((piece, i) => ({
+      candidates: [{ content: { parts: [{ text: piece }] } }],
+      usageMetadata: { promptTokenCount: 50, candidatesTokenCount: i + 1, totalTokenCount: 50 + i + 1 }
+    })),
+    isStreamRequest: request => request.url === '/v1/models/gemini-1.5-flash:streamGenerateContent?alt=sse',
+    promptText: body => body.contents.map(content => content.parts.map(part => part.text).join('')).join('\n'),
+    maxTokens: body => body.generationConfig.maxOutputTokens,
+    jsonMode: body => body.generationConfig.responseMimeType === 'application/json' && body.generationConfig.responseSchema.properties.understood.type === 'BOOLEAN'
+  },
+  {
+    name: 'local',
+    create: (url, config) => new LocalService(null, { baseUrl: `${url}/v1`, ...config }),
+    reply: text => ({ choices: [{ message: { role: 'assistant', content: text } }] }),
+    stream: text => [...pieces(text).map(piece => ({ choices: [{ delta: { content: piece } }] })), '[DONE]'],
+    isStreamRequest: request => request.body.stream === true,
+    promptText: body => body.messages.map(message => message.content).join('\n'),
+    maxTokens: body => body.max_tokens,
+    jsonMode: body => body.response_format.type === 'json_object'
+  }
+];
+
+const HISTORY = [{ user: 'How do clouds float?', ai: 'They are made of tiny droplets! What else floats?' }];
+
+const tests = [
+  {
+    name: 'interests, history, age and length settings reach the request',
+    async run(server, provider, service) {
+      server.handler = () => ({ status: 200, data: provider.reply('Stars are giant balls of gas! Which star is closest?') });
+
+      const result = await service.answerQuestion('Why do stars twinkle?', 7, true, 1, ['Dinosaurs', 'Space Travel'], HISTORY);
+
+      const body = server.requests[0].body;
+      const text = provider.promptText(body);
+      assert.ok(text.includes('Dinosaurs, Space Travel'), 'interests missing');
+      assert.ok(text.includes('How do clouds float?'), 'history missing');
+      assert.ok(text.includes('The child is 7 years old'), 'age missing');
+      assert.ok(text.includes('Question: Why do stars twinkle?'));
+      assert.strictEqual(provider.maxTokens(body), 80, 'first answer length for a young child');
+      assert.strictEqual(result.answer, 'Stars are giant balls of gas! Which star is closest?');
+      assert.deepStrictEqual(Object.keys(result.usage).sort(), ['completionTokens', 'estimatedCost', 'promptTokens', 'totalTokens']);
+    }
+  },
+  {
+    name: 'server errors and rate limits are retried, client errors are not',
+    async run(server, provider, service) {
+      server.handler = count => (count < 3
+        ? { status: count === 1 ? 503 : 429, data: { error: 'busy' } }
+        : { status: 200, data: provider.reply('Third time lucky?') });
+
+      const result = await service.answerQuestion('How do airplanes fly?', 10);
+      assert.strictEqual(server.requests.length, 3);
+      assert.strictEqual(result.answer, 'Third time lucky?');
+
+      server.requests = [];
+      server.handler = () => ({ status: 400, data: { error: 'bad request' } });
+      await assert.rejects(() => service.answerQuestion('How do airplanes fly?', 10), /Failed to get answer from AI/);
+      assert.strictEqual(server.requests.length, 1);
+    }
+  },
+  {
+    name: 'a slow server times out and is retried',
+    async run(server, provider, service) {
+      server.handler = count => ({ status: 200, data: provider.reply('Made it?'), delay: count === 1 ? 500 : 0 });
+
+      const result = await service.answerQuestion('How do volcanoes erupt?', 12);
+      assert.strictEqual(server.requests.length, 2);
+      assert.strictEqual(result.answer, 'Made it?');
+    }
+  },
+  {
+    name: 'an empty reply is reported as a failure',
+    async run(server, provider, service) {
+      server.handler = () => ({ status: 200, data: provider.reply('') });
+      await assert.rejects(() => service.answerQuestion('How do bees make honey?', 9), /Failed to get answer from AI/);
+    }
+  },
+  {
+    name: 'a streamed answer arrives piece by piece and the full text is returned',
+    async run(server, provider, service) {
+      const answer = 'Stars twinkle because air bends their light! What else does air bend?';
+      server.handler = () => ({ status: 200, events: provider.stream(answer) });
+
+      const updates = [];
+      const result = await service.answerQuestion('Why do stars twinkle?', 7, true, 0, [], [], {
+        onToken: (delta, text) => updates.push(text)
+      });
+
+      assert.ok(provider.isStreamRequest(server.requests[0]), 'request should ask for a stream');
+      assert.strictEqual(updates.length, pieces(answer).length);
+      assert.strictEqual(updates[0], 'Stars ');
+      assert.strictEqual(updates[updates.length - 1].trim(), answer);
+      assert.strictEqual(result.answer, answer);
+      if (provider.name !== 'local') {
+        assert.strictEqual(result.usage.totalTokens, provider.name === 'gemini' ? 50 + pieces(answer).length : 60);
+      }
+    }
+  },
+  {
+    name: 'a stream cut off part way is retried from the start',
+    async run(server, provider, service) {
+      const answer = 'Bees collect nectar and fan it dry! Which flowers do you think they like?';
+      server.handler = count => ({ status: 200, events: provider.stream(answer), cutAfter: count === 1 ? 3 : undefined });
+
+      const updates = [];
+      const result = await service.answerQuestion('How do bees make honey?', 9, true, 0, [], [], {
+        onToken: (delta, text) => updates.push(text)
+      });
+
+      assert.strictEqual(server.requests.length, 2);
+      assert.ok(updates.includes(''), 'the partial answer should be cleared before the retry');
+      assert.strictEqual(updates[updates.length - 1].trim(), answer);
+      assert.strictEqual(result.answer, answer);
+    }
+  },
+  {
+    name: 'evaluation JSON is parsed the same way, with or without fences',
+    async run(server, provider, service) {
+      const replies = [
+        '{"understood": false, "feedback": "Almost!", "suggestion": "Think about light."}',
+        '```json\n{"understood": true, "feedback": "Yes!", "suggestion": null}\n```',
+        'Here is my verdict: {"understood": true, "feedback": "Nice", "suggestion": null} Hope that helps!'
+      ];
+      server.handler = count => ({ status: 200, data: provider.reply(replies[count - 1]) });
+
+      const results = [];
+      for (let i = 0; i < replies.length; i++) {
+        results.push(await service.evaluateUnderstanding('Why is the sky blue?', 'Scattering. What colour is the sunset?', 'orange'));
+      }
+      assert.deepStrictEqual(results.map(result => result.feedback), ['Almost!', 'Yes!', 'Nice']);
+      assert.ok(provider.promptText(server.requests[0].body).includes('Respond only with valid JSON'));
+      assert.ok(provider.jsonMode(server.requests[0].body), 'evaluation should use the provider\'s JSON mode');
+    }
+  },
+  {
+    name: 'evaluation falls back to unlocking on garbage or a timeout',
+    async run(server, provider, service) {
+      server.handler = () => ({ status: 200, data: provider.reply('I think they understood.') });
+      const garbage = await service.evaluateUnderstanding('Why is the sky blue?', 'Scattering?', 'light bounces');
+      assert.strictEqual(garbage.understood, true);
+
+      server.handler = () => ({ status: 200, data: provider.reply('{"understood": false}'), delay: 1000 });
+      service.evaluationTimeout = 400;
+      const started = Date.now();
+      const slow = await service.evaluateUnderstanding('Why is the sky blue?', 'Scattering?', 'light bounces');
+      assert.strictEqual(slow.understood, true);
+      assert.ok(Date.now() - started < 900, 'evaluation should give up within its time budget');
+    }
+  }
+];
+
+// Every test runs once against each provider
+const providerTests = PROVIDERS.flatMap(provider => tests.map(test => ({ ...test, name: `[${provider.name}] ${test.name}`, provider })));
+
+runTests('Testing provider adapters against mock APIs', providerTests, {
+  async setup({ provider }) {
+    const server = await startMockServer();
+    const { port } = server.address();
+    return [server, provider, provider.create(`http://127.0.0.1:${port}`, { retryDelay: 0, timeout: 300 })];
+  },
+  teardown: stopMockServer
+}).then(ok => process.exit(ok ? 0 : 1));
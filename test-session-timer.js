@@ -0,0 +1,106 @@
+// test-session-timer.js - Unlocked-period countdown, warning and re-lock against a fake clock
+const assert = require('assert');
+const SessionTimer = require('./session-timer');
+const { runTests } = require('./test-helpers');
+
+// A clock that only moves when the test says so
+function fakeClock() {
+  const clock = {
+    time: 0,
+    pending: [],
+    now: () => clock.time,
+    setTimeout: (callback, delay) => {
+      const timer = { at: clock.time + delay, callback };
+      clock.pending.push(timer);
+      return timer;
+    },
+    clearTimeout: timer => {
+      clock.pending = clock.pending.filter(pending => pending !== timer);
+    },
+    advance: ms => {
+      clock.time += ms;
+      const due = clock.pending.filter(timer => timer.at <= clock.time).sort((a, b) => a.at - b.at);
+      clock.pending = clock.pending.filter(timer => timer.at > clock.time);
+      due.forEach(timer => timer.callback());
+    }
+  };
+  return clock;
+}
+
+function recordingTimer(clock) {
+  const events = [];
+  const timer = new SessionTimer({
+    onWarning: secondsLeft => events.push(`warning ${secondsLeft}`),
+    onExpire: () => events.push('relock')
+  }, clock);
+  return { timer, events };
+}
+
+const tests = [
+  {
+    name: 'warns before the end and re-locks when the time is up',
+    run() {
+      const clock = fakeClock();
+      const { timer, events } = recordingTimer(clock);
+
+      assert.strictEqual(timer.start(45 * 60, 5 * 60), true);
+      assert.strictEqual(timer.getRemaining(), 45 * 60);
+
+      clock.advance(39 * 60 * 1000);
+      assert.deepStrictEqual(events, []);
+      clock.advance(60 * 1000);
+      assert.deepStrictEqual(events, ['warning 300']);
+      assert.strictEqual(timer.getRemaining(), 5 * 60);
+
+      clock.advance(5 * 60 * 1000);
+      assert.deepStrictEqual(events, ['warning 300', 'relock']);
+      assert.strictEqual(timer.isRunning(), false);
+      assert.strictEqual(timer.getRemaining(), null);
+    }
+  },
+  {
+    name: 'zero minutes means no countdown',
+    run() {
+      const clock = fakeClock();
+      const { timer } = recordingTimer(clock);
+
+      assert.strictEqual(timer.start(0, 300), false);
+      assert.strictEqual(timer.isRunning(), false);
+      assert.strictEqual(clock.pending.length, 0);
+    }
+  },
+  {
+    name: 'no warning when the allowance is shorter than the warning',
+    run() {
+      const clock = fakeClock();
+      const { timer, events } = recordingTimer(clock);
+
+      timer.start(2 * 60, 5 * 60);
+      clock.advance(2 * 60 * 1000);
+      assert.deepStrictEqual(events, ['relock']);
+    }
+  },
+  {
+    name: 'stopping or restarting cancels the pending re-lock',
+    run() {
+      const clock = fakeClock();
+      const { timer, events } = recordingTimer(clock);
+
+      timer.start(10 * 60, 60);
+      clock.advance(5 * 60 * 1000);
+      timer.stop();
+      clock.advance(60 * 60 * 1000);
+      assert.deepStrictEqual(events, []);
+
+      timer.start(10 * 60, 60);
+      clock.advance(5 * 60 * 1000);
+      timer.start(10 * 60, 60);
+      clock.advance(9 * 60 * 1000);
+      assert.deepStrictEqual(events, ['warning 60']);
+      clock.advance(60 * 1000);
+      assert.deepStrictEqual(events, ['warning 60', 'relock']);
+    }
+  }
+];
+
+runTests('Testing the unlocked-period timer', tests).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,97 @@
+// test-wellbeing.js - Spotting worrying messages, the caring reply and the parent's alerts
+const assert = require('assert');
+const { WELLBEING_CONCERNS, checkWellbeing, getSupportMessage } = require('./wellbeing-check');
+const { runTests, openTestDatabase, closeTestDatabase } = require('./test-helpers');
+
+const tests = [
+  {
+    name: 'self-harm, bullying and distress are recognised',
+    async run() {
+      [
+        ['I want to die', 'self-harm', 'urgent'],
+        ["i'm going to die if this keeps happening", 'self-harm', 'urgent'],
+        ['I really want to die', 'self-harm', 'urgent'],
+        ['sometimes I think about hurting myself... I want to hurt myself', 'self-harm', 'urgent'],
+        ["I don’t want to be alive anymore", 'self-harm', 'urgent'],
+        ['I am being bullied at school', 'bullying', 'high'],
+        ['the kids at school make fun of me every day', 'bullying', 'high'],
+        ['My brother keeps hitting me', 'bullying', 'high'],
+        ['Nobody likes me', 'distress', 'high'],
+        ["I'm so lonely", 'distress', 'high'],
+        ['I feel really hopeless', 'distress', 'high']
+      ].forEach(([message, concern, priority]) => {
+        assert.deepStrictEqual(checkWellbeing(message), { concern, priority }, message);
+      });
+    }
+  },
+  {
+    name: 'everyday questions and figures of speech are not flagged',
+    async run() {
+      [
+        'This homework is killing me',
+        "I'm dying to know how rockets work",
+        'What happens when stars die?',
+        'Why do cats want to die alone?',
+        'Do old trees want to die standing up?',
+        'Why do people get bullied?',
+        'How do I end my turn in chess?',
+        "I'm sad the dinosaurs died. Why did they?",
+        "I'm scared of spiders, why do they have eight legs?",
+        'Why is the sky blue?',
+        ''
+      ].forEach(message => assert.strictEqual(checkWellbeing(message), null, message));
+    }
+  },
+  {
+    name: 'the most serious concern wins',
+    async run() {
+      assert.strictEqual(checkWellbeing('Everyone hates me and I want to die').concern, 'self-harm');
+      assert.deepStrictEqual(WELLBEING_CONCERNS, ['self-harm', 'bullying', 'distress']);
+    }
+  },
+  {
+    name: 'the reply suits the age group and points to a trusted adult',
+    async run() {
+      WELLBEING_CONCERNS.forEach(concern => {
+        const replies = ['young', 'middle', 'teen'].map(ageGroup => getSupportMessage(concern, ageGroup));
+        assert.strictEqual(new Set(replies).size, 3, `${concern} has a message per age group`);
+        replies.forEach(reply => assert.ok(/grown-up|adult|parent|someone you trust/.test(reply), reply));
+      });
+      assert.strictEqual(getSupportMessage('bullying', undefined), getSupportMessage('bullying', 'young'), 'an unknown age group gets the youngest wording');
+    }
+  },
+  {
+    name: 'alerts wait for the parent, urgent first, until marked seen',
+    async run() {
+      const db = await openTestDatabase('wellbeing');
+
+      try {
+        const first = db.getChildProfiles()[0].id;
+        const second = db.addChildProfile('Sam', 8);
+        assert.ok(db.logWellbeingAlert(first, 'nobody likes me', 'distress', 'high'));
+        assert.ok(db.logWellbeingAlert(second, 'I want to die', 'self-harm', 'urgent'));
+        assert.ok(db.logWellbeingAlert(first, 'they laugh at me', 'bullying', 'high'));
+
+        const alerts = db.getUnseenWellbeingAlerts();
+        assert.deepStrictEqual(alerts.map(alert => [alert.message, alert.priority]), [
+          ['I want to die', 'urgent'],
+          ['they laugh at me', 'high'],
+          ['nobody likes me', 'high']
+        ]);
+        assert.strictEqual(alerts[0].child_name, 'Sam');
+
+        assert.ok(db.markWellbeingAlertsSeen());
+        assert.strictEqual(db.getUnseenWellbeingAlerts().length, 0);
+
+        db.logWellbeingAlert(second, 'I feel so alone', 'distress', 'high');
+        assert.strictEqual(db.getUnseenWellbeingAlerts().length, 1, 'new alerts show again');
+        assert.ok(db.deleteChildProfile(second));
+        assert.strictEqual(db.getUnseenWellbeingAlerts().length, 0, 'alerts are removed with the child');
+      } finally {
+        closeTestDatabase(db);
+      }
+    }
+  }
+];
+
+runTests('Testing wellbeing alerts', tests).then(ok => process.exit(ok ? 0 : 1));
@@ -0,0 +1,89 @@
+// wellbeing-check.js - Spot messages that suggest a child is hurting, being hurt or very upset,
+// so they get a caring reply instead of a quiz and a parent hears about it
+
+// Concerns in the order they are checked - the first match wins
+const CONCERNS = {
+  'self-harm': {
+    priority: 'urgent',
+    patterns: [
+      /\b(kill|hurt|cut|harm|starve) (myself|my self)\b/,
+      /\bi('?m| am)? (really |just )?(want|wanna|going|trying) to die\b/,
+      /\bend (it all|my life)\b/,
+      /\bsuicid/,
+      /\b(don'?t|do not) want to (be alive|live|exist|wake up)\b/,
+      /\b(wish|wished) (i was|i were|i'?d) (dead|never born)\b/,
+      /\b(better off|happier) (dead|without me)\b/
+    ]
+  },
+  bullying: {
+    priority: 'high',
+    patterns: [
+      /\b(i'?m|i am|i get|i got|i was|i'?ve been|i have been) (being |getting )?bullied\b/,
+      /\b(bully|bullies|bullied|bullying) me\b/,
+      /\b(they|he|she|kids|everyone|people|someone|somebody|my \w+|\w+ at school) (keeps? |always |is |are )?(hit|hits|hitting|punch|punches|punching|kick|kicks|kicking|push|pushes|pushing|slap|slaps|slapping|hurt|hurts|hurting|touch|touches|touching|threaten|threatens|threatening) me\b/,
+      /\b(laugh|laughs|laughed|laughing) at me\b/,
+      /\b(make|makes|made|making) fun of me\b/,
+      /\b(pick|picks|picked|picking) on me\b/,
+      /\bcalls? me (names|fat|ugly|stupid)\b/,
+      /\b(are|is|were|was) (so |really )?mean to me\b/,
+      /\bi'?m scared (of|to go to) (school|home|him|her|them)\b/
+    ]
+  },
+  distress: {
+    priority: 'high',
+    patterns: [
+      /\b(nobody|no one|noone) (likes|loves|cares about|wants) me\b/,
+      /\beveryone hates me\b/,
+      /\bi (have|got) no friends\b/,
+      /\bi hate (myself|my life)\b/,
+      /\bi('?m| am) (so |really |very |always )?(sad|lonely|scared|depressed|miserable|worthless|useless)(?=\s*(?:[.!,?]|$|and\b|because\b|all the time\b))/,
+      /\bi feel (so |really |very )?(sad|lonely|alone|empty|worthless|useless|hopeless)\b/,
+      /\bi can'?t stop crying\b/
+    ]
+  }
+};
+
+// What the child sees instead of a quiz, by concern and age group
+const SUPPORT_MESSAGES = {
+  'self-harm': {
+    young: "I'm really glad you told me. 💙 Please go and find a grown-up you trust right now - like your mum, dad or teacher - and tell them how you feel. You are not in trouble, and you don't have to feel this way on your own.",
+    middle: "Thank you for telling me - that sounds really hard. 💙 Please talk to a grown-up you trust right now, like a parent or teacher. You're not in trouble, and you deserve help. If you ever feel you might hurt yourself, ask an adult to call your local emergency number.",
+    teen: "I'm really sorry you're feeling this way, and I'm glad you said something. 💙 Please reach out right now to someone you trust - a parent, teacher or another adult - or a helpline in your country. If you might act on these thoughts, call your local emergency number. You deserve support."
+  },
+  bullying: {
+    young: "That sounds really upsetting, and it's not your fault. 💙 Please tell a grown-up you trust, like your mum, dad or teacher, what happened. They can help make it stop.",
+    middle: "I'm sorry that's happening - nobody deserves to be treated like that, and it isn't your fault. 💙 Please tell a parent or teacher about it. Grown-ups can do things to help that you can't do alone.",
+    teen: "That's not okay, and it isn't your fault. 💙 Please talk to someone you trust - a parent, teacher or school counsellor - about what's happening. You don't have to deal with it on your own."
+  },
+  distress: {
+    young: "Aw, it sounds like you're having a sad time. 💙 Feelings like that are really important. Could you go and give a grown-up you love a hug and tell them how you feel?",
+    middle: "I'm sorry you're feeling like this. 💙 Lots of people feel that way sometimes, and talking helps. Could you tell a parent or someone you trust how you're feeling today?",
+    teen: "That sounds really tough, and your feelings matter. 💙 It can help a lot to talk to someone you trust - a parent, friend, teacher or counsellor. You don't have to carry it on your own."
+  }
+};
+
+/**
+ * @param {string} text - Anything the child typed on the lock screen
+ * @returns {Object|null} { concern, priority } for the first concern found, or null
+ */
+function checkWellbeing(text) {
+  const normalized = String(text || '').toLowerCase().replace(/[‘’`]/g, "'").replace(/\s+/g, ' ');
+  const found = Object.entries(CONCERNS).find(([, { patterns }]) => patterns.some(pattern => pattern.test(normalized)));
+  return found ? { concern: found[0], priority: found[1].priority } : null;
+}
+
+/**
+ * @param {string} concern - From checkWellbeing
+ * @param {string} ageGroup - 'young', 'middle' or 'teen' - anything else gets the youngest wording
+ * @returns {string}
+ */
+function getSupportMessage(concern, ageGroup) {
+  const messages = SUPPORT_MESSAGES[concern] || SUPPORT_MESSAGES.distress;
+  return messages[ageGroup] || messages.young;
+}
+
+module.exports = {
+  WELLBEING_CONCERNS: Object.keys(CONCERNS),
+  checkWellbeing,
+  getSupportMessage
+};